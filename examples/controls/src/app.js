@@ -1,6 +1,12 @@
 import React, {Component} from 'react';
 import {render} from 'react-dom';
-import MapGL, {Marker, Popup, NavigationControl, FullscreenControl} from 'react-map-gl';
+import MapGL, {
+  Marker,
+  Popup,
+  NavigationControl,
+  FullscreenControl,
+  ControlContainer
+} from 'react-map-gl';
 
 import ControlPanel from './control-panel';
 import CityPin from './city-pin';
@@ -10,20 +16,6 @@ import CITIES from '../../data/cities.json';
 
 const TOKEN = ''; // Set your mapbox token here
 
-const fullscreenControlStyle = {
-  position: 'absolute',
-  top: 0,
-  left: 0,
-  padding: '10px'
-};
-
-const navStyle = {
-  position: 'absolute',
-  top: 36,
-  left: 0,
-  padding: '10px'
-};
-
 export default class App extends Component {
 
   constructor(props) {
@@ -87,12 +79,10 @@ export default class App extends Component {
 
         {this._renderPopup()}
 
-        <div className="fullscreen" style={fullscreenControlStyle}>
+        <ControlContainer position="top-left">
           <FullscreenControl />
-        </div>
-        <div className="nav" style={navStyle}>
           <NavigationControl onViewportChange={this._updateViewport} />
-        </div>
+        </ControlContainer>
 
         <ControlPanel containerComponent={this.props.containerComponent} />
 
@@ -1,19 +1,12 @@
 import React, {Component} from 'react';
 import {render} from 'react-dom';
-import MapGL, {Marker, NavigationControl} from 'react-map-gl';
+import MapGL, {Marker, NavigationControl, ControlContainer} from 'react-map-gl';
 
 import ControlPanel from './control-panel';
 import Pin from './pin';
 
 const TOKEN = ''; // Set your mapbox token here
 
-const navStyle = {
-  position: 'absolute',
-  top: 0,
-  left: 0,
-  padding: '10px'
-};
-
 export default class App extends Component {
 
   constructor(props) {
@@ -89,9 +82,9 @@ export default class App extends Component {
           <Pin size={20} />
         </Marker>
 
-        <div className="nav" style={navStyle}>
+        <ControlContainer position="top-left">
           <NavigationControl onViewportChange={this._updateViewport} />
-        </div>
+        </ControlContainer>
 
         <ControlPanel
           containerComponent={this.props.containerComponent}
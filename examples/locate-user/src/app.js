@@ -1,17 +1,10 @@
 /* global window */
 import React, {Component} from 'react';
 import {render} from 'react-dom';
-import MapGL, {GeolocateControl} from 'react-map-gl';
+import MapGL, {GeolocateControl, ControlContainer} from 'react-map-gl';
 
 const MAPBOX_TOKEN = ''; // Set your mapbox token here
 
-const geolocateStyle = {
-  position: 'absolute',
-  top: 0,
-  left: 0,
-  padding: '10px'
-};
-
 export default class App extends Component {
 
   state = {
@@ -37,13 +30,13 @@ export default class App extends Component {
         mapStyle="mapbox://styles/mapbox/dark-v9"
         onViewportChange={this._onViewportChange}
         mapboxApiAccessToken={MAPBOX_TOKEN}>
-        <div style={geolocateStyle}>
+        <ControlContainer position="top-left">
           <GeolocateControl
             onViewportChange={this._onViewportChange}
             positionOptions={{enableHighAccuracy: true}}
             trackUserLocation={true}
           />
-        </div>
+        </ControlContainer>
       </MapGL>
     );
   }
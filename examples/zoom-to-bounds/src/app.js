@@ -1,9 +1,7 @@
 /* global window */
 import React, {Component} from 'react';
 import {render} from 'react-dom';
-import MapGL, {LinearInterpolator} from 'react-map-gl';
-import WebMercatorViewport from 'viewport-mercator-project';
-import bbox from '@turf/bbox';
+import MapGL, {LinearInterpolator, fitGeoJSON} from 'react-map-gl';
 
 import ControlPanel from './control-panel';
 import MAP_STYLE from './map-style';
@@ -35,20 +33,15 @@ export default class App extends Component {
   _onClick = (event) => {
     const feature = event.features[0];
     if (feature) {
-      // calculate the bounding box of the feature
-      const [minLng, minLat, maxLng, maxLat] = bbox(feature);
-      // construct a viewport instance from the current state
-      const viewport = new WebMercatorViewport(this.state.viewport);
-      const {longitude, latitude, zoom} = viewport.fitBounds(
-        [[minLng, minLat], [maxLng, maxLat]],
+      // fit the feature in the map, keeping the current pitch and bearing
+      const viewport = fitGeoJSON(
+        {...this.state.viewport, width: window.innerWidth, height: window.innerHeight},
+        feature,
         {padding: 40}
       );
 
       this.setState({viewport: {
-        ...this.state.viewport,
-        longitude,
-        latitude,
-        zoom,
+        ...viewport,
         transitionInterpolator: new LinearInterpolator({
           around: [event.offsetCenter.x, event.offsetCenter.y]
         }),
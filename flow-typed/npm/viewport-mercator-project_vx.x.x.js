@@ -18,9 +18,20 @@ declare module 'viewport-mercator-project' {
     project(xyz: Array<number>): Array<number>;
     unproject(xyz: Array<number>): Array<number>;
     getMapCenterByLngLatPosition({lngLat: Array<number>, pos: Array<number>}): Array<number>;
+    fitBounds(bounds: Array<Array<number>>, options?: {padding?: number, offset?: Array<number>}): WebMercatorViewport;
+
+    width: number;
+    height: number;
+    longitude: number;
+    latitude: number;
+    zoom: number;
+    pitch: number;
+    bearing: number;
   }
 
   declare export function normalizeViewportProps(props: Viewport) : Viewport;
+  declare export function lngLatToWorld(lngLat: Array<number>, scale: number) : Array<number>;
+  declare export function worldToLngLat(xy: Array<number>, scale: number) : Array<number>;
   declare export function flyToViewport(startProps: Viewport, endProps: Viewport, t: number) : Viewport;
 
   declare export default typeof WebMercatorViewport;
@@ -0,0 +1,210 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import PropTypes from 'prop-types';
+import BaseControl from './base-control';
+import {createElement} from 'react';
+import {isStyleLoaded} from '../utils/style-utils';
+
+const propTypes = Object.assign({}, BaseControl.propTypes, {
+  // Custom className
+  className: PropTypes.string,
+  // Show a button that expands the attributions. If not set, the control is compact
+  // when the map is narrower than `COMPACT_MAX_WIDTH`
+  compact: PropTypes.bool,
+  // Attributions that are shown in addition to the ones of the style. Rendered as HTML
+  customAttribution: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.arrayOf(PropTypes.string)
+  ])
+});
+
+const defaultProps = Object.assign({}, BaseControl.defaultProps, {
+  className: '',
+  compact: null,
+  customAttribution: null
+});
+
+// Same as the attribution control of mapbox-gl
+const COMPACT_MAX_WIDTH = 640;
+
+const BUTTON_STYLE = {
+  position: 'absolute',
+  right: 0,
+  bottom: 0,
+  width: 24,
+  height: 24,
+  padding: 0,
+  border: 'none',
+  background: 'transparent',
+  cursor: 'pointer'
+};
+
+// Ids of the sources of the map's style. Unlike `map.getStyle()`, reading the source
+// caches does not serialize the whole style
+function getSourceIds(map) {
+  return map && isStyleLoaded(map) ? Object.keys(map.style.sourceCaches) : [];
+}
+
+/**
+ * Returns the attributions of the sources of the map's style.
+ * Attributions that are contained in another one are dropped.
+ */
+export function getSourceAttributions(map) {
+  const attributions = [];
+  getSourceIds(map).forEach(id => {
+    const source = map.style.sourceCaches[id].getSource();
+    const attribution = source && source.attribution && source.attribution.trim();
+    if (attribution && attributions.indexOf(attribution) < 0) {
+      attributions.push(attribution);
+    }
+  });
+  return attributions.filter(attribution =>
+    !attributions.some(other => other !== attribution && other.indexOf(attribution) >= 0)
+  );
+}
+
+export default class AttributionControl extends BaseControl {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  constructor(props) {
+    super(props);
+
+    this._map = null;
+    // Ids of the sources that the attributions were read from
+    this._sourceIds = null;
+    this._sourceAttributions = [];
+
+    this.state = {
+      expanded: false
+    };
+  }
+
+  componentWillUnmount() {
+    super.componentWillUnmount();
+    this._setMap(null);
+  }
+
+  // Attributions are read from the map once it is available in the context.
+  // The map is created after this control mounts and only re-renders the context
+  // consumer, so this is called when rendering, like Source and Layer
+  _syncMap() {
+    const {map} = this._context;
+    if (map !== this._map) {
+      this._setMap(map);
+      this._sourceIds = getSourceIds(map).join();
+      this._sourceAttributions = getSourceAttributions(map);
+    }
+  }
+
+  _setMap(map) {
+    if (this._map) {
+      this._map.off('styledata', this._onStyleData);
+      this._map.off('sourcedata', this._onSourceData);
+    }
+    this._map = map;
+    this._sourceIds = null;
+    if (map) {
+      map.on('styledata', this._onStyleData);
+      map.on('sourcedata', this._onSourceData);
+    }
+  }
+
+  // `styledata` is fired for any change of the style, e.g. of a layer
+  _onStyleData = () => {
+    const sourceIds = getSourceIds(this._map).join();
+    if (sourceIds !== this._sourceIds) {
+      this._sourceIds = sourceIds;
+      this._updateAttributions();
+    }
+  }
+
+  _onSourceData = event => {
+    // Attributions of tiled sources are loaded with their metadata
+    if (event.sourceDataType === 'metadata') {
+      this._updateAttributions();
+    }
+  }
+
+  _updateAttributions = () => {
+    const sourceAttributions = getSourceAttributions(this._map);
+    if (sourceAttributions.join() !== this._sourceAttributions.join()) {
+      this._sourceAttributions = sourceAttributions;
+      this.forceUpdate();
+    }
+  }
+
+  _onToggle = () => {
+    this.setState({expanded: !this.state.expanded});
+  }
+
+  _getAttributions() {
+    const {customAttribution} = this.props;
+    return [].concat(customAttribution || [], this._sourceAttributions);
+  }
+
+  _isCompact() {
+    const {compact} = this.props;
+    if (typeof compact === 'boolean') {
+      return compact;
+    }
+    const {viewport} = this._context;
+    return Boolean(viewport) && viewport.width <= COMPACT_MAX_WIDTH;
+  }
+
+  _render() {
+    this._syncMap();
+
+    const {className} = this.props;
+    const {expanded} = this.state;
+    const attributions = this._getAttributions();
+    if (!attributions.length) {
+      return null;
+    }
+
+    const compact = this._isCompact();
+    const collapsed = compact && !expanded;
+    const compactClassName = compact ? 'mapboxgl-compact' : '';
+
+    return createElement('div', {
+      className: `mapboxgl-ctrl mapboxgl-ctrl-attrib ${compactClassName} ${className}`,
+      ref: this._containerRef
+    }, [
+      compact && createElement('button', {
+        key: 'toggle',
+        className: 'mapboxgl-ctrl-attrib-button',
+        type: 'button',
+        title: 'Toggle attribution',
+        'aria-expanded': expanded,
+        style: BUTTON_STYLE,
+        onClick: this._onToggle
+      }),
+      // Attributions of map styles contain links. `customAttribution` is trusted HTML too
+      createElement('div', {
+        key: 'inner',
+        className: 'mapboxgl-ctrl-attrib-inner',
+        style: collapsed ? {display: 'none'} : null,
+        dangerouslySetInnerHTML: {__html: attributions.join(' | ')}
+      })
+    ]);
+  }
+}
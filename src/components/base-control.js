@@ -56,21 +56,43 @@ export type ControlProps = {
  * is almost always triggered by a viewport change, we almost definitely need to
  * recalculate the marker's position when the parent re-renders.
  */
-export default class BaseControl extends PureComponent<ControlProps> {
+export default class BaseControl<Props: ControlProps = ControlProps>
+  extends PureComponent<Props> {
 
   static propTypes = propTypes;
   static defaultProps = defaultProps;
 
   componentDidMount() {
+    this._updateEvents();
+  }
+
+  componentDidUpdate() {
+    this._updateEvents();
+  }
+
+  componentWillUnmount() {
+    this._removeEvents();
+  }
+
+  _context: any = {};
+  _events: any = null;
+  _eventTarget: null | HTMLDivElement = null;
+  _containerRef: {current: null | HTMLDivElement} = createRef();
+
+  // Culled controls render no container, so the event listeners need to follow
+  // the container element as it is added and removed
+  _updateEvents() {
     const ref = this._containerRef.current;
-    if (!ref) {
+    if (ref === this._eventTarget) {
       return;
     }
 
-    const {eventManager} = this._context;
+    this._removeEvents();
+    this._eventTarget = ref;
 
-    // Return early if no eventManager is found
-    if (eventManager) {
+    // eventManager is not available with the static map
+    const {eventManager} = this._context;
+    if (ref && eventManager) {
       this._events = {
         wheel: this._onScroll,
         panstart: this._onDragStart,
@@ -82,17 +104,14 @@ export default class BaseControl extends PureComponent<ControlProps> {
     }
   }
 
-  componentWillUnmount() {
+  _removeEvents() {
     const {eventManager} = this._context;
     if (eventManager && this._events) {
       eventManager.off(this._events);
     }
+    this._events = null;
   }
 
-  _context: any = {};
-  _events: any = null;
-  _containerRef: {current: null | HTMLDivElement} = createRef();
-
   _onScroll = (evt: MjolnirEvent) => {
     if (this.props.captureScroll) {
       evt.stopPropagation();
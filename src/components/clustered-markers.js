@@ -0,0 +1,220 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent, createElement} from 'react';
+import PropTypes from 'prop-types';
+import MapContext from './map-context';
+import Marker from './marker';
+import ClusterIndex from '../utils/cluster-index';
+import MapState from '../utils/map-state';
+import {LINEAR_TRANSITION_PROPS} from '../utils/map-controller';
+import {clamp} from '../utils/math-utils';
+import {fitBounds} from '../utils/fit-bounds';
+import {getViewState} from '../utils/viewport-padding';
+
+import type {Node} from 'react';
+import type {ClusterItem} from '../utils/cluster-index';
+
+const propTypes = {
+  // Array of points
+  data: PropTypes.array.isRequired,
+  // Returns the [longitude, latitude] of a point
+  getPosition: PropTypes.func,
+  // Renders the content of a single point marker: (datum, index) => node
+  renderMarker: PropTypes.func.isRequired,
+  // Renders the content of a cluster marker: (cluster) => node
+  renderCluster: PropTypes.func.isRequired,
+  // Cluster radius in pixels
+  radius: PropTypes.number,
+  // Min and max zoom levels to cluster points on
+  minZoom: PropTypes.number,
+  maxZoom: PropTypes.number,
+  // Padding in pixels used when expanding a cluster
+  expandPadding: PropTypes.number,
+  // Callbacks fired when a cluster is expanded
+  onViewStateChange: PropTypes.func,
+  onViewportChange: PropTypes.func
+};
+
+const defaultProps = {
+  getPosition: (d: any) => [d.longitude, d.latitude],
+  radius: 40,
+  minZoom: 0,
+  maxZoom: 16,
+  expandPadding: 40,
+  onViewStateChange: () => {},
+  onViewportChange: () => {}
+};
+
+// Markers within this many pixels outside of the viewport are still rendered,
+// so that they do not pop in at the edges while panning
+const VIEWPORT_BUFFER = 40;
+
+export type ClusteredMarkersProps = {
+  data: Array<any>,
+  getPosition: (datum: any) => Array<number>,
+  renderMarker: (datum: any, index: number) => Node,
+  renderCluster: (cluster: any) => Node,
+  radius: number,
+  minZoom: number,
+  maxZoom: number,
+  expandPadding: number,
+  onViewStateChange: Function,
+  onViewportChange: Function
+};
+
+// Returns [west, south, east, north] of the area covered by the viewport.
+// Longitudes are not wrapped.
+export function getViewportBounds(viewport: any, buffer: number = 0): Array<number> {
+  const {width, height} = viewport;
+  const corners = [
+    [-buffer, -buffer],
+    [width + buffer, -buffer],
+    [-buffer, height + buffer],
+    [width + buffer, height + buffer]
+  ].map(p => viewport.unproject(p));
+
+  const lngs = corners.map(p => p[0]);
+  const lats = corners.map(p => p[1]);
+  return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+}
+
+/*
+ * Renders a large number of points as markers. Points that are close to each
+ * other at the current zoom level are merged into clusters, and only the markers
+ * that are in view are rendered.
+ */
+export default class ClusteredMarkers extends PureComponent<ClusteredMarkersProps> {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  _context : any = {};
+  _index : ClusterIndex | null = null;
+  _indexProps : any = null;
+  _positions : Array<Array<number>> = [];
+
+  // Rebuild the index only when the data or the clustering options change
+  _getIndex() : ClusterIndex {
+    const {data, getPosition, radius, minZoom, maxZoom} = this.props;
+    // `getPosition` is often an inline function, positions are only read again with new data
+    const indexProps = {data, radius, minZoom, maxZoom};
+    const prevProps = this._indexProps;
+
+    if (!this._index || !prevProps ||
+      Object.keys(indexProps).some(key => indexProps[key] !== prevProps[key])) {
+      this._positions = data.map(getPosition);
+      this._index = new ClusterIndex({radius, minZoom, maxZoom}).load(this._positions);
+      this._indexProps = indexProps;
+    }
+    return this._index;
+  }
+
+  // Returns the bounds of all points in a cluster
+  _getClusterBounds(clusterId : number) : Array<Array<number>> {
+    const positions = this._getIndex().getLeaves(clusterId).map(i => this._positions[i]);
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    return [
+      [Math.min(...lngs), Math.min(...lats)],
+      [Math.max(...lngs), Math.max(...lats)]
+    ];
+  }
+
+  // Zooms into a cluster so that its points are shown
+  _expandCluster(clusterId : number) {
+    const {viewport} = this._context;
+    if (!viewport) {
+      return;
+    }
+    const currentViewState = getViewState(viewport);
+    const {maxZoom, expandPadding} = this.props;
+    const bounds = this._getClusterBounds(clusterId);
+    const [[west, south], [east, north]] = bounds;
+
+    let opts = {longitude: (west + east) / 2, latitude: (south + north) / 2, zoom: Infinity};
+    if (west !== east || south !== north) {
+      const padding = Math.min(expandPadding, viewport.width / 4, viewport.height / 4);
+      opts = fitBounds(currentViewState, bounds, {padding});
+    }
+    // Zoom in far enough for the cluster to break apart, but no further than
+    // the level where all points are shown individually
+    const minExpandZoom = this._getIndex().getClusterExpansionZoom(clusterId);
+    const zoom = clamp(opts.zoom, minExpandZoom, maxZoom + 1);
+
+    const mapState = new MapState(Object.assign({}, currentViewState, {
+      longitude: opts.longitude,
+      latitude: opts.latitude,
+      zoom
+    }));
+    const viewState = Object.assign({}, mapState.getViewportProps(), LINEAR_TRANSITION_PROPS);
+
+    // Call new style callback
+    this.props.onViewStateChange({viewState});
+
+    // Call old style callback
+    this.props.onViewportChange(viewState);
+  }
+
+  _getCluster(item : ClusterItem) {
+    return {
+      id: item.id,
+      longitude: item.longitude,
+      latitude: item.latitude,
+      pointCount: item.pointCount,
+      getLeaves: () => this._getIndex().getLeaves(item.id).map(i => this.props.data[i]),
+      getBounds: () => this._getClusterBounds(item.id),
+      expand: () => this._expandCluster(item.id)
+    };
+  }
+
+  _renderItem(item : ClusterItem) {
+    const {data, renderMarker, renderCluster} = this.props;
+    const {longitude, latitude} = item;
+
+    if (item.isCluster) {
+      return createElement(Marker, {
+        key: `cluster-${item.id}-${item.wrap}`,
+        longitude,
+        latitude
+      }, renderCluster(this._getCluster(item)));
+    }
+    return createElement(Marker, {
+      key: `marker-${item.index}-${item.wrap}`,
+      longitude,
+      latitude
+    }, renderMarker(data[item.index], item.index));
+  }
+
+  _render(context : any) {
+    this._context = context;
+    const {viewport} = context;
+    if (!viewport) {
+      return null;
+    }
+    const bounds = getViewportBounds(viewport, VIEWPORT_BUFFER);
+    const items = this._getIndex().getClusters(bounds, viewport.zoom);
+    return items.map(item => this._renderItem(item));
+  }
+
+  render() {
+    return createElement(MapContext.Consumer, null, this._render.bind(this));
+  }
+}
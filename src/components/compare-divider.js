@@ -0,0 +1,112 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {createElement} from 'react';
+import PropTypes from 'prop-types';
+import DraggableControl from './draggable-control';
+import {clamp} from '../utils/math-utils';
+
+import type {MjolnirEvent} from 'mjolnir.js';
+
+const propTypes = Object.assign({}, DraggableControl.propTypes, {
+  // Custom className
+  className: PropTypes.string,
+  // 'vertical' splits the map into left and right, 'horizontal' into top and bottom
+  orientation: PropTypes.oneOf(['vertical', 'horizontal']),
+  // Position of the divider, as a fraction of the width or height of the map
+  position: PropTypes.number.isRequired,
+  // Called with the new position when the divider is dragged
+  onPositionChange: PropTypes.func
+});
+
+const defaultProps = Object.assign({}, DraggableControl.defaultProps, {
+  className: '',
+  orientation: 'vertical',
+  draggable: true,
+  onPositionChange: () => {}
+});
+
+const HANDLE_SIZE = 40;
+
+/*
+ * The divider of `CompareMap`. Dragging it changes the position of the divider
+ * instead of panning the map.
+ */
+export default class CompareDivider extends DraggableControl {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  _onDrag = (event: MjolnirEvent) => {
+    event.stopPropagation();
+
+    const {orientation, onPositionChange} = this.props;
+    const {width, height} = this._context.viewport;
+    const [x, y] = this._getDragEventPosition(event);
+    const position = orientation === 'vertical' ? x / width : y / height;
+    onPositionChange(clamp(position, 0, 1));
+  }
+
+  _render() {
+    const {className, orientation, position, draggable} = this.props;
+    const isVertical = orientation === 'vertical';
+    const offset = `${position * 100}%`;
+
+    const containerStyle = isVertical ? {
+      position: 'absolute',
+      left: offset,
+      top: 0,
+      height: '100%',
+      width: 2,
+      marginLeft: -1,
+      cursor: draggable ? 'ew-resize' : 'auto',
+      background: '#fff'
+    } : {
+      position: 'absolute',
+      top: offset,
+      left: 0,
+      width: '100%',
+      height: 2,
+      marginTop: -1,
+      cursor: draggable ? 'ns-resize' : 'auto',
+      background: '#fff'
+    };
+
+    const handleStyle = {
+      position: 'absolute',
+      left: '50%',
+      top: '50%',
+      width: HANDLE_SIZE,
+      height: HANDLE_SIZE,
+      margin: -HANDLE_SIZE / 2,
+      borderRadius: '50%',
+      background: '#fff',
+      boxShadow: '0 0 4px rgba(0, 0, 0, 0.5)'
+    };
+
+    return createElement('div', {
+      className: `mapboxgl-compare mapboxgl-compare-${orientation} ${className}`,
+      ref: this._containerRef,
+      style: containerStyle,
+      children: createElement('div', {className: 'mapboxgl-compare-handle', style: handleStyle})
+    });
+  }
+
+}
@@ -0,0 +1,135 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent, createElement, createRef} from 'react';
+import PropTypes from 'prop-types';
+
+import InteractiveMap from './interactive-map';
+import StaticMap from './static-map';
+import CompareDivider from './compare-divider';
+
+const noop = () => {};
+
+const propTypes = Object.assign({}, InteractiveMap.propTypes, {
+  // Style of the map that is stacked on top and clipped by the divider
+  compareMapStyle: PropTypes.oneOfType([
+    PropTypes.object,
+    PropTypes.string
+  ]).isRequired,
+  // 'vertical' splits the map into left and right, 'horizontal' into top and bottom
+  orientation: PropTypes.oneOf(['vertical', 'horizontal']),
+  // Position of the divider, as a fraction of the width or height of the map
+  position: PropTypes.number,
+  // Called with the new position when the divider is dragged
+  onPositionChange: PropTypes.func,
+  // Custom className of the divider
+  dividerClassName: PropTypes.string
+});
+
+const defaultProps = Object.assign({}, InteractiveMap.defaultProps, {
+  orientation: 'vertical',
+  position: 0.5,
+  onPositionChange: null,
+  dividerClassName: ''
+});
+
+/*
+ * Stacks two maps with a divider that clips the top map, e.g. to compare
+ * before/after imagery. The top map is a `StaticMap` rendered as a child of the
+ * bottom `InteractiveMap`, so that both are moved by the same controller.
+ * The top map is visible left of a vertical divider, or above a horizontal divider.
+ */
+export default class CompareMap extends PureComponent<any> {
+
+  static supported() {
+    return InteractiveMap.supported();
+  }
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  _mapRef: { current: null | InteractiveMap } = createRef();
+  _compareMapRef: { current: null | StaticMap } = createRef();
+
+  // Returns the mapbox instance of the bottom map
+  getMap = () => {
+    return this._mapRef.current ? this._mapRef.current.getMap() : null;
+  }
+
+  // Returns the mapbox instance of the top map
+  getCompareMap = () => {
+    return this._compareMapRef.current ? this._compareMapRef.current.getMap() : null;
+  }
+
+  _getClipStyle() {
+    const {orientation, position} = this.props;
+    const hidden = `${(1 - position) * 100}%`;
+    const clipPath = orientation === 'vertical' ?
+      `inset(0 ${hidden} 0 0)` : `inset(0 0 ${hidden} 0)`;
+
+    return {
+      position: 'absolute',
+      left: 0,
+      top: 0,
+      width: '100%',
+      height: '100%',
+      clipPath,
+      WebkitClipPath: clipPath
+    };
+  }
+
+  _renderCompareMap() {
+    const compareMap = createElement(StaticMap, Object.assign({}, this.props, {
+      mapStyle: this.props.compareMapStyle,
+      width: '100%',
+      height: '100%',
+      style: null,
+      visible: true,
+      reuseMaps: false,
+      onLoad: noop,
+      onResize: noop,
+      ref: this._compareMapRef,
+      children: null
+    }));
+
+    return createElement('div', {
+      key: 'compare-map',
+      className: 'mapboxgl-compare-map',
+      style: this._getClipStyle()
+    }, compareMap);
+  }
+
+  render() {
+    const {orientation, position, onPositionChange, dividerClassName} = this.props;
+
+    return createElement(InteractiveMap, Object.assign({}, this.props, {ref: this._mapRef}),
+      this._renderCompareMap(),
+      createElement(CompareDivider, {
+        key: 'divider',
+        className: dividerClassName,
+        orientation,
+        position,
+        draggable: Boolean(onPositionChange),
+        onPositionChange
+      }),
+      this.props.children
+    );
+  }
+}
@@ -0,0 +1,118 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent, Children, createElement} from 'react';
+import PropTypes from 'prop-types';
+import MapContext from './map-context';
+import {getViewportPadding} from '../utils/viewport-padding';
+
+import type {Node} from 'react';
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const propTypes = {
+  // Corner of the map that the controls are stacked in
+  position: PropTypes.oneOf(POSITIONS),
+  // Custom className
+  className: PropTypes.string
+};
+
+const defaultProps = {
+  position: 'top-right',
+  className: ''
+};
+
+export type ControlContainerProps = {
+  position: string,
+  className: string,
+  children?: Node
+};
+
+// Margin around each control, same as mapbox-gl
+const CONTROL_MARGIN = 10;
+
+/*
+ * Stacks controls in a corner of the map. The first control is closest to the corner.
+ * Controls stay out of the padding of the view state, and wrap into a new column
+ * if the map is not tall enough.
+ */
+export default class ControlContainer extends PureComponent<ControlContainerProps> {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  _getContainerStyle(context : any) : any {
+    const {position} = this.props;
+    const [vertical, horizontal] = position.split('-');
+    const {viewport} = context;
+    const padding = getViewportPadding(viewport);
+
+    const style: Object = {
+      position: 'absolute',
+      display: 'flex',
+      flexDirection: vertical === 'top' ? 'column' : 'column-reverse',
+      // Extra columns are added towards the center of the map
+      flexWrap: horizontal === 'left' ? 'wrap' : 'wrap-reverse',
+      alignItems: 'flex-start',
+      // Let the map receive the events between the controls
+      pointerEvents: 'none',
+      zIndex: 2
+    };
+    style[vertical] = padding[vertical];
+    style[horizontal] = padding[horizontal];
+    if (viewport) {
+      style.maxHeight = viewport.height - padding.top - padding.bottom;
+      style.maxWidth = viewport.width - padding.left - padding.right;
+    }
+    return style;
+  }
+
+  _getControlStyle() : any {
+    const [vertical, horizontal] = this.props.position.split('-');
+    const margin = `${CONTROL_MARGIN}px`;
+    return {
+      pointerEvents: 'auto',
+      // top, right, bottom and left margins
+      margin: [
+        vertical === 'top' ? margin : 0,
+        horizontal === 'right' ? margin : 0,
+        vertical === 'bottom' ? margin : 0,
+        horizontal === 'left' ? margin : 0
+      ].join(' ')
+    };
+  }
+
+  _render(context : any) {
+    const {position, className} = this.props;
+    const controlStyle = this._getControlStyle();
+
+    return createElement('div', {
+      className: `mapboxgl-ctrl-container mapboxgl-ctrl-container-${position} ${className}`,
+      style: this._getContainerStyle(context)
+    }, Children.map(this.props.children, child => child && createElement('div', {
+      className: 'mapboxgl-ctrl-container-item',
+      style: controlStyle
+    }, child)));
+  }
+
+  render() {
+    return createElement(MapContext.Consumer, null, this._render.bind(this));
+  }
+}
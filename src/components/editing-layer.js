@@ -0,0 +1,659 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {createElement} from 'react';
+import PropTypes from 'prop-types';
+import DraggableControl from './draggable-control';
+import SVGOverlay from '../overlays/svg-overlay';
+import {
+  getPixelDistance,
+  getDistanceToSegment,
+  isPointInRing,
+  getDistance,
+  getRectangle,
+  getCircle,
+  getVertices,
+  getMidpoints,
+  updateVertex,
+  insertVertex,
+  removeVertex
+} from '../utils/geometry-utils';
+
+import type {MjolnirEvent} from 'mjolnir.js';
+import type {Position, Vertex} from '../utils/geometry-utils';
+
+export const EDITING_MODES = [
+  'view',
+  'edit',
+  'draw-point',
+  'draw-line',
+  'draw-polygon',
+  'draw-rectangle',
+  'draw-circle'
+];
+
+// Extra distance in pixels around handles and lines that is considered a hit
+const HIT_TOLERANCE = 4;
+const CIRCLE_STEPS = 64;
+
+const propTypes = Object.assign({}, DraggableControl.propTypes, {
+  // Custom className
+  className: PropTypes.string,
+  // GeoJSON features to edit
+  features: PropTypes.arrayOf(PropTypes.object),
+  mode: PropTypes.oneOf(EDITING_MODES),
+  // Called with `{features, editType, featureIndexes}` when the features are edited
+  onUpdate: PropTypes.func,
+  // Called with `{selectedFeatureIndex}` when a feature is selected in the edit mode
+  onSelect: PropTypes.func,
+  // Distance in pixels within which positions snap to the vertices of the features
+  snapDistance: PropTypes.number,
+  // Radius of the edit handles and points in pixels
+  editHandleRadius: PropTypes.number,
+  // SVG styles
+  featureStyle: PropTypes.object,
+  selectedFeatureStyle: PropTypes.object,
+  editHandleStyle: PropTypes.object
+});
+
+const defaultProps = Object.assign({}, DraggableControl.defaultProps, {
+  className: '',
+  features: [],
+  mode: 'view',
+  onUpdate: () => {},
+  onSelect: () => {},
+  snapDistance: 10,
+  editHandleRadius: 5,
+  featureStyle: {
+    fill: 'rgba(56, 135, 190, 0.2)',
+    stroke: '#3887be',
+    strokeWidth: 2
+  },
+  selectedFeatureStyle: {
+    fill: 'rgba(251, 176, 59, 0.2)',
+    stroke: '#fbb03b',
+    strokeWidth: 2
+  },
+  editHandleStyle: {
+    fill: '#fff',
+    stroke: '#fbb03b',
+    strokeWidth: 2
+  }
+});
+
+type Handle = Vertex & {isMidpoint: boolean};
+
+// Returns the SVG path of a list of screen positions
+function getPath(points: Array<Position>, closed: boolean): string {
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0]},${p[1]}`).join(' ');
+  return closed ? `${path} Z` : path;
+}
+
+/*
+ * Draws and edits GeoJSON points, lines and polygons on top of the map.
+ * The features are controlled: edits are only applied when the application passes
+ * the features received in `onUpdate` back to the component.
+ */
+export default class EditingLayer extends DraggableControl {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  // Drawings and selections are discarded when the mode changes
+  static getDerivedStateFromProps(props: any, state: any) {
+    return props.mode === state.mode ? null :
+      {mode: props.mode, selectedFeatureIndex: null, drawing: null, pointer: null};
+  }
+
+  state = {
+    dragPos: null,
+    dragOffset: null,
+    mode: null,
+    selectedFeatureIndex: null,
+    // The positions clicked so far in a draw mode
+    drawing: null,
+    // The snapped position of the pointer while drawing
+    pointer: null,
+    // The selected feature while one of its vertices is dragged
+    editedFeature: null
+  };
+
+  // Previous `features` for undo and redo
+  _undoStack : Array<Array<Object>> = [];
+  _redoStack : Array<Array<Object>> = [];
+  // The features passed to `onUpdate` last, to tell edits from features replaced by the app
+  _updatedFeatures : ?Array<Object> = null;
+  // The vertex being dragged
+  _dragHandle : ?Handle = null;
+  _pointerEvents : any = null;
+
+  componentDidUpdate(prevProps: any) {
+    super.componentDidUpdate();
+
+    // The history does not apply to features that were not edited with this layer
+    const {features} = this.props;
+    if (features !== prevProps.features && features !== this._updatedFeatures) {
+      this._undoStack = [];
+      this._redoStack = [];
+    }
+  }
+
+  // Removes the last drawn position, or reverts the last edit
+  undo() {
+    const {drawing} = this.state;
+    if (drawing) {
+      this.setState({drawing: drawing.length > 1 ? drawing.slice(0, -1) : null});
+      return;
+    }
+    const features = this._undoStack.pop();
+    if (features) {
+      this._redoStack.push(this.props.features);
+      this._update({features, editType: 'undo', featureIndexes: []});
+    }
+  }
+
+  redo() {
+    const features = this._redoStack.pop();
+    if (features) {
+      this._undoStack.push(this.props.features);
+      this._update({features, editType: 'redo', featureIndexes: []});
+    }
+  }
+
+  canUndo() : boolean {
+    return Boolean(this.state.drawing || this._undoStack.length);
+  }
+
+  canRedo() : boolean {
+    return this._redoStack.length > 0;
+  }
+
+  _isDrawMode() : boolean {
+    return this.props.mode.startsWith('draw-');
+  }
+
+  _getSelectedFeatureIndex() : number | null {
+    const {selectedFeatureIndex} = this.state;
+    return selectedFeatureIndex !== null && selectedFeatureIndex < this.props.features.length ?
+      selectedFeatureIndex : null;
+  }
+
+  _getEventPosition(event: MjolnirEvent) : Position {
+    const {offsetCenter: {x, y}} = event;
+    return [x, y];
+  }
+
+  _project(lngLat: Position) : Position {
+    return this._context.viewport.project(lngLat);
+  }
+
+  _update(update: {features: Array<Object>, editType: string, featureIndexes: Array<number>}) {
+    this._updatedFeatures = update.features;
+    this.props.onUpdate(update);
+  }
+
+  _updateFeatures(feature: Object, featureIndex: number, editType: string) {
+    const {features} = this.props;
+    const updatedFeatures = features.slice();
+    updatedFeatures[featureIndex] = feature;
+    this._undoStack.push(features);
+    this._redoStack = [];
+    this._update({features: updatedFeatures, editType, featureIndexes: [featureIndex]});
+  }
+
+  _updateGeometry(geometry: Object, featureIndex: number, editType: string) {
+    const feature = this.props.features[featureIndex];
+    this._updateFeatures(Object.assign({}, feature, {geometry}), featureIndex, editType);
+  }
+
+  _selectFeature(selectedFeatureIndex: number | null) {
+    if (selectedFeatureIndex !== this._getSelectedFeatureIndex()) {
+      this.setState({selectedFeatureIndex});
+      this.props.onSelect({selectedFeatureIndex});
+    }
+  }
+
+  // Returns the nearest vertex of all features within `snapDistance`, or the position itself
+  _getSnappedPosition(pos: Position, exclude: ?{featureIndex: number, indexes: Array<number>}) {
+    const {features, snapDistance} = this.props;
+    let snapped = null;
+    let minDistance = snapDistance;
+
+    features.forEach((feature, featureIndex) => {
+      if (!feature.geometry) {
+        return;
+      }
+      getVertices(feature.geometry).forEach(({position, indexes}) => {
+        if (exclude && exclude.featureIndex === featureIndex &&
+          exclude.indexes.join() === indexes.join()) {
+          return;
+        }
+        const distance = getPixelDistance(pos, this._project(position));
+        if (distance <= minDistance) {
+          minDistance = distance;
+          snapped = position;
+        }
+      });
+    });
+    return snapped || this._context.viewport.unproject(pos);
+  }
+
+  // Returns the vertex or midpoint handle of the selected feature at the position
+  _getHandleAt(pos: Position) : ?Handle {
+    const featureIndex = this._getSelectedFeatureIndex();
+    if (featureIndex === null) {
+      return null;
+    }
+    const {geometry} = this.props.features[featureIndex];
+    const handles = getVertices(geometry)
+      .map(({position, indexes}) => ({position, indexes, isMidpoint: false}))
+      .concat(getMidpoints(geometry)
+        .map(({position, indexes}) => ({position, indexes, isMidpoint: true})));
+    const radius = this.props.editHandleRadius + HIT_TOLERANCE;
+    return handles.find(h => getPixelDistance(pos, this._project(h.position)) <= radius);
+  }
+
+  _isFeatureAt(feature: Object, pos: Position) : boolean {
+    const {geometry} = feature;
+    const {editHandleRadius} = this.props;
+
+    switch (geometry && geometry.type) {
+    case 'Point':
+      return getPixelDistance(pos, this._project(geometry.coordinates)) <=
+        editHandleRadius + HIT_TOLERANCE;
+    case 'LineString':
+      return geometry.coordinates.some((p, i) => i > 0 && getDistanceToSegment(
+        pos, this._project(geometry.coordinates[i - 1]), this._project(p)
+      ) <= HIT_TOLERANCE);
+    case 'Polygon':
+      // Inside the outer ring and outside of the holes
+      return geometry.coordinates.reduce((inside, ring, i) => {
+        return isPointInRing(pos, ring.map(p => this._project(p))) ? i === 0 : inside;
+      }, false);
+    default:
+      return false;
+    }
+  }
+
+  // Returns the index of the topmost feature at the position
+  _getFeatureIndexAt(pos: Position) : number | null {
+    const {features} = this.props;
+    for (let i = features.length - 1; i >= 0; i--) {
+      if (this._isFeatureAt(features[i], pos)) {
+        return i;
+      }
+    }
+    return null;
+  }
+
+  _addFeature(geometry: Object, properties: Object = {}) {
+    const {features} = this.props;
+    const feature = {type: 'Feature', properties, geometry};
+    this.setState({drawing: null, pointer: null});
+    this._undoStack.push(features);
+    this._redoStack = [];
+    this._update({
+      features: features.concat(feature),
+      editType: 'addFeature',
+      featureIndexes: [features.length]
+    });
+  }
+
+  // Returns true if the position is on one of the drawn positions
+  _isDrawnPositionAt(position: ?Position, pos: Position) : boolean {
+    const radius = this.props.editHandleRadius + HIT_TOLERANCE;
+    return position ? getPixelDistance(pos, this._project(position)) <= radius : false;
+  }
+
+  // Adds the feature if the click completes the drawing. Returns true if it does.
+  _completeDrawing(positions: Array<Position>, pos: Position, position: Position) : boolean {
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+
+    switch (this.props.mode) {
+    case 'draw-point':
+      this._addFeature({type: 'Point', coordinates: position});
+      return true;
+
+    case 'draw-line':
+      // Clicking the last position again, e.g. double clicking, completes the line
+      if (positions.length >= 2 && this._isDrawnPositionAt(last, pos)) {
+        this._addFeature({type: 'LineString', coordinates: positions});
+        return true;
+      }
+      return false;
+
+    case 'draw-polygon':
+      // Clicking the first or the last position completes the polygon
+      if (positions.length >= 3 &&
+        (this._isDrawnPositionAt(first, pos) || this._isDrawnPositionAt(last, pos))) {
+        this._addFeature({type: 'Polygon', coordinates: [positions.concat([first])]});
+        return true;
+      }
+      return false;
+
+    case 'draw-rectangle':
+    case 'draw-circle':
+      // The second position completes the shape
+      if (first && !this._isDrawnPositionAt(first, pos)) {
+        this._addFeature(
+          this._getShape(first, position),
+          this._getShapeProperties(first, position)
+        );
+        return true;
+      }
+      return false;
+
+    default:
+      return false;
+    }
+  }
+
+  // Adds a clicked position to the drawing
+  _addDrawnPosition(pos: Position) {
+    const positions = this.state.drawing || [];
+    const position = this._getSnappedPosition(pos);
+
+    if (this._completeDrawing(positions, pos, position)) {
+      return;
+    }
+    // Do not add the same position twice
+    if (!this._isDrawnPositionAt(positions[positions.length - 1], pos)) {
+      this.setState({drawing: positions.concat([position]), pointer: position});
+    }
+  }
+
+  _getShape(first: Position, second: Position) : Object {
+    return this.props.mode === 'draw-circle' ?
+      getCircle(first, getDistance(first, second), CIRCLE_STEPS) :
+      getRectangle(first, second);
+  }
+
+  _getShapeProperties(first: Position, second: Position) : Object {
+    return this.props.mode === 'draw-circle' ?
+      {shape: 'Circle', center: first, radius: getDistance(first, second)} :
+      {shape: 'Rectangle'};
+  }
+
+  /* Event handling */
+
+  _updateEvents() {
+    super._updateEvents();
+
+    // The preview of the drawing follows the pointer anywhere on the map
+    if (this._isDrawMode()) {
+      this._addPointerEvents();
+    } else {
+      this._removePointerEvents();
+    }
+  }
+
+  _removeEvents() {
+    super._removeEvents();
+    this._removePointerEvents();
+  }
+
+  _addPointerEvents() {
+    const {eventManager} = this._context;
+    if (eventManager && !this._pointerEvents) {
+      this._pointerEvents = {pointermove: this._onPointerMove};
+      eventManager.on(this._pointerEvents);
+    }
+  }
+
+  _removePointerEvents() {
+    const {eventManager} = this._context;
+    if (eventManager && this._pointerEvents) {
+      eventManager.off(this._pointerEvents);
+    }
+    this._pointerEvents = null;
+  }
+
+  _onPointerMove = (event: MjolnirEvent) => {
+    if (this.state.drawing) {
+      this.setState({pointer: this._getSnappedPosition(this._getEventPosition(event))});
+    }
+  }
+
+  _onDragStart = (event: MjolnirEvent) => {
+    // Dragging anything but a handle pans the map
+    const featureIndex = this._getSelectedFeatureIndex();
+    const handle = this._getHandleAt(this._getEventPosition(event));
+    if (featureIndex === null || !handle) {
+      return;
+    }
+    event.stopPropagation();
+
+    const feature = this.props.features[featureIndex];
+    // Dragging a midpoint inserts a vertex
+    const geometry = handle.isMidpoint ?
+      insertVertex(feature.geometry, handle.indexes, handle.position) : feature.geometry;
+    this._dragHandle = handle;
+    this.setState({editedFeature: Object.assign({}, feature, {geometry})});
+    this._setupDragEvents();
+  }
+
+  _onDrag = (event: MjolnirEvent) => {
+    event.stopPropagation();
+
+    const {editedFeature} = this.state;
+    const featureIndex = this._getSelectedFeatureIndex();
+    const handle = this._dragHandle;
+    if (!editedFeature || !handle || featureIndex === null) {
+      return;
+    }
+    const {indexes} = handle;
+    // A midpoint is a new vertex and can snap to any vertex of the feature
+    const position = this._getSnappedPosition(this._getEventPosition(event),
+      handle.isMidpoint ? null : {featureIndex, indexes});
+    this.setState({
+      editedFeature: Object.assign({}, editedFeature, {
+        geometry: updateVertex(editedFeature.geometry, indexes, position)
+      })
+    });
+  }
+
+  _onDragEnd = (event: MjolnirEvent) => {
+    event.stopPropagation();
+
+    const {editedFeature} = this.state;
+    const featureIndex = this._getSelectedFeatureIndex();
+    const handle = this._dragHandle;
+    this._onDragCancel(event);
+
+    if (editedFeature && handle && featureIndex !== null) {
+      this._updateFeatures(editedFeature, featureIndex,
+        handle.isMidpoint ? 'addPosition' : 'movePosition');
+    }
+  }
+
+  _onDragCancel = (event: MjolnirEvent) => {
+    event.stopPropagation();
+    this._dragHandle = null;
+    this.setState({editedFeature: null});
+    this._removeDragEvents();
+  }
+
+  // `anyclick` is fired immediately, also when double clicking. `click` is only fired for
+  // single clicks and is captured so that the map does not handle it.
+  _onClick = (event: MjolnirEvent) => {
+    const {mode} = this.props;
+    const pos = this._getEventPosition(event);
+    const isDelayedClick = event.type === 'click';
+
+    if (this._isDrawMode()) {
+      event.stopPropagation();
+      if (!isDelayedClick) {
+        this._addDrawnPosition(pos);
+      }
+      return;
+    }
+
+    if (mode === 'edit') {
+      const featureIndex = this._getHandleAt(pos) ?
+        this._getSelectedFeatureIndex() : this._getFeatureIndexAt(pos);
+      if (featureIndex !== null) {
+        event.stopPropagation();
+      }
+      if (!isDelayedClick) {
+        this._selectFeature(featureIndex);
+      }
+    }
+  }
+
+  // Double clicking a vertex of the selected feature deletes it
+  _onDblClick = (event: MjolnirEvent) => {
+    if (this._isDrawMode()) {
+      // Do not zoom while drawing
+      event.stopPropagation();
+      return;
+    }
+
+    const featureIndex = this._getSelectedFeatureIndex();
+    const handle = this._getHandleAt(this._getEventPosition(event));
+    if (featureIndex === null || !handle || handle.isMidpoint) {
+      return;
+    }
+    event.stopPropagation();
+
+    const geometry = removeVertex(this.props.features[featureIndex].geometry, handle.indexes);
+    if (geometry) {
+      this._updateGeometry(geometry, featureIndex, 'removePosition');
+    }
+  }
+
+  /* Rendering */
+
+  _getDrawingGeometry() : ?Object {
+    const {mode} = this.props;
+    const {drawing: positions, pointer} = this.state;
+    if (!positions) {
+      return null;
+    }
+    const first = positions[0];
+
+    if (mode === 'draw-rectangle' || mode === 'draw-circle') {
+      return pointer && this._getShape(first, pointer);
+    }
+    const coordinates = pointer ? positions.concat([pointer]) : positions;
+    if (mode === 'draw-polygon' && coordinates.length >= 3) {
+      return {type: 'Polygon', coordinates: [coordinates.concat([first])]};
+    }
+    return {type: 'LineString', coordinates};
+  }
+
+  _renderGeometry(geometry: Object, props: Object, project: Function) {
+    const style = Object.assign({}, props.style, geometry.type === 'LineString' && {fill: 'none'});
+
+    switch (geometry.type) {
+    case 'Point':
+      return createElement('circle', Object.assign({}, props, {
+        style,
+        cx: project(geometry.coordinates)[0],
+        cy: project(geometry.coordinates)[1],
+        r: this.props.editHandleRadius
+      }));
+
+    case 'LineString':
+      return createElement('path', Object.assign({}, props, {
+        style, d: getPath(geometry.coordinates.map(p => project(p)), false)
+      }));
+
+    case 'Polygon':
+      return createElement('path', Object.assign({}, props, {
+        style,
+        fillRule: 'evenodd',
+        d: geometry.coordinates.map(ring => getPath(ring.map(p => project(p)), true)).join(' ')
+      }));
+
+    default:
+      // Other geometry types are not supported
+      return null;
+    }
+  }
+
+  _renderHandles(vertices: Array<Vertex>, className: string, project: Function) : Array<any> {
+    const {editHandleRadius, editHandleStyle} = this.props;
+    const style = Object.assign({cursor: 'move'}, editHandleStyle);
+
+    return vertices.map(({position}, i) => {
+      const [cx, cy] = project(position);
+      return createElement('circle', {
+        key: `${className}-${i}`,
+        className: `mapboxgl-editing-handle ${className}`,
+        cx,
+        cy,
+        r: className === 'midpoint' ? editHandleRadius * 0.75 : editHandleRadius,
+        style
+      });
+    });
+  }
+
+  _redraw({width, height, project} : {width: number, height: number, project: Function}) {
+    const {className, features, mode, featureStyle, selectedFeatureStyle} = this.props;
+    const {editedFeature, drawing} = this.state;
+    const selectedFeatureIndex = this._getSelectedFeatureIndex();
+    const selectedFeature = selectedFeatureIndex === null ?
+      null : editedFeature || features[selectedFeatureIndex];
+    const drawingGeometry = this._getDrawingGeometry();
+
+    return createElement('g', {
+      className: `mapboxgl-editing-layer ${className}`,
+      ref: this._containerRef
+    }, [
+      // Captures the events on the whole map, except in the view mode
+      mode !== 'view' && createElement('rect', {
+        key: 'background',
+        width,
+        height,
+        style: {fill: 'transparent', cursor: this._isDrawMode() ? 'crosshair' : 'auto'}
+      }),
+      features.map((feature, i) => {
+        const isSelected = i === selectedFeatureIndex;
+        return feature.geometry && this._renderGeometry(
+          isSelected && selectedFeature ? selectedFeature.geometry : feature.geometry,
+          {
+            key: `feature-${i}`,
+            className: `mapboxgl-editing-feature${isSelected ? ' selected' : ''}`,
+            style: isSelected ? selectedFeatureStyle : featureStyle
+          },
+          project
+        );
+      }),
+      drawingGeometry && this._renderGeometry(drawingGeometry, {
+        key: 'drawing',
+        className: 'mapboxgl-editing-feature drawing',
+        style: Object.assign({pointerEvents: 'none'}, selectedFeatureStyle)
+      }, project),
+      selectedFeature && selectedFeature.geometry &&
+        this._renderHandles(getMidpoints(selectedFeature.geometry), 'midpoint', project),
+      selectedFeature && selectedFeature.geometry &&
+        this._renderHandles(getVertices(selectedFeature.geometry), 'vertex', project),
+      drawing && this._renderHandles(
+        drawing.map(position => ({position, indexes: []})), 'vertex', project
+      )
+    ]);
+  }
+
+  _render() {
+    // SVGOverlay is pure, a new callback redraws it when the state of the layer changes
+    return createElement(SVGOverlay, {redraw: opts => this._redraw(opts)});
+  }
+}
@@ -0,0 +1,154 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent, createElement} from 'react';
+import PropTypes from 'prop-types';
+import MapContext from './map-context';
+import {isStyleLoaded} from '../utils/style-utils';
+import {isSameFeature, updateFeatureState} from '../utils/feature-state';
+
+import type {FeatureIdentifier} from '../utils/feature-state';
+
+const propTypes = {
+  // Id of the source. Supplied automatically if this is a child of a `Source`.
+  source: PropTypes.string,
+  // Name of the source layer, required for vector sources
+  sourceLayer: PropTypes.string,
+  // Id of the feature
+  id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  // The desired state, e.g. `{hover: true}`
+  state: PropTypes.object
+};
+
+const defaultProps = {
+  state: {}
+};
+
+export type FeatureStateProps = {
+  source?: string,
+  sourceLayer?: string,
+  id: number | string,
+  state: any
+};
+
+/*
+ * Declaratively sets the state of a feature, to be used by `feature-state`
+ * expressions in layer styles.
+ * https://www.mapbox.com/mapbox-gl-js/api/#map#setfeaturestate
+ * State keys that are removed between renders, and the state of a feature that is
+ * no longer targeted, are cleared.
+ */
+export default class FeatureState extends PureComponent<FeatureStateProps> {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  componentWillUnmount() {
+    const map = this._map;
+    if (!map) {
+      return;
+    }
+    map.off('styledata', this._onStyleChange);
+    map.off('sourcedata', this._onStyleChange);
+    this._clearState();
+    this._map = null;
+  }
+
+  _map : any = null;
+  // The source object that the current state was applied to
+  _sourceObject : any = null;
+  _feature : ?FeatureIdentifier = null;
+  _state : any = null;
+
+  _getFeature() : ?FeatureIdentifier {
+    const {source, sourceLayer, id} = this.props;
+    if (!source) {
+      return null;
+    }
+    return sourceLayer ? {source, sourceLayer, id} : {source, id};
+  }
+
+  // Feature states are dropped when the source is removed, e.g. by a style change
+  _onStyleChange = () => {
+    const map = this._map;
+    const feature = this._getFeature();
+    if (map && feature && isStyleLoaded(map) &&
+      (map.getSource(feature.source) || null) !== this._sourceObject) {
+      // The source has been added, removed or recreated since the state was last applied
+      this._feature = null;
+      this._state = null;
+      this._sourceObject = null;
+      this.forceUpdate();
+    }
+  }
+
+  _clearState() {
+    const map = this._map;
+    const feature = this._feature;
+    if (feature && map.style && map.getSource(feature.source) === this._sourceObject) {
+      updateFeatureState(map, feature, null, this._state);
+    }
+    this._feature = null;
+    this._state = null;
+    this._sourceObject = null;
+  }
+
+  _syncState(map : any) {
+    if (map !== this._map) {
+      if (this._map) {
+        this._map.off('styledata', this._onStyleChange);
+        this._map.off('sourcedata', this._onStyleChange);
+      }
+      this._map = map;
+      this._feature = null;
+      this._state = null;
+      this._sourceObject = null;
+      map.on('styledata', this._onStyleChange);
+      map.on('sourcedata', this._onStyleChange);
+    }
+
+    const feature = this._getFeature();
+    const sourceObject = feature && isStyleLoaded(map) && map.getSource(feature.source);
+
+    if (!isSameFeature(feature, this._feature)) {
+      this._clearState();
+    }
+    if (!feature || !sourceObject) {
+      // Wait for the source to load. `_onStyleChange` will trigger a rerender.
+      return;
+    }
+
+    updateFeatureState(map, feature, this.props.state, this._state);
+    this._sourceObject = sourceObject;
+    this._feature = feature;
+    this._state = this.props.state;
+  }
+
+  _render(context : any) {
+    if (context.map) {
+      this._syncState(context.map);
+    }
+    return null;
+  }
+
+  render() {
+    return createElement(MapContext.Consumer, null, this._render.bind(this));
+  }
+}
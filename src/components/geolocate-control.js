@@ -1,7 +1,6 @@
 /* global window */
 import {createElement, createRef} from 'react';
 import PropTypes from 'prop-types';
-import WebMercatorViewport from 'viewport-mercator-project';
 
 import mapboxgl from '../utils/mapboxgl';
 
@@ -10,6 +9,8 @@ import Marker from './marker';
 import MapState from '../utils/map-state';
 import TransitionManager from '../utils/transition-manager';
 import {isGeolocationSupported} from '../utils/geolocate-utils';
+import {fitBounds} from '../utils/fit-bounds';
+import {getViewState} from '../utils/viewport-padding';
 
 const LINEAR_TRANSITION_PROPS = Object.assign(
   {},
@@ -151,13 +152,24 @@ export default class GeolocateControl extends BaseControl {
     ];
   };
 
+  // Mapbox options with defaults, e.g. `{maxZoom: 15}`
+  _getFitBoundsOptions() {
+    const {padding, offset, maxZoom} = this._mapboxGeolocateControl.options.fitBoundsOptions || {};
+    return {
+      padding,
+      offset: offset && [offset.x || offset[0] || 0, offset.y || offset[1] || 0],
+      maxZoom
+    };
+  }
+
   _updateCamera = position => {
-    const {viewport} = this._context;
+    const currentViewState = getViewState(this._context.viewport);
 
     const bounds = this._getBounds(position);
-    const {longitude, latitude, zoom} = new WebMercatorViewport(viewport).fitBounds(bounds);
+    const {longitude, latitude, zoom} =
+      fitBounds(currentViewState, bounds, this._getFitBoundsOptions());
 
-    const newViewState = Object.assign({}, viewport, {longitude, latitude, zoom});
+    const newViewState = Object.assign({}, currentViewState, {longitude, latitude, zoom});
     const mapState = new MapState(newViewState);
     const viewState = Object.assign(
       {},
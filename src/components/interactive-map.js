@@ -1,4 +1,5 @@
 // @flow
+/* global setTimeout, clearTimeout */
 import {PureComponent, createElement, createRef} from 'react';
 import PropTypes from 'prop-types';
 
@@ -6,14 +7,20 @@ import StaticMap from './static-map';
 import {MAPBOX_LIMITS} from '../utils/map-state';
 import WebMercatorViewport from 'viewport-mercator-project';
 
-import TransitionManager from '../utils/transition-manager';
+import TransitionManager, {TRANSITION_EVENTS} from '../utils/transition-manager';
+import {LinearInterpolator, ViewportFlyToInterpolator} from '../utils/transition';
+import {fitBounds} from '../utils/fit-bounds';
+import {createViewport, getViewState} from '../utils/viewport-padding';
 import MapContext from './map-context';
 
 import {EventManager} from 'mjolnir.js';
 import MapController from '../utils/map-controller';
 import deprecateWarn from '../utils/deprecate-warn';
+import {getFeatureIdentifier, isSameFeature, updateFeatureState} from '../utils/feature-state';
 
 import type {ViewState} from '../mapbox/mapbox';
+import type {FeatureIdentifier} from '../utils/feature-state';
+import type {FitBoundsOptions} from '../utils/fit-bounds';
 import type {StaticMapProps} from './static-map';
 import type {MjolnirEvent} from 'mjolnir.js';
 
@@ -29,6 +36,8 @@ const propTypes = Object.assign({}, StaticMap.propTypes, {
   maxPitch: PropTypes.number,
   // Min pitch in degrees
   minPitch: PropTypes.number,
+  // [[west, south], [east, north]] of the area that the viewport is kept in
+  maxBounds: PropTypes.array,
 
   // Callbacks fired when the user interacted with the map. The object passed to the callbacks
   // contains viewport properties such as `longitude`, `latitude`, `zoom` etc.
@@ -51,8 +60,9 @@ const propTypes = Object.assign({}, StaticMap.propTypes, {
   onTransitionEnd: PropTypes.func,
 
   /** Enables control event handling */
-  // Scroll to zoom
-  scrollZoom: PropTypes.bool,
+  // Scroll to zoom.
+  // Either a boolean or options `{wheelSpeed, trackpadSpeed, smooth}`
+  scrollZoom: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
   // Drag to pan
   dragPan: PropTypes.bool,
   // Drag to rotate
@@ -63,8 +73,18 @@ const propTypes = Object.assign({}, StaticMap.propTypes, {
   touchZoom: PropTypes.bool,
   // Multitouch rotate
   touchRotate: PropTypes.bool,
+  // Multitouch pitch
+  touchPitch: PropTypes.bool,
   // Keyboard
-  keyboard: PropTypes.bool,
+  // Either a boolean or options `{keys, panStep, zoomStep, rotateStep, pitchStep}`
+  keyboard: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+  // Shift + drag to zoom into a box
+  boxZoom: PropTypes.bool,
+  // Shift + drag to select a box instead of zooming, see `onBoxSelect`
+  boxSelect: PropTypes.bool,
+  // Keep the map moving after drag and pinch release.
+  // Either a boolean or options `{deceleration, maxSpeed, zoomDeceleration, maxZoomSpeed}`
+  inertia: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
 
   /** Event callbacks */
   onHover: PropTypes.func,
@@ -81,6 +101,7 @@ const propTypes = Object.assign({}, StaticMap.propTypes, {
   onMouseLeave: PropTypes.func,
   onMouseOut: PropTypes.func,
   onWheel: PropTypes.func,
+  onBoxSelect: PropTypes.func,
 
   /** Custom touch-action CSS for the event canvas. Defaults to 'none' */
   touchAction: PropTypes.string,
@@ -91,9 +112,26 @@ const propTypes = Object.assign({}, StaticMap.propTypes, {
   /** List of layers that are interactive */
   interactiveLayerIds: PropTypes.array,
 
+  /** Set the `hover` feature state of the interactive feature under the pointer */
+  autoHighlight: PropTypes.bool,
+
+  /** Event callbacks by layer id, e.g. `{[layerId]: {onClick, onMouseEnter}}` */
+  layerEvents: PropTypes.objectOf(PropTypes.shape({
+    onClick: PropTypes.func,
+    onHover: PropTypes.func,
+    onMouseEnter: PropTypes.func,
+    onMouseLeave: PropTypes.func
+  })),
+
   /** Accessor that returns a cursor style to show interactive state */
   getCursor: PropTypes.func,
 
+  /** Accessibility */
+  // Label of the map for assistive technology
+  ariaLabel: PropTypes.string,
+  // Accessor that returns the text announced when the map moves while it has focus
+  getAnnouncement: PropTypes.func,
+
   // A map control instance to replace the default map controller
   // The object must expose a method: `setOptions(opts)`
   controller: PropTypes.instanceOf(MapController)
@@ -103,6 +141,28 @@ const getDefaultCursor = ({isDragging, isHovering}) => isDragging ?
   'grabbing' :
   (isHovering ? 'pointer' : 'grab');
 
+const getDefaultAnnouncement = ({longitude, latitude, zoom}) =>
+  `Longitude ${longitude.toFixed(4)}, latitude ${latitude.toFixed(4)}, zoom ${zoom.toFixed(1)}`;
+
+// Wait for the map to stop moving before announcing its position
+const ANNOUNCEMENT_DELAY = 500;
+
+const FOCUS_OUTLINE = '2px solid #3887be';
+
+// Hidden from view, but not from screen readers
+const VISUALLY_HIDDEN_STYLE = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap'
+};
+
+// Default duration (ms) of the camera methods
+const CAMERA_DURATION = 500;
+const FLY_TO_DURATION = 1500;
+
 const defaultProps = Object.assign({},
   StaticMap.defaultProps, MAPBOX_LIMITS, TransitionManager.defaultProps,
   {
@@ -113,22 +173,34 @@ const defaultProps = Object.assign({},
     onHover: null,
     onContextMenu: event => event.preventDefault(),
 
+    maxBounds: null,
+
     scrollZoom: true,
     dragPan: true,
     dragRotate: true,
     doubleClickZoom: true,
     touchZoom: true,
     touchRotate: false,
+    touchPitch: false,
     keyboard: true,
+    boxZoom: false,
+    boxSelect: false,
+    inertia: false,
+    onBoxSelect: null,
 
     touchAction: 'none',
     clickRadius: 0,
-    getCursor: getDefaultCursor
+    autoHighlight: false,
+    layerEvents: null,
+    getCursor: getDefaultCursor,
+    ariaLabel: 'Map',
+    getAnnouncement: getDefaultAnnouncement
   }
 );
 
 type InteractionState = {
   isDragging: boolean,
+  selectionBox?: ?Array<Array<number>>
 };
 
 type MapEvent = MjolnirEvent & {
@@ -137,6 +209,13 @@ type MapEvent = MjolnirEvent & {
   features: ?Array<any>
 };
 
+type LayerEventCallbacks = {
+  onClick?: Function,
+  onHover?: Function,
+  onMouseEnter?: Function,
+  onMouseLeave?: Function
+};
+
 type InteractiveMapProps = StaticMapProps & {
   onViewStateChange: Function,
   onViewportChange: Function,
@@ -156,31 +235,66 @@ type InteractiveMapProps = StaticMapProps & {
   onMouseLeave: Function,
   onMouseOut: Function,
   onWheel: Function,
+  onBoxSelect: Function,
 
   transitionDuration: number,
   transitionInterpolator: any,
   transitionInterruption: number,
   transitionEasing: Function,
+  onTransitionStart: Function,
+  onTransitionInterrupt: Function,
+  onTransitionEnd: Function,
 
-  scrollZoom: boolean,
+  scrollZoom: boolean | {wheelSpeed?: number, trackpadSpeed?: number, smooth?: boolean},
   dragPan: boolean,
   dragRotate: boolean,
   doubleClickZoom: boolean,
   touchZoom: boolean,
   touchRotate: boolean,
-  keyboard: boolean,
+  touchPitch: boolean,
+  keyboard: boolean | {
+    keys?: {[action: string]: Array<string | number>},
+    panStep?: number,
+    zoomStep?: number,
+    rotateStep?: number,
+    pitchStep?: number
+  },
+  boxZoom: boolean,
+  boxSelect: boolean,
+  inertia: boolean | {
+    deceleration?: number,
+    maxSpeed?: number,
+    zoomDeceleration?: number,
+    maxZoomSpeed?: number
+  },
 
   touchAction: string,
   clickRadius: number,
   interactiveLayerIds: Array<string>,
+  autoHighlight: boolean,
+  layerEvents: ?{[layerId: string]: LayerEventCallbacks},
   getCursor: Function,
+  ariaLabel: string,
+  getAnnouncement: Function,
   controller: MapController
 };
 
 type State = {
   isLoaded: boolean,
   isDragging: boolean,
-  isHovering: boolean
+  isHovering: boolean,
+  selectionBox: ?Array<Array<number>>,
+  isFocused: boolean,
+  isFocusVisible: boolean,
+  announcement: string
+};
+
+type CameraOptions = {
+  // Transition duration in milliseconds
+  duration?: number,
+  easing?: number => number,
+  // A screen point to zoom/rotate the map around, `easeTo` only
+  around?: Array<number>
 };
 
 type InteractiveContextProps = {
@@ -223,7 +337,15 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     // Whether the cursor is down
     isDragging: false,
     // Whether the cursor is over a clickable feature
-    isHovering: false
+    isHovering: false,
+    // [startPos, endPos] of the box being drawn with shift + drag
+    selectionBox: null,
+    // Whether the map has focus
+    isFocused: false,
+    // Whether the focus came from the keyboard and should be indicated
+    isFocusVisible: false,
+    // Text of the live region
+    announcement: ''
   };
 
   componentDidMount() {
@@ -236,7 +358,7 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
       pointerdown: this._onPointerDown,
       pointermove: this._onPointerMove,
       pointerup: this._onPointerUp,
-      pointerleave: this._onEvent.bind(this, 'onMouseOut'),
+      pointerleave: this._onPointerLeave,
       click: this._onClick,
       anyclick: this._onClick,
       dblclick: this._onEvent.bind(this, 'onDblClick'),
@@ -246,6 +368,11 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
 
     this._setControllerProps(this.props);
 
+    // mjolnir's key input overrides the tab index of the container
+    if (mapContainer) {
+      mapContainer.tabIndex = this._getTabIndex();
+    }
+
     this._updateInteractiveContext({mapContainer});
   }
 
@@ -257,12 +384,36 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     }
   }
 
+  componentDidUpdate(prevProps : InteractiveMapProps) {
+    if (prevProps.autoHighlight && !this.props.autoHighlight) {
+      this._updateHighlightedFeature(null);
+    }
+    if (this.state.isFocused) {
+      this._updateAnnouncement(prevProps);
+    }
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this._announcementTimer);
+    this._controller.teardown();
+    // The camera will not arrive
+    this._rejectCameraRequest();
+  }
+
   _controller : MapController;
   _eventManager : any;
   _interactiveContext : InteractiveContextProps;
   _width : number = 0;
   _height : number = 0;
+  _highlightedFeature : ?FeatureIdentifier = null;
+  // Ids of the layers with `layerEvents` that are under the pointer
+  _hoveredLayerIds : {[layerId: string]: boolean} = {};
   _eventCanvasRef: { current: null | HTMLDivElement } = createRef();
+  _announcementTimer: any = null;
+  // Promise callbacks of the last camera method call
+  _cameraRequest : ?{resolve: Function, reject: Function, isStarted: boolean} = null;
+  // Whether a pointer is down, used to tell keyboard focus from pointer focus
+  _isPointerDown : boolean = false;
   _staticMapRef: { current: null | StaticMap } = createRef();
 
   getMap = () => {
@@ -274,11 +425,49 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     return map && map.queryRenderedFeatures(geometry, options);
   }
 
+  /* Camera methods. Return promises that resolve when the camera arrives,
+     or reject if the transition is interrupted */
+
+  flyTo = (viewState : any, opts : CameraOptions = {}) : Promise<void> => {
+    const {duration = FLY_TO_DURATION, easing} = opts;
+    return this._moveCamera(viewState, duration, easing, new ViewportFlyToInterpolator());
+  }
+
+  easeTo = (viewState : any, opts : CameraOptions = {}) : Promise<void> => {
+    const {duration = CAMERA_DURATION, easing, around} = opts;
+    return this._moveCamera(viewState, duration, easing, new LinearInterpolator({around}));
+  }
+
+  jumpTo = (viewState : any) : Promise<void> => {
+    return this._moveCamera(viewState, 0);
+  }
+
+  fitBounds = (
+    bounds : Array<Array<number>>,
+    opts : CameraOptions & FitBoundsOptions = {}
+  ) : Promise<void> => {
+    const {longitude, latitude, zoom} = fitBounds(getViewState(this._getViewport()), bounds, opts);
+    const viewState = {longitude, latitude, zoom};
+    return opts.linear ? this.easeTo(viewState, opts) : this.flyTo(viewState, opts);
+  }
+
+  zoomTo = (zoom : number, opts : CameraOptions = {}) : Promise<void> => {
+    return this.easeTo({zoom}, opts);
+  }
+
+  rotateTo = (bearing : number, opts : CameraOptions = {}) : Promise<void> => {
+    return this.easeTo({bearing}, opts);
+  }
+
   _setControllerProps(props : InteractiveMapProps) {
     props = Object.assign({}, props, props.viewState, {
       isInteractive: Boolean(props.onViewStateChange || props.onViewportChange),
       onViewportChange: this._onViewportChange,
+      onTransitionStart: this._onTransitionStart,
+      onTransitionInterrupt: this._onTransitionInterrupt,
+      onTransitionEnd: this._onTransitionEnd,
       onStateChange: this._onInteractionStateChange,
+      onBoxSelect: this._onBoxSelect,
       eventManager: this._eventManager,
       width: this._width,
       height: this._height
@@ -287,15 +476,101 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     this._controller.setOptions(props);
   }
 
+  _moveCamera(
+    viewState : any,
+    duration : number,
+    easing : ?(number => number),
+    interpolator? : any
+  ) : Promise<void> {
+    return new Promise((resolve, reject) => {
+      const {onViewStateChange, onViewportChange, transitionEasing} = this.props;
+      if (!onViewStateChange && !onViewportChange) {
+        reject(new Error('onViewStateChange or onViewportChange is required to move the camera'));
+        return;
+      }
+
+      const transitionProps = duration > 0 ? {
+        transitionDuration: duration,
+        transitionEasing: easing || transitionEasing,
+        transitionInterpolator: interpolator,
+        transitionInterruption: TRANSITION_EVENTS.BREAK
+      } : {transitionDuration: 0};
+
+      // The transition may start before `setViewState` returns
+      const lastRequest = this._cameraRequest;
+      this._cameraRequest = {resolve, reject, isStarted: false};
+
+      const isMoving = this._controller.setViewState(viewState, transitionProps);
+      if (isMoving && lastRequest) {
+        // The new camera movement interrupts the last one
+        lastRequest.reject(new Error('Camera transition interrupted'));
+      }
+      if (!isMoving || duration <= 0) {
+        this._cameraRequest = isMoving ? null : lastRequest;
+        resolve();
+      }
+    });
+  }
+
+  _rejectCameraRequest() {
+    const request = this._cameraRequest;
+    if (request) {
+      this._cameraRequest = null;
+      request.reject(new Error('Camera transition interrupted'));
+    }
+  }
+
+  _onTransitionStart = () => {
+    if (this._cameraRequest) {
+      this._cameraRequest.isStarted = true;
+    }
+    const {onTransitionStart} = this.props;
+    if (onTransitionStart) {
+      onTransitionStart();
+    }
+  }
+
+  _onTransitionInterrupt = () => {
+    // Ignore the interruption of an earlier transition by the requested one
+    if (this._cameraRequest && this._cameraRequest.isStarted) {
+      this._rejectCameraRequest();
+    }
+    const {onTransitionInterrupt} = this.props;
+    if (onTransitionInterrupt) {
+      onTransitionInterrupt();
+    }
+  }
+
+  _onTransitionEnd = () => {
+    const request = this._cameraRequest;
+    if (request && request.isStarted) {
+      this._cameraRequest = null;
+      request.resolve();
+    }
+    const {onTransitionEnd} = this.props;
+    if (onTransitionEnd) {
+      onTransitionEnd();
+    }
+  }
+
+  _getQueryParams() {
+    const queryParams = {};
+    const {interactiveLayerIds, layerEvents} = this.props;
+    if (interactiveLayerIds) {
+      // Layers with event callbacks are always interactive
+      const layerIds = layerEvents ? Object.keys(layerEvents) : [];
+      queryParams.layers = interactiveLayerIds.concat(
+        layerIds.filter(layerId => interactiveLayerIds.indexOf(layerId) < 0)
+      );
+    }
+    return queryParams;
+  }
+
   _getFeatures({pos, radius} : {pos : Array<number>, radius : number}) {
     let features;
-    const queryParams = {};
+    const queryParams = this._getQueryParams();
     const map = this.getMap();
 
-    if (this.props.interactiveLayerIds) {
-      queryParams.layers = this.props.interactiveLayerIds;
-    }
-
     if (radius) {
       // Radius enables point features, like marker symbols, to be clicked.
       const size = radius;
@@ -307,11 +582,113 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     return features;
   }
 
+  _updateHighlightedFeature(feature : any) {
+    const map = this.getMap();
+    const prevFeature = this._highlightedFeature;
+    const nextFeature = getFeatureIdentifier(feature);
+
+    if (!map || isSameFeature(prevFeature, nextFeature)) {
+      return;
+    }
+    // The source may have been removed since the feature was highlighted
+    if (prevFeature && map.getSource(prevFeature.source)) {
+      updateFeatureState(map, prevFeature, null, {hover: true});
+    }
+    if (nextFeature) {
+      updateFeatureState(map, nextFeature, {hover: true}, null);
+    }
+    this._highlightedFeature = nextFeature;
+  }
+
+  _isInteractiveFeature = (feature : any) : boolean => {
+    const {interactiveLayerIds, layerEvents} = this.props;
+    const layerId = feature.layer && feature.layer.id;
+    return Boolean(
+      (interactiveLayerIds && interactiveLayerIds.indexOf(layerId) >= 0) ||
+      (layerEvents && layerEvents[layerId])
+    );
+  }
+
+  // Calls the layer event callback of the topmost feature whose layer listens to the event
+  _dispatchLayerEvent(callbackName : string, event : MapEvent, features : ?Array<any>) {
+    const {layerEvents} = this.props;
+    if (!layerEvents || !features) {
+      return;
+    }
+    const target = features.find(feature => {
+      const callbacks = feature.layer && layerEvents[feature.layer.id];
+      return callbacks && callbacks[callbackName];
+    });
+    if (target) {
+      this._callLayerEvent(callbackName, target.layer.id, event, features);
+    }
+  }
+
+  _callLayerEvent(
+    callbackName : string,
+    layerId : string,
+    event : MapEvent,
+    features : ?Array<any>
+  ) {
+    const {layerEvents} = this.props;
+    const func = layerEvents && layerEvents[layerId] && layerEvents[layerId][callbackName];
+    if (func) {
+      func(Object.assign({}, event, {
+        layerId,
+        features: features ? features.filter(feature => feature.layer.id === layerId) : []
+      }));
+    }
+  }
+
+  _updateLayerHoverState(event : MapEvent, features : ?Array<any>) {
+    const {layerEvents} = this.props;
+    if (!layerEvents) {
+      return;
+    }
+
+    const hoveredLayerIds = {};
+    if (features) {
+      features.forEach(feature => {
+        const layerId = feature.layer && feature.layer.id;
+        if (layerEvents[layerId]) {
+          hoveredLayerIds[layerId] = true;
+        }
+      });
+    }
+
+    this._setHoveredLayers(event, hoveredLayerIds, features);
+    this._dispatchLayerEvent('onHover', event, features);
+  }
+
+  // Fires `onMouseLeave` and `onMouseEnter` of layers whose hover state changed
+  _setHoveredLayers(
+    event : MapEvent,
+    hoveredLayerIds : {[string]: boolean},
+    features : ?Array<any>
+  ) {
+    const prevHoveredLayerIds = this._hoveredLayerIds;
+    this._hoveredLayerIds = hoveredLayerIds;
+
+    for (const layerId in prevHoveredLayerIds) {
+      if (!hoveredLayerIds[layerId]) {
+        this._callLayerEvent('onMouseLeave', layerId, event, features);
+      }
+    }
+    for (const layerId in hoveredLayerIds) {
+      if (!prevHoveredLayerIds[layerId]) {
+        this._callLayerEvent('onMouseEnter', layerId, event, features);
+      }
+    }
+  }
+
   _onInteractionStateChange = (interactionState : InteractionState) => {
-    const {isDragging = false} = interactionState;
+    const {isDragging = false, selectionBox = null} = interactionState;
     if (isDragging !== this.state.isDragging) {
       this.setState({isDragging});
     }
+    if (selectionBox !== this.state.selectionBox) {
+      this.setState({selectionBox});
+    }
 
     const {onInteractionStateChange} = this.props;
     if (onInteractionStateChange) {
@@ -345,6 +722,33 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     }
   }
 
+  _onBoxSelect = ({bbox} : {bbox : Array<Array<number>>}) => {
+    const {onBoxSelect} = this.props;
+    if (!onBoxSelect) {
+      return;
+    }
+    const [[x0, y0], [x1, y1]] = bbox;
+    const viewport = this._getViewport();
+    const map = this.getMap();
+
+    onBoxSelect({
+      bbox,
+      // The corners of the box in geo coordinates, as a closed ring
+      polygon: [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]
+        .map(pos => viewport.unproject(pos)),
+      features: map && this.state.isLoaded ?
+        map.queryRenderedFeatures(bbox, this._getQueryParams()) : null
+    });
+  }
+
+  _getViewport() : WebMercatorViewport {
+    // $FlowFixMe
+    return createViewport(Object.assign({}, this.props, this.props.viewState, {
+      width: this._width,
+      height: this._height
+    }));
+  }
+
   /* Generic event handling */
   _normalizeEvent(event : MapEvent) {
     if (event.lngLat) {
@@ -355,11 +759,7 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     const {offsetCenter: {x, y}} = event;
     const pos = [x, y];
 
-    // $FlowFixMe
-    const viewport = new WebMercatorViewport(Object.assign({}, this.props, {
-      width: this._width,
-      height: this._height
-    }));
+    const viewport = this._getViewport();
 
     event.point = pos;
     event.lngLat = viewport.unproject(pos);
@@ -381,6 +781,7 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
 
   /* Special case event handling */
   _onPointerDown = (event : MapEvent) => {
+    this._isPointerDown = true;
     switch (event.pointerType) {
     case 'touch':
       this._onEvent('onTouchStart', event);
@@ -392,6 +793,7 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
   }
 
   _onPointerUp = (event : MapEvent) => {
+    this._isPointerDown = false;
     switch (event.pointerType) {
     case 'touch':
       this._onEvent('onTouchEnd', event);
@@ -413,36 +815,57 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     }
 
     if (!this.state.isDragging) {
-      const {onHover, interactiveLayerIds} = this.props;
+      const {onHover, interactiveLayerIds, layerEvents, autoHighlight} = this.props;
       let features;
       event = this._normalizeEvent(event);
-      if (this.state.isLoaded && (interactiveLayerIds || onHover)) {
+      if (this.state.isLoaded &&
+        (interactiveLayerIds || layerEvents || onHover || autoHighlight)) {
         features = this._getFeatures({pos: event.point, radius: this.props.clickRadius});
       }
+      if (autoHighlight) {
+        this._updateHighlightedFeature(features && features[0]);
+      }
       if (onHover) {
         // backward compatibility: v3 `onHover` interface
         event.features = features;
         onHover(event);
       }
+      this._updateHoverState(event, features);
+      this._updateLayerHoverState(event, features);
+    }
+  }
 
-      const isHovering = Boolean(interactiveLayerIds && features && features.length > 0);
-      const isEntering = isHovering && !this.state.isHovering;
-      const isExiting = !isHovering && this.state.isHovering;
+  _updateHoverState(event : MapEvent, features : ?Array<any>) {
+    const isHovering = Boolean(features && features.some(this._isInteractiveFeature));
+    const isEntering = isHovering && !this.state.isHovering;
+    const isExiting = !isHovering && this.state.isHovering;
 
-      if (isEntering) {
-        this._onEvent('onMouseEnter', event);
-      }
-      if (isExiting) {
-        this._onEvent('onMouseLeave', event);
-      }
-      if (isEntering || isExiting) {
-        this.setState({isHovering});
-      }
+    if (isEntering) {
+      this._onEvent('onMouseEnter', event);
+    }
+    if (isExiting) {
+      this._onEvent('onMouseLeave', event);
+    }
+    if (isEntering || isExiting) {
+      this.setState({isHovering});
+    }
+  }
+
+  _onPointerLeave = (event : MapEvent) => {
+    if (this.props.autoHighlight) {
+      this._updateHighlightedFeature(null);
     }
+    this._setHoveredLayers(this._normalizeEvent(event), {}, null);
+    this._onEvent('onMouseOut', event);
+  }
+
+  _onLayerClick = (event : MapEvent) => {
+    this._dispatchLayerEvent('onClick', event, event.features);
   }
 
   _onClick = (event : MapEvent) => {
-    const {onClick, onNativeClick, onDblClick, doubleClickZoom} = this.props;
+    const {onClick, onNativeClick, onDblClick, doubleClickZoom, layerEvents} = this.props;
+    const clickCallbacks = [onClick, layerEvents && this._onLayerClick];
     let callbacks = [];
     const isDoubleClickEnabled = onDblClick || doubleClickZoom;
 
@@ -455,13 +878,13 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     case 'anyclick':
       callbacks.push(onNativeClick);
       if (!isDoubleClickEnabled) {
-        callbacks.push(onClick);
+        callbacks.push(...clickCallbacks);
       }
       break;
 
     case 'click':
       if (isDoubleClickEnabled) {
-        callbacks.push(onClick);
+        callbacks.push(...clickCallbacks);
       }
       break;
 
@@ -478,32 +901,97 @@ export default class InteractiveMap extends PureComponent<InteractiveMapProps, S
     }
   }
 
+  _onFocus = () => {
+    this.setState({isFocused: true, isFocusVisible: !this._isPointerDown});
+  }
+
+  _onBlur = () => {
+    clearTimeout(this._announcementTimer);
+    this.setState({isFocused: false, isFocusVisible: false});
+  }
+
+  _getTabIndex() : number {
+    const {keyboard, onViewStateChange, onViewportChange} = this.props;
+    // The map can be focused only if it can be moved with the keyboard
+    return keyboard && (onViewStateChange || onViewportChange) ? 0 : -1;
+  }
+
+  // Announces the map position after it stops moving
+  _updateAnnouncement(prevProps : InteractiveMapProps) {
+    const viewState = this.props.viewState || this.props;
+    const prevViewState = prevProps.viewState || prevProps;
+    const isMoved = ['longitude', 'latitude', 'zoom']
+      .some(key => viewState[key] !== prevViewState[key]);
+
+    if (isMoved) {
+      clearTimeout(this._announcementTimer);
+      this._announcementTimer = setTimeout(() => {
+        const {longitude, latitude, zoom} = this.props.viewState || this.props;
+        this.setState({announcement: this.props.getAnnouncement({longitude, latitude, zoom})});
+      }, ANNOUNCEMENT_DELAY);
+    }
+  }
+
+  _renderSelectionBox() {
+    const {selectionBox} = this.state;
+    if (!selectionBox) {
+      return null;
+    }
+    const [[x0, y0], [x1, y1]] = selectionBox;
+    return createElement('div', {
+      key: 'selection-box',
+      className: 'mapboxgl-boxzoom',
+      style: {
+        transform: `translate(${Math.min(x0, x1)}px, ${Math.min(y0, y1)}px)`,
+        width: Math.abs(x1 - x0),
+        height: Math.abs(y1 - y0),
+        pointerEvents: 'none'
+      }
+    });
+  }
+
   render() {
-    const {width, height, style, getCursor} = this.props;
+    const {width, height, style, getCursor, ariaLabel} = this.props;
+    const {isFocusVisible, announcement} = this.state;
 
-    const eventCanvasStyle = Object.assign({position: 'relative'}, style, {
+    // The outline of `style` is only replaced while the focus is indicated
+    const eventCanvasStyle = Object.assign({position: 'relative', outline: 'none'}, style, {
       width,
       height,
       cursor: getCursor(this.state)
-    });
+    }, isFocusVisible && {outline: FOCUS_OUTLINE});
 
     return createElement(MapContext.Provider, {value: this._interactiveContext},
       createElement('div', {
         key: 'event-canvas',
         ref: this._eventCanvasRef,
-        style: eventCanvasStyle
+        style: eventCanvasStyle,
+        tabIndex: this._getTabIndex(),
+        role: 'region',
+        'aria-label': ariaLabel,
+        onFocus: this._onFocus,
+        onBlur: this._onBlur
       },
         createElement(StaticMap, Object.assign({}, this.props,
           {
-            width: '100%',
-            height: '100%',
+            // Pass fixed dimensions through, so that the overlays can be rendered
+            // before the container is measured, e.g. on the server
+            width: typeof width === 'number' ? width : '100%',
+            height: typeof height === 'number' ? height : '100%',
             style: null,
             onResize: this._onResize,
             onLoad: this._onLoad,
             ref: this._staticMapRef,
             children: this.props.children
           }
-        ))
+        )),
+        this._renderSelectionBox(),
+        createElement('div', {
+          key: 'announcement',
+          style: VISUALLY_HIDDEN_STYLE,
+          'aria-live': 'polite',
+          'aria-atomic': true
+        }, announcement)
       )
     );
   }
@@ -0,0 +1,211 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent, createElement} from 'react';
+import PropTypes from 'prop-types';
+import MapContext from './map-context';
+import assert from '../utils/assert';
+import deepEqual from '../utils/deep-equal';
+import {isStyleLoaded} from '../utils/style-utils';
+
+const propTypes = {
+  // Unique id of the layer. Generated if not supplied.
+  id: PropTypes.string,
+  // Layer type, e.g. `fill`, `line`, `symbol`, `circle`
+  type: PropTypes.string.isRequired,
+  // Id of the source. Supplied automatically if the layer is a child of a `Source`.
+  source: PropTypes.string,
+  // Id of an existing layer to insert this layer before
+  beforeId: PropTypes.string,
+  layout: PropTypes.object,
+  paint: PropTypes.object,
+  filter: PropTypes.array,
+  minzoom: PropTypes.number,
+  maxzoom: PropTypes.number
+};
+
+const defaultProps = {
+  layout: {},
+  paint: {}
+};
+
+// Props that can be changed after the layer is created
+const UPDATABLE_PROPS = ['beforeId', 'layout', 'paint', 'filter', 'minzoom', 'maxzoom'];
+
+export type LayerProps = {
+  id?: string,
+  type: string,
+  source?: string,
+  beforeId?: string,
+  layout: any,
+  paint: any,
+  filter?: Array<any>,
+  minzoom?: number,
+  maxzoom?: number
+};
+
+let layerCounter = 0;
+
+/*
+ * A declarative wrapper of a Mapbox layer. Props should conform to the
+ * Mapbox layer specification, with the addition of `beforeId`.
+ * https://www.mapbox.com/mapbox-gl-js/style-spec/#layers
+ */
+export default class Layer extends PureComponent<LayerProps> {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  constructor(props : LayerProps) {
+    super(props);
+    this.id = props.id || `jsx-layer-${layerCounter++}`;
+    this.type = props.type;
+  }
+
+  componentWillUnmount() {
+    const map = this._map;
+    if (!map) {
+      return;
+    }
+    map.off('styledata', this._onStyleChange);
+    map.off('sourcedata', this._onStyleChange);
+    if (map.style && map.getLayer(this.id)) {
+      map.removeLayer(this.id);
+    }
+    this._map = null;
+  }
+
+  id : string;
+  type : string;
+  _map : any = null;
+  _layerProps : any = null;
+
+  // The base style may be swapped out from under us, which drops this layer.
+  // Also re-check when sources are added, as our source may have been dropped too.
+  _onStyleChange = () => {
+    const map = this._map;
+    if (map && isStyleLoaded(map) && !map.getLayer(this.id)) {
+      this._layerProps = null;
+      this.forceUpdate();
+    }
+  }
+
+  _getLayerOptions() : any {
+    const layerOptions = {id: this.id};
+    for (const key in this.props) {
+      if (key !== 'id' && key !== 'beforeId' && key !== 'children') {
+        layerOptions[key] = this.props[key];
+      }
+    }
+    return layerOptions;
+  }
+
+  _createLayer() {
+    const map = this._map;
+    const {beforeId} = this.props;
+    // Mapbox throws if `beforeId` does not exist, e.g. it was dropped by a style change
+    const insertBefore = beforeId && map.getLayer(beforeId) ? beforeId : undefined;
+    map.addLayer(this._getLayerOptions(), insertBefore);
+  }
+
+  /* eslint-disable complexity */
+  _updateLayer(prevProps : LayerProps) {
+    const map = this._map;
+    const {id} = this;
+    const props = this.props;
+
+    const {beforeId} = props;
+    if (beforeId !== prevProps.beforeId && (!beforeId || map.getLayer(beforeId))) {
+      map.moveLayer(id, beforeId);
+    }
+    if (props.layout !== prevProps.layout) {
+      this._diffProperties(prevProps.layout, props.layout, map.setLayoutProperty.bind(map));
+    }
+    if (props.paint !== prevProps.paint) {
+      this._diffProperties(prevProps.paint, props.paint, map.setPaintProperty.bind(map));
+    }
+    if (!deepEqual(props.filter, prevProps.filter)) {
+      map.setFilter(id, props.filter);
+    }
+    if (props.minzoom !== prevProps.minzoom || props.maxzoom !== prevProps.maxzoom) {
+      map.setLayerZoomRange(id, props.minzoom, props.maxzoom);
+    }
+
+    for (const key in props) {
+      if (UPDATABLE_PROPS.indexOf(key) < 0 && !deepEqual(props[key], prevProps[key])) {
+        console.warn(`react-map-gl: Unable to update <Layer> prop: ${key}`); // eslint-disable-line
+      }
+    }
+  }
+  /* eslint-enable complexity */
+
+  _diffProperties(oldValues : any = {}, newValues : any = {}, setProperty : Function) {
+    for (const key in newValues) {
+      if (!deepEqual(newValues[key], oldValues[key])) {
+        setProperty(this.id, key, newValues[key]);
+      }
+    }
+    for (const key in oldValues) {
+      if (!newValues.hasOwnProperty(key)) {
+        // Reset to default
+        setProperty(this.id, key, undefined);
+      }
+    }
+  }
+
+  _syncLayer(map : any) {
+    if (map !== this._map) {
+      if (this._map) {
+        this._map.off('styledata', this._onStyleChange);
+        this._map.off('sourcedata', this._onStyleChange);
+      }
+      this._map = map;
+      this._layerProps = null;
+      map.on('styledata', this._onStyleChange);
+      map.on('sourcedata', this._onStyleChange);
+    }
+
+    const {source} = this.props;
+    if (!isStyleLoaded(map) || (source && !map.getSource(source))) {
+      // Wait for the style and source to load. `_onStyleChange` will trigger a rerender.
+      return;
+    }
+
+    if (!map.getLayer(this.id)) {
+      this._createLayer();
+    } else if (this._layerProps) {
+      this._updateLayer(this._layerProps);
+    }
+    this._layerProps = this.props;
+  }
+
+  _render(context : any) {
+    assert(this.props.type === this.type, 'react-map-gl: <Layer> type cannot be changed');
+
+    if (context.map) {
+      this._syncLayer(context.map);
+    }
+    return null;
+  }
+
+  render() {
+    return createElement(MapContext.Consumer, null, this._render.bind(this));
+  }
+}
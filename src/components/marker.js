@@ -21,6 +21,7 @@
 import {createElement} from 'react';
 import PropTypes from 'prop-types';
 import DraggableControl from './draggable-control';
+import {isPixelOffscreen} from '../utils/offscreen';
 
 const propTypes = Object.assign({}, DraggableControl.propTypes, {
   // Custom className
@@ -28,13 +29,19 @@ const propTypes = Object.assign({}, DraggableControl.propTypes, {
   // Longitude of the anchor point
   longitude: PropTypes.number.isRequired,
   // Latitude of the anchor point
-  latitude: PropTypes.number.isRequired
+  latitude: PropTypes.number.isRequired,
+  // Skip rendering if the marker is outside of the viewport
+  cullOffscreen: PropTypes.bool,
+  // Distance in pixels outside of the viewport within which the marker is not culled
+  cullBuffer: PropTypes.number
 });
 
 const defaultProps = Object.assign({}, DraggableControl.defaultProps, {
   className: '',
   offsetLeft: 0,
-  offsetTop: 0
+  offsetTop: 0,
+  cullOffscreen: false,
+  cullBuffer: 100
 });
 
 /*
@@ -65,12 +72,26 @@ export default class Marker extends DraggableControl {
     return [x, y];
   }
 
+  _isOffscreen(x: number, y: number): boolean {
+    const {longitude, latitude, cullBuffer} = this.props;
+    const {viewport} = this._context;
+
+    // Depth of the anchor, used to detect markers behind the camera
+    const z = viewport.project([longitude, latitude, 0])[2];
+    return isPixelOffscreen(viewport, [x, y, z], cullBuffer);
+  }
+
   _render() {
-    const {className, draggable} = this.props;
+    const {className, draggable, cullOffscreen} = this.props;
     const {dragPos} = this.state;
 
     const [x, y] = this._getPosition();
 
+    // Never cull the marker being dragged, it would interrupt the gesture
+    if (cullOffscreen && !dragPos && this._isOffscreen(x, y)) {
+      return null;
+    }
+
     const containerStyle = {
       position: 'absolute',
       left: x,
@@ -0,0 +1,291 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {createElement} from 'react';
+import PropTypes from 'prop-types';
+import BaseControl from './base-control';
+import SVGOverlay from '../overlays/svg-overlay';
+import {UNITS, UNIT_STEPS} from './scale-control';
+import {getPixelDistance, getDistance, getLength, getArea} from '../utils/geometry-utils';
+
+// Distance in pixels around a measured position that is considered a hit
+const HIT_RADIUS = 8;
+const POINT_RADIUS = 4;
+// Offset of the total label from the last position
+const LABEL_OFFSET = 12;
+
+const propTypes = Object.assign({}, BaseControl.propTypes, {
+  // Custom className
+  className: PropTypes.string,
+  // Whether clicks on the map add positions
+  active: PropTypes.bool,
+  // Measure the length of a path or the area of a polygon
+  mode: PropTypes.oneOf(['distance', 'area']),
+  units: PropTypes.oneOf(UNITS),
+  // Called with `{positions, distance, area, isComplete}` when a position is added
+  onMeasure: PropTypes.func,
+  // SVG styles
+  lineStyle: PropTypes.object,
+  pointStyle: PropTypes.object,
+  labelStyle: PropTypes.object
+});
+
+const defaultProps = Object.assign({}, BaseControl.defaultProps, {
+  className: '',
+  // Dragging pans the map while measuring
+  captureDrag: false,
+  active: true,
+  mode: 'distance',
+  units: 'metric',
+  onMeasure: () => {},
+  lineStyle: {
+    fill: 'rgba(251, 176, 59, 0.1)',
+    stroke: '#fbb03b',
+    strokeWidth: 2,
+    strokeDasharray: '6 3'
+  },
+  pointStyle: {
+    fill: '#fff',
+    stroke: '#fbb03b',
+    strokeWidth: 2
+  },
+  labelStyle: {
+    font: '12px "Helvetica Neue", Arial, Helvetica, sans-serif',
+    fill: '#333',
+    stroke: '#fff',
+    strokeWidth: 3,
+    paintOrder: 'stroke'
+  }
+});
+
+// Returns the largest unit that the measure is at least one of
+function getUnitStep(meters, units, power) {
+  const steps = UNIT_STEPS[units];
+  return steps.find(s => meters >= Math.pow(s.meters, power)) || steps[steps.length - 1];
+}
+
+function formatNumber(value) {
+  return value.toFixed(value < 10 ? 2 : value < 100 ? 1 : 0);
+}
+
+// Returns a label such as `1.25 km` for a distance in meters
+export function formatDistance(meters, units) {
+  const step = getUnitStep(meters, units, 1);
+  return `${formatNumber(meters / step.meters)} ${step.label}`;
+}
+
+// Returns a label such as `3.40 km²` for an area in square meters
+export function formatArea(squareMeters, units) {
+  const step = getUnitStep(squareMeters, units, 2);
+  return `${formatNumber(squareMeters / step.meters / step.meters)} ${step.label}²`;
+}
+
+/*
+ * Measures the length of a path or the area of a polygon clicked on the map.
+ * Clicks are captured while the control is active.
+ */
+export default class MeasureControl extends BaseControl {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  // The measurement is cleared when the control is deactivated or the mode changes
+  static getDerivedStateFromProps(props, state) {
+    return props.active === state.active && props.mode === state.mode ? null :
+      {active: props.active, mode: props.mode, positions: [], pointer: null, isComplete: false};
+  }
+
+  constructor(props) {
+    super(props);
+
+    this._pointerEvents = null;
+
+    this.state = {
+      active: null,
+      mode: null,
+      positions: [],
+      // The position of the pointer while measuring
+      pointer: null,
+      isComplete: false
+    };
+  }
+
+  _getEventPosition(event) {
+    const {offsetCenter: {x, y}} = event;
+    return [x, y];
+  }
+
+  _isPositionAt(position, pos) {
+    return position ?
+      getPixelDistance(pos, this._context.viewport.project(position)) <= HIT_RADIUS : false;
+  }
+
+  _getMeasure(positions) {
+    const isArea = this.props.mode === 'area' && positions.length >= 3;
+    return {
+      distance: getLength(isArea ? positions.concat([positions[0]]) : positions),
+      area: isArea ? getArea(positions) : 0
+    };
+  }
+
+  _updatePositions(positions, isComplete) {
+    this.setState({positions, isComplete});
+    this.props.onMeasure(Object.assign({positions, isComplete}, this._getMeasure(positions)));
+  }
+
+  // Adds a clicked position, or completes the measurement
+  _addPosition(pos) {
+    const {mode} = this.props;
+    const {positions, isComplete} = this.state;
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    const position = this._context.viewport.unproject(pos);
+
+    if (isComplete) {
+      // Start a new measurement
+      this._updatePositions([position], false);
+    } else if (positions.length >= (mode === 'area' ? 3 : 2) &&
+      (this._isPositionAt(last, pos) || mode === 'area' && this._isPositionAt(first, pos))) {
+      // Clicking the last position again, e.g. double clicking, completes the measurement
+      this._updatePositions(positions, true);
+    } else if (!this._isPositionAt(last, pos)) {
+      this._updatePositions(positions.concat([position]), false);
+    }
+  }
+
+  /* Event handling */
+
+  _updateEvents() {
+    super._updateEvents();
+
+    // The last segment follows the pointer anywhere on the map
+    const {eventManager} = this._context;
+    if (eventManager && !this._pointerEvents) {
+      this._pointerEvents = {pointermove: this._onPointerMove};
+      eventManager.on(this._pointerEvents);
+    }
+  }
+
+  _removeEvents() {
+    super._removeEvents();
+
+    const {eventManager} = this._context;
+    if (eventManager && this._pointerEvents) {
+      eventManager.off(this._pointerEvents);
+    }
+    this._pointerEvents = null;
+  }
+
+  _onPointerMove = event => {
+    const {positions, isComplete} = this.state;
+    if (this.props.active && positions.length && !isComplete) {
+      this.setState({pointer: this._context.viewport.unproject(this._getEventPosition(event))});
+    }
+  }
+
+  // `anyclick` is fired immediately, also when double clicking. `click` is only fired for
+  // single clicks and is captured so that the map does not handle it.
+  _onClick = event => {
+    if (!this.props.active) {
+      return;
+    }
+    event.stopPropagation();
+    if (event.type !== 'click') {
+      this._addPosition(this._getEventPosition(event));
+    }
+  }
+
+  _onDblClick = event => {
+    // Do not zoom while measuring
+    if (this.props.active) {
+      event.stopPropagation();
+    }
+  }
+
+  /* Rendering */
+
+  _renderLabel(key, [x, y], text) {
+    return createElement('text', {
+      key,
+      className: 'mapboxgl-measure-label',
+      x,
+      y,
+      textAnchor: 'middle',
+      style: this.props.labelStyle
+    }, text);
+  }
+
+  _redraw({width, height, project}) {
+    const {className, active, mode, units, lineStyle, pointStyle} = this.props;
+    const {positions, pointer, isComplete} = this.state;
+    const measured = pointer && !isComplete ? positions.concat([pointer]) : positions;
+    const isArea = mode === 'area' && measured.length >= 3;
+    const path = isArea ? measured.concat([measured[0]]) : measured;
+    const points = path.map(p => project(p));
+    const {distance, area} = this._getMeasure(measured);
+    const last = points[measured.length - 1];
+
+    return createElement('g', {
+      className: `mapboxgl-measure ${className}`,
+      ref: this._containerRef
+    }, [
+      // Captures the clicks on the whole map while active
+      active && createElement('rect', {
+        key: 'background',
+        width,
+        height,
+        style: {fill: 'transparent', cursor: 'crosshair'}
+      }),
+      points.length > 1 && createElement('path', {
+        key: 'line',
+        className: 'mapboxgl-measure-line',
+        d: points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0]},${p[1]}`).join(' '),
+        style: Object.assign({pointerEvents: 'none'}, lineStyle, !isArea && {fill: 'none'})
+      }),
+      positions.map((p, i) => {
+        const [cx, cy] = project(p);
+        return createElement('circle', {
+          key: `point-${i}`,
+          className: 'mapboxgl-measure-point',
+          cx,
+          cy,
+          r: POINT_RADIUS,
+          style: pointStyle
+        });
+      }),
+      // Length of each segment
+      path.slice(1).map((p, i) => this._renderLabel(
+        `segment-${i}`,
+        [(points[i][0] + points[i + 1][0]) / 2, (points[i][1] + points[i + 1][1]) / 2],
+        formatDistance(getDistance(path[i], p), units)
+      )),
+      // Running total
+      measured.length > 1 && this._renderLabel(
+        'total',
+        [last[0], last[1] - LABEL_OFFSET],
+        isArea ? formatArea(area, units) : formatDistance(distance, units)
+      )
+    ]);
+  }
+
+  _render() {
+    // SVGOverlay is pure, a new callback redraws it when the state of the control changes
+    return createElement(SVGOverlay, {redraw: opts => this._redraw(opts)});
+  }
+}
@@ -4,6 +4,7 @@ import BaseControl from './base-control';
 
 import MapState from '../utils/map-state';
 import {LINEAR_TRANSITION_PROPS} from '../utils/map-controller';
+import {getViewState} from '../utils/viewport-padding';
 
 import deprecateWarn from '../utils/deprecate-warn';
 
@@ -45,7 +46,7 @@ export default class NavigationControl extends BaseControl {
 
   _updateViewport(opts) {
     const {viewport} = this._context;
-    const mapState = new MapState(Object.assign({}, viewport, opts));
+    const mapState = new MapState(Object.assign({}, getViewState(viewport), opts));
     const viewState = Object.assign({}, mapState.getViewportProps(), LINEAR_TRANSITION_PROPS);
 
     // Call new style callback
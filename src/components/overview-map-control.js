@@ -0,0 +1,187 @@
+import {createElement} from 'react';
+import PropTypes from 'prop-types';
+import WebMercatorViewport from 'viewport-mercator-project';
+import DraggableControl from './draggable-control';
+import StaticMap from './static-map';
+
+import MapState, {MAPBOX_LIMITS} from '../utils/map-state';
+import {LINEAR_TRANSITION_PROPS} from '../utils/map-controller';
+import {getViewState} from '../utils/viewport-padding';
+import {clamp} from '../utils/math-utils';
+
+const propTypes = Object.assign({}, DraggableControl.propTypes, {
+  // Custom className
+  className: PropTypes.string,
+  // Size of the overview map in pixels
+  width: PropTypes.number,
+  height: PropTypes.number,
+  // Zoom of the overview map relative to the main map
+  zoomOffset: PropTypes.number,
+  // Style of the overview map
+  mapStyle: PropTypes.oneOfType([
+    PropTypes.object,
+    PropTypes.string
+  ]),
+  mapboxApiAccessToken: PropTypes.string,
+  // SVG style of the footprint of the main map
+  footprintStyle: PropTypes.object,
+  // Callbacks fired when the user moved the main map from the overview map
+  onViewStateChange: PropTypes.func,
+  onViewportChange: PropTypes.func
+});
+
+const defaultProps = Object.assign({}, DraggableControl.defaultProps, {
+  className: '',
+  draggable: true,
+  width: 200,
+  height: 150,
+  zoomOffset: -5,
+  mapStyle: StaticMap.defaultProps.mapStyle,
+  mapboxApiAccessToken: StaticMap.defaultProps.mapboxApiAccessToken,
+  footprintStyle: {
+    fill: 'rgba(56, 135, 190, 0.2)',
+    stroke: '#3887be',
+    strokeWidth: 2
+  },
+  onViewStateChange: () => {},
+  onViewportChange: () => {}
+});
+
+/*
+ * Renders a small overview map with the footprint of the main map. Dragging the
+ * footprint or clicking the overview map moves the main map.
+ */
+export default class OverviewMapControl extends DraggableControl {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  // Overview viewport and main view state at the start of a drag
+  _dragStart = null;
+
+  _getOverviewViewport(viewState) {
+    const {width, height, zoomOffset} = this.props;
+    return new WebMercatorViewport({
+      width,
+      height,
+      longitude: viewState.longitude,
+      latitude: viewState.latitude,
+      zoom: clamp(viewState.zoom + zoomOffset, MAPBOX_LIMITS.minZoom, MAPBOX_LIMITS.maxZoom)
+    });
+  }
+
+  // Returns the corners of the main viewport in the overview map, a trapezoid if pitched
+  _getFootprint(overviewViewport) {
+    const {viewport} = this._context;
+    const {width, height} = viewport;
+    return [[0, 0], [width, 0], [width, height], [0, height]]
+      .map(p => overviewViewport.project(viewport.unproject(p)));
+  }
+
+  // Returns the position of the pointer relative to the overview map
+  _getEventPosition(event) {
+    const {center: {x, y}} = event;
+    const rect = this._containerRef.current.getBoundingClientRect();
+    return [x - rect.left, y - rect.top];
+  }
+
+  _updateViewport(opts, transitionProps) {
+    const {viewport} = this._context;
+    const mapState = new MapState(Object.assign({}, getViewState(viewport), opts));
+    const viewState = Object.assign({}, mapState.getViewportProps(), transitionProps);
+
+    // Call new style callback
+    this.props.onViewStateChange({viewState});
+
+    // Call old style callback
+    this.props.onViewportChange(viewState);
+  }
+
+  _onDragStart = event => {
+    const {draggable, captureDrag} = this.props;
+    if (draggable || captureDrag) {
+      event.stopPropagation();
+    }
+    if (!draggable) {
+      return;
+    }
+
+    const viewState = getViewState(this._context.viewport);
+    this._dragStart = {
+      pos: this._getEventPosition(event),
+      center: [viewState.longitude, viewState.latitude],
+      // The overview map follows the main map, use the overview at the start of the drag
+      overviewViewport: this._getOverviewViewport(viewState)
+    };
+    this._setupDragEvents();
+  }
+
+  _onDrag = event => {
+    event.stopPropagation();
+
+    const {pos, center, overviewViewport} = this._dragStart;
+    const [x, y] = this._getEventPosition(event);
+    const [centerX, centerY] = overviewViewport.project(center);
+    const [longitude, latitude] =
+      overviewViewport.unproject([centerX + x - pos[0], centerY + y - pos[1]]);
+    this._updateViewport({longitude, latitude}, {transitionDuration: 0});
+  }
+
+  _onDragEnd = event => {
+    event.stopPropagation();
+    this._dragStart = null;
+    this._removeDragEvents();
+  }
+
+  _onDragCancel = this._onDragEnd;
+
+  // `anyclick` is fired immediately and `click` after the double click delay,
+  // only `anyclick` recenters the map
+  _onClick = event => {
+    if (this.props.captureClick) {
+      event.stopPropagation();
+    }
+    if (event.type === 'click') {
+      return;
+    }
+
+    const overviewViewport = this._getOverviewViewport(getViewState(this._context.viewport));
+    const [longitude, latitude] = overviewViewport.unproject(this._getEventPosition(event));
+    this._updateViewport({longitude, latitude}, LINEAR_TRANSITION_PROPS);
+  }
+
+  _render() {
+    const {className, width, height, mapStyle, mapboxApiAccessToken, footprintStyle} = this.props;
+    const overviewViewport = this._getOverviewViewport(getViewState(this._context.viewport));
+    const {longitude, latitude, zoom} = overviewViewport;
+    const footprint = this._getFootprint(overviewViewport);
+
+    return createElement('div', {
+      className: `mapboxgl-ctrl mapboxgl-ctrl-overview ${className}`,
+      ref: this._containerRef,
+      style: {position: 'relative', width, height, overflow: 'hidden', cursor: 'pointer'}
+    }, [
+      createElement(StaticMap, {
+        key: 'map',
+        width,
+        height,
+        longitude,
+        latitude,
+        zoom,
+        mapStyle,
+        mapboxApiAccessToken,
+        attributionControl: false
+      }),
+      createElement('svg', {
+        key: 'footprint',
+        width,
+        height,
+        style: {position: 'absolute', left: 0, top: 0, pointerEvents: 'none'}
+      }, createElement('polygon', {
+        className: 'mapboxgl-ctrl-overview-footprint',
+        points: footprint.map(p => `${p[0]},${p[1]}`).join(' '),
+        style: footprintStyle
+      }))
+    ]);
+  }
+}
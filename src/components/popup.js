@@ -22,6 +22,8 @@ import PropTypes from 'prop-types';
 import BaseControl from './base-control';
 
 import {getDynamicPosition, ANCHOR_POSITION} from '../utils/dynamic-position';
+import {isPixelOffscreen} from '../utils/offscreen';
+import {getViewportPadding} from '../utils/viewport-padding';
 
 const propTypes = Object.assign({}, BaseControl.propTypes, {
   // Custom className
@@ -48,6 +50,10 @@ const propTypes = Object.assign({}, BaseControl.propTypes, {
   dynamicPosition: PropTypes.bool,
   // Whether popups should be sorted by depth. Useful when using multiple popups with tilted map.
   sortByDepth: PropTypes.bool,
+  // Skip rendering if the anchor is outside of the viewport
+  cullOffscreen: PropTypes.bool,
+  // Distance in pixels outside of the viewport within which the popup is not culled
+  cullBuffer: PropTypes.number,
   // Callback when component is closed
   onClose: PropTypes.func
 });
@@ -61,6 +67,8 @@ const defaultProps = Object.assign({}, BaseControl.defaultProps, {
   anchor: 'bottom',
   dynamicPosition: true,
   sortByDepth: false,
+  cullOffscreen: false,
+  cullBuffer: 100,
   closeButton: true,
   closeOnClick: true,
   onClose: () => {}
@@ -97,11 +105,15 @@ export default class Popup extends BaseControl {
     const content = this._contentRef.current;
 
     if (content) {
+      // Fit in the area that is not covered by the padding of the view state
+      const {top, right, bottom, left} = getViewportPadding(viewport);
       return dynamicPosition ? getDynamicPosition({
-        x, y, anchor,
+        x: x - left,
+        y: y - top,
+        anchor,
         padding: tipSize,
-        width: viewport.width,
-        height: viewport.height,
+        width: viewport.width - left - right,
+        height: viewport.height - top - bottom,
         selfWidth: content.clientWidth,
         selfHeight: content.clientHeight
       }) : anchor;
@@ -125,7 +137,7 @@ export default class Popup extends BaseControl {
     if (!sortByDepth) {
       return style;
     }
-    if (z > 1 || z < -1 || x < 0 || x > viewport.width || y < 0 || y > viewport.height) {
+    if (isPixelOffscreen(viewport, [x, y, z])) {
       // clipped
       style.display = 'none';
     } else {
@@ -178,9 +190,14 @@ export default class Popup extends BaseControl {
   }
 
   _render() {
-    const {className, longitude, latitude, altitude} = this.props;
+    const {className, longitude, latitude, altitude, cullOffscreen, cullBuffer} = this.props;
+    const {viewport} = this._context;
+
+    const [x, y, z] = viewport.project([longitude, latitude, altitude]);
 
-    const [x, y, z] = this._context.viewport.project([longitude, latitude, altitude]);
+    if (cullOffscreen && isPixelOffscreen(viewport, [x, y, z], cullBuffer)) {
+      return null;
+    }
 
     const positionType = this._getPosition(x, y);
     const containerStyle = this._getContainerStyle(x, y, z, positionType);
@@ -0,0 +1,129 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import PropTypes from 'prop-types';
+import BaseControl from './base-control';
+import {createElement} from 'react';
+
+import type {ControlProps} from './base-control';
+
+export const UNITS = ['metric', 'imperial', 'nautical'];
+
+const propTypes = Object.assign({}, BaseControl.propTypes, {
+  // Custom className
+  className: PropTypes.string,
+  // Maximum width of the scale bar in pixels
+  maxWidth: PropTypes.number,
+  // Unit of the scale bar
+  unit: PropTypes.oneOf(UNITS),
+  // Unit of a second scale bar, rendered below the first one
+  secondaryUnit: PropTypes.oneOf(UNITS)
+});
+
+type ScaleControlProps = ControlProps & {
+  className: string,
+  maxWidth: number,
+  unit: string,
+  secondaryUnit: ?string
+};
+
+const defaultProps = Object.assign({}, BaseControl.defaultProps, {
+  className: '',
+  maxWidth: 100,
+  unit: 'metric',
+  secondaryUnit: null
+});
+
+// Length in meters and label of the units, from the largest to the smallest
+export const UNIT_STEPS = {
+  metric: [{meters: 1000, label: 'km'}, {meters: 1, label: 'm'}],
+  imperial: [{meters: 1609.344, label: 'mi'}, {meters: 0.3048, label: 'ft'}],
+  nautical: [{meters: 1852, label: 'nm'}]
+};
+
+// Returns the largest number of the form 1, 2, 3 or 5 times a power of 10 that is not above n
+export function getRoundNumber(n: number): number {
+  const exponent = Math.floor(Math.log10(n));
+  const pow10 = Math.pow(10, exponent);
+  const d = n / pow10;
+  const digit = d >= 5 ? 5 : d >= 3 ? 3 : d >= 2 ? 2 : 1;
+  // Avoid floating point errors such as 0.30000000000000004
+  return Number((digit * pow10).toFixed(Math.max(0, -exponent)));
+}
+
+/**
+ * Returns the width in pixels and the label of a scale bar
+ * that is at most `maxWidth` pixels wide
+ */
+export function getScale(
+  metersPerPixel: number,
+  maxWidth: number,
+  unit: string
+): {width: number, label: string} {
+  const maxDistance = metersPerPixel * maxWidth;
+  const steps = UNIT_STEPS[unit];
+  // Use the smaller unit if the bar is shorter than one larger unit
+  const step = steps.find(s => maxDistance >= s.meters) || steps[steps.length - 1];
+  const distance = getRoundNumber(maxDistance / step.meters);
+
+  return {
+    width: distance * step.meters / metersPerPixel,
+    label: `${distance} ${step.label}`
+  };
+}
+
+// Renders the scale of the map at its center, in one or two units
+export default class ScaleControl extends BaseControl<ScaleControlProps> {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  _renderBar(unit: string, metersPerPixel: number, isSecondary: boolean) {
+    const {width, label} = getScale(metersPerPixel, this.props.maxWidth, unit);
+    const style: Object = {width};
+    let className = 'mapboxgl-ctrl mapboxgl-ctrl-scale';
+    if (isSecondary) {
+      // The secondary bar is drawn upside down below the primary bar
+      Object.assign(style, {borderTopStyle: 'solid', borderBottomStyle: 'none'});
+      className += ' mapboxgl-ctrl-scale-secondary';
+    }
+
+    return createElement('div', {
+      key: isSecondary ? 'secondary' : 'primary',
+      className,
+      style
+    }, label);
+  }
+
+  _render() {
+    const {className, unit, secondaryUnit} = this.props;
+    // Meters per pixel at the center of the viewport, depends on the latitude
+    const metersPerPixel = 1 / this._context.viewport.pixelsPerMeter;
+
+    return createElement('div', {
+      className: `mapboxgl-ctrl-scale-group ${className}`,
+      ref: this._containerRef
+    }, [
+      this._renderBar(unit, metersPerPixel, false),
+      secondaryUnit && this._renderBar(secondaryUnit, metersPerPixel, true)
+    ]);
+  }
+}
@@ -0,0 +1,185 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent, Children, cloneElement, createElement, isValidElement} from 'react';
+import PropTypes from 'prop-types';
+import MapContext from './map-context';
+import Layer from './layer';
+import FeatureState from './feature-state';
+import assert from '../utils/assert';
+import {isStyleLoaded} from '../utils/style-utils';
+
+import type {Node} from 'react';
+
+function isSourceChild(child : any) : boolean {
+  return isValidElement(child) && (child.type === Layer || child.type === FeatureState);
+}
+
+const propTypes = {
+  // Unique id of the source. Generated if not supplied.
+  id: PropTypes.string,
+  // Source type, e.g. `geojson`, `vector`, `raster` or `image`
+  type: PropTypes.string.isRequired
+};
+
+// Props that are not passed to the mapbox source
+const NON_SOURCE_PROPS = ['id', 'children'];
+
+export type SourceProps = {
+  id?: string,
+  type: string,
+  children?: Node
+};
+
+let sourceCounter = 0;
+
+/*
+ * A declarative wrapper of a Mapbox source. Any props other than `id` and
+ * `children` are passed to `map.addSource` as source options.
+ * https://www.mapbox.com/mapbox-gl-js/style-spec/#sources
+ */
+export default class Source extends PureComponent<SourceProps> {
+
+  static propTypes = propTypes;
+
+  constructor(props : SourceProps) {
+    super(props);
+    this.id = props.id || `jsx-source-${sourceCounter++}`;
+    this.type = props.type;
+  }
+
+  componentWillUnmount() {
+    const map = this._map;
+    if (!map) {
+      return;
+    }
+    map.off('styledata', this._onStyleData);
+    if (map.style && map.getSource(this.id)) {
+      // Parents unmount before their children, so layers that use this source
+      // may still be on the map. Mapbox refuses to remove a source in use.
+      const {layers} = map.getStyle();
+      if (layers) {
+        layers.forEach(layer => {
+          if (layer.source === this.id) {
+            map.removeLayer(layer.id);
+          }
+        });
+      }
+      map.removeSource(this.id);
+    }
+    this._map = null;
+  }
+
+  id : string;
+  type : string;
+  _map : any = null;
+  _sourceOptions : any = null;
+
+  _getSourceOptions() : any {
+    const sourceOptions = {};
+    for (const key in this.props) {
+      if (NON_SOURCE_PROPS.indexOf(key) < 0) {
+        sourceOptions[key] = this.props[key];
+      }
+    }
+    return sourceOptions;
+  }
+
+  // The base style may be swapped out from under us, which drops this source
+  _onStyleData = () => {
+    const map = this._map;
+    if (map && isStyleLoaded(map) && !map.getSource(this.id)) {
+      this._sourceOptions = null;
+      this.forceUpdate();
+    }
+  }
+
+  _createSource(sourceOptions : any) {
+    this._map.addSource(this.id, sourceOptions);
+  }
+
+  _updateSource(sourceOptions : any) {
+    const prevOptions = this._sourceOptions || {};
+    const source = this._map.getSource(this.id);
+
+    for (const key in sourceOptions) {
+      if (key !== 'type' && prevOptions[key] !== sourceOptions[key]) {
+        this._updateSourceProp(source, key, sourceOptions);
+      }
+    }
+  }
+
+  _updateSourceProp(source : any, key : string, sourceOptions : any) {
+    const {type} = sourceOptions;
+
+    if (type === 'geojson' && key === 'data') {
+      source.setData(sourceOptions.data);
+    } else if (type === 'image' && (key === 'url' || key === 'coordinates')) {
+      source.updateImage({url: sourceOptions.url, coordinates: sourceOptions.coordinates});
+    } else if ((type === 'video' || type === 'canvas') && key === 'coordinates') {
+      source.setCoordinates(sourceOptions.coordinates);
+    } else {
+      console.warn(`react-map-gl: Unable to update <Source> prop: ${key}`); // eslint-disable-line
+    }
+  }
+
+  _syncSource(map : any) {
+    if (map !== this._map) {
+      if (this._map) {
+        this._map.off('styledata', this._onStyleData);
+      }
+      this._map = map;
+      this._sourceOptions = null;
+      map.on('styledata', this._onStyleData);
+    }
+
+    if (!isStyleLoaded(map)) {
+      // Wait for the style to load. `_onStyleData` will trigger a rerender.
+      return;
+    }
+
+    const sourceOptions = this._getSourceOptions();
+    if (!map.getSource(this.id)) {
+      this._createSource(sourceOptions);
+    } else if (this._sourceOptions) {
+      this._updateSource(sourceOptions);
+    }
+    this._sourceOptions = sourceOptions;
+  }
+
+  _render(context : any) {
+    assert(this.props.type === this.type, 'react-map-gl: <Source> type cannot be changed');
+
+    if (context.map) {
+      this._syncSource(context.map);
+    }
+    // Layers and feature states declared as children use this source,
+    // other children such as markers are rendered as is
+    const {children} = this.props;
+    return children ?
+      Children.map(children, child => isSourceChild(child) ?
+        cloneElement(child, {source: this.id}) : child) :
+      null;
+  }
+
+  render() {
+    return createElement(MapContext.Consumer, null, this._render.bind(this));
+  }
+}
@@ -23,16 +23,17 @@ import PropTypes from 'prop-types';
 
 import {normalizeStyle} from '../utils/style-utils';
 
-import WebMercatorViewport from 'viewport-mercator-project';
 import AutoSizer from 'react-virtualized-auto-sizer';
 
 import Mapbox from '../mapbox/mapbox';
 import mapboxgl from '../utils/mapboxgl';
 import {checkVisibilityConstraints} from '../utils/map-constraints';
 import {MAPBOX_LIMITS} from '../utils/map-state';
+import {createViewport} from '../utils/viewport-padding';
 import MapContext from './map-context';
 
 import type {ViewState} from '../mapbox/mapbox';
+import type {Padding} from '../utils/viewport-padding';
 import type {Node} from 'react';
 
 /* eslint-disable max-len */
@@ -107,7 +108,8 @@ export type StaticMapProps = {
   zoom: number,
   bearing: number,
   pitch: number,
-  altitude?: number
+  altitude?: number,
+  padding?: $Shape<Padding>
 };
 
 type State = {
@@ -127,6 +129,10 @@ export default class StaticMap extends PureComponent<StaticMapProps, State> {
   };
 
   componentDidMount() {
+    this._updateFixedSize();
+
+    // Mapbox is only created in the browser. When rendering on the server, only the
+    // container and the overlays are rendered.
     if (!StaticMap.supported()) {
       return;
     }
@@ -145,6 +151,8 @@ export default class StaticMap extends PureComponent<StaticMapProps, State> {
   }
 
   componentDidUpdate(prevProps : StaticMapProps) {
+    this._updateFixedSize();
+
     if (this._mapbox) {
       this._updateMapStyle(prevProps, this.props);
       this._updateMapProps(this.props);
@@ -166,6 +174,7 @@ export default class StaticMap extends PureComponent<StaticMapProps, State> {
   _queryParams : any = {};
   _width : number = 0;
   _height : number = 0;
+  _fixedSize : ?{width: number, height: number} = null;
 
   // External apps can access map this way
   getMap = () => {
@@ -194,6 +203,21 @@ export default class StaticMap extends PureComponent<StaticMapProps, State> {
     }
   }
 
+  // AutoSizer does not measure the container if both dimensions are fixed numbers.
+  // Notify the size change ourselves.
+  _updateFixedSize() {
+    const {width, height} = this.props;
+    if (typeof width !== 'number' || typeof height !== 'number') {
+      this._fixedSize = null;
+      return;
+    }
+    const fixedSize = this._fixedSize;
+    if (!fixedSize || fixedSize.width !== width || fixedSize.height !== height) {
+      this._fixedSize = {width, height};
+      this.props.onResize({width, height});
+    }
+  }
+
   _updateMapStyle(oldProps : StaticMapProps, newProps : StaticMapProps) {
     const mapStyle = newProps.mapStyle;
     const oldMapStyle = oldProps.mapStyle;
@@ -261,7 +285,7 @@ export default class StaticMap extends PureComponent<StaticMapProps, State> {
     return createElement(MapContext.Consumer, null, interactiveContext => {
       const context = Object.assign({}, interactiveContext, {
         // $FlowFixMe
-        viewport: new WebMercatorViewport(Object.assign({}, this.props, this.props.viewState, {
+        viewport: createViewport(Object.assign({}, this.props, this.props.viewState, {
           width,
           height
         })),
@@ -0,0 +1,185 @@
+// @flow
+// Copyright (c) 2015 Uber Technologies, Inc.
+
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import {PureComponent} from 'react';
+import PropTypes from 'prop-types';
+
+import type {Node} from 'react';
+
+const VIEW_STATE_PROPS = ['longitude', 'latitude', 'zoom', 'pitch', 'bearing'];
+const TRANSITION_PROPS = [
+  'transitionDuration',
+  'transitionEasing',
+  'transitionInterpolator',
+  'transitionInterruption'
+];
+
+const propTypes = {
+  // The view state shared by the maps, at zoom offset 0.
+  // If not set, the view state is managed by the component.
+  viewState: PropTypes.object,
+  // The view state to start with if `viewState` is not set
+  initialViewState: PropTypes.object,
+  // The view state props that are synced, unless overridden per map
+  syncedProps: PropTypes.arrayOf(PropTypes.string),
+  // Called with `{viewState, mapId, interactionState}` when any of the maps moves
+  onViewStateChange: PropTypes.func,
+  // Renders the maps: ({getMapProps}) => node
+  children: PropTypes.func.isRequired
+};
+
+const defaultProps = {
+  viewState: null,
+  initialViewState: null,
+  syncedProps: VIEW_STATE_PROPS,
+  onViewStateChange: () => {}
+};
+
+export type SyncedMapOptions = {
+  // Added to the zoom of the shared view state, e.g. -4 for an overview map
+  zoomOffset?: number,
+  // The view state props of this map that are synced
+  syncedProps?: Array<string>
+};
+
+export type SyncedMapsProps = {
+  viewState: any,
+  initialViewState: any,
+  syncedProps: Array<string>,
+  onViewStateChange: Function,
+  children: ({getMapProps: Function}) => Node
+};
+
+type State = {
+  // Shared view state if not controlled
+  viewState: any
+};
+
+function pick(object: any, keys: Array<string>): any {
+  const result = {};
+  keys.forEach(key => {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+  });
+  return result;
+}
+
+/*
+ * Keeps the view states of several maps in sync, e.g. before/after maps side by side
+ * or a main map and an overview map. Any of the maps can be moved by the user.
+ * Transitions of the shared view state are run by the first map, the other maps follow it.
+ */
+export default class SyncedMaps extends PureComponent<SyncedMapsProps, State> {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  state : State = {
+    viewState: this.props.initialViewState || this.props.viewState || {}
+  };
+
+  // The map that moved last, its view state and the shared view state that it produced
+  _source : ?{mapId: string, mapViewState: any, viewState: any} = null;
+  // Ids of the maps rendered in the current render pass
+  _renderedMapIds : Array<string> = [];
+  // Options of each map in the last render
+  _mapOptions : {[mapId: string]: SyncedMapOptions} = {};
+  // The last view state of each map, keeps the props that are not synced
+  _mapViewStates : {[mapId: string]: any} = {};
+  _callbacks : {[mapId: string]: Function} = {};
+
+  // Returns the props to pass to the `InteractiveMap` with the given id
+  getMapProps = (mapId: string, opts: SyncedMapOptions = {}) => {
+    const viewState = this._getViewState();
+    // Only the first map runs transitions, the others receive its frames.
+    // If all maps ran the same transition, they would interrupt each other.
+    const isLeader = this._renderedMapIds.length === 0 || this._renderedMapIds[0] === mapId;
+    if (this._renderedMapIds.indexOf(mapId) < 0) {
+      this._renderedMapIds.push(mapId);
+    }
+    this._mapOptions[mapId] = opts;
+
+    const transitionProps = isLeader ? pick(viewState, TRANSITION_PROPS) : {transitionDuration: 0};
+    return Object.assign({}, transitionProps, {
+      viewState: this._getMapViewState(mapId, opts),
+      onViewStateChange: this._getCallback(mapId)
+    });
+  }
+
+  _getViewState() : any {
+    return this.props.viewState || this.state.viewState;
+  }
+
+  _getMapViewState(mapId: string, opts: SyncedMapOptions) : any {
+    const viewState = this._getViewState();
+    const mapViewState = this._mapViewStates[mapId];
+    const source = this._source;
+
+    // Pass the view state of the map that moved back as it is, so that its
+    // transition manager recognizes the update as its own
+    if (source && source.mapId === mapId && source.viewState === viewState) {
+      return source.mapViewState;
+    }
+
+    const {zoomOffset = 0, syncedProps = this.props.syncedProps} = opts;
+    const baseViewState = mapViewState || pick(viewState, VIEW_STATE_PROPS);
+    const syncedViewState = pick(viewState, syncedProps);
+    if (syncedViewState.zoom !== undefined) {
+      syncedViewState.zoom += zoomOffset;
+    } else if (!mapViewState && viewState.zoom !== undefined) {
+      baseViewState.zoom = viewState.zoom + zoomOffset;
+    }
+    this._mapViewStates[mapId] = Object.assign({}, baseViewState, syncedViewState);
+    return this._mapViewStates[mapId];
+  }
+
+  _getCallback(mapId: string) : Function {
+    if (!this._callbacks[mapId]) {
+      this._callbacks[mapId] = ({viewState, interactionState}) =>
+        this._onMapViewStateChange(mapId, viewState, interactionState);
+    }
+    return this._callbacks[mapId];
+  }
+
+  _onMapViewStateChange(mapId: string, mapViewState: any, interactionState: any) {
+    const {zoomOffset = 0, syncedProps = this.props.syncedProps} = this._mapOptions[mapId] || {};
+    const syncedViewState = pick(mapViewState, syncedProps);
+    if (syncedViewState.zoom !== undefined) {
+      syncedViewState.zoom -= zoomOffset;
+    }
+    // Transition props are dropped, the transition is already running
+    const viewState = Object.assign(
+      {}, pick(this._getViewState(), VIEW_STATE_PROPS), syncedViewState
+    );
+
+    this._source = {mapId, mapViewState, viewState};
+    this._mapViewStates[mapId] = mapViewState;
+    if (!this.props.viewState) {
+      this.setState({viewState});
+    }
+    this.props.onViewStateChange({viewState, mapId, interactionState});
+  }
+
+  render() {
+    this._renderedMapIds = [];
+    return this.props.children({getMapProps: this.getMapProps});
+  }
+}
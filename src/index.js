@@ -22,14 +22,28 @@
 export {default as default} from './components/interactive-map';
 export {default as InteractiveMap} from './components/interactive-map';
 export {default as StaticMap} from './components/static-map';
+export {default as SyncedMaps} from './components/synced-maps';
+export {default as CompareMap} from './components/compare-map';
 
 // React Controls
 export {default as BaseControl} from './components/base-control';
 export {default as Marker} from './components/marker';
 export {default as Popup} from './components/popup';
+export {default as AttributionControl} from './components/attribution-control';
 export {default as FullscreenControl} from './components/fullscreen-control';
 export {default as GeolocateControl} from './components/geolocate-control';
 export {default as NavigationControl} from './components/navigation-control';
+export {default as OverviewMapControl} from './components/overview-map-control';
+export {default as ScaleControl} from './components/scale-control';
+export {default as MeasureControl} from './components/measure-control';
+export {default as ControlContainer} from './components/control-container';
+export {default as ClusteredMarkers} from './components/clustered-markers';
+export {default as EditingLayer} from './components/editing-layer';
+
+// Sources and Layers
+export {default as Source} from './components/source';
+export {default as Layer} from './components/layer';
+export {default as FeatureState} from './components/feature-state';
 
 // Overlays
 export {default as CanvasOverlay} from './overlays/canvas-overlay';
@@ -44,6 +58,8 @@ export {
   ViewportFlyToInterpolator as FlyToInterpolator
 } from './utils/transition';
 export {default as MapController} from './utils/map-controller';
+export {default as CameraTour} from './utils/camera-tour';
+export {fitBounds, fitGeoJSON} from './utils/fit-bounds';
 
 // Experimental Features (May change in minor version bumps, use at your own risk)
 export {default as _MapContext} from './components/map-context';
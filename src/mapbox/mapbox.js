@@ -22,6 +22,9 @@
 /* global window, process, HTMLCanvasElement */
 import PropTypes from 'prop-types';
 import {document} from '../utils/globals';
+import {getContainerCenter} from '../utils/viewport-padding';
+
+import type {Padding} from '../utils/viewport-padding';
 
 function noop() {}
 
@@ -64,7 +67,8 @@ const propTypes = {
   bearing: PropTypes.number, /** Specify the bearing of the viewport */
   pitch: PropTypes.number, /** Specify the pitch of the viewport */
   // Note: Non-public API, see https://github.com/mapbox/mapbox-gl-js/issues/1137
-  altitude: PropTypes.number /** Altitude of the viewport camera. Default 1.5 "screen heights" */
+  altitude: PropTypes.number, /** Altitude of the viewport camera. Default 1.5 "screen heights" */
+  padding: PropTypes.object /** Area covered by UI, `{top, right, bottom, left}` in pixels */
 };
 
 const defaultProps = {
@@ -102,7 +106,8 @@ export type ViewState = {
   zoom: number,
   bearing: number,
   pitch: number,
-  altitude?: number
+  altitude?: number,
+  padding?: $Shape<Padding>
 };
 
 type Props = {
@@ -127,6 +132,7 @@ type Props = {
   bearing: number,
   pitch: number,
   altitude?: number,
+  padding?: $Shape<Padding>,
   mapOptions: any
 };
 
@@ -433,9 +439,19 @@ export default class Mapbox {
       zoom,
       pitch = 0,
       bearing = 0,
-      altitude = 1.5
+      altitude = 1.5,
+      padding
     } = props.viewState || props;
-    return {longitude, latitude, zoom, pitch, bearing, altitude};
+    const viewState = {longitude, latitude, zoom, pitch, bearing, altitude};
+    if (padding) {
+      // Mapbox centers the camera in the container, not in the padded area
+      const center = getContainerCenter(
+        Object.assign({}, viewState, {width: props.width, height: props.height, padding})
+      );
+      viewState.longitude = center[0];
+      viewState.latitude = center[1];
+    }
+    return viewState;
   }
 
   _checkStyleSheet(mapboxVersion : string = '0.47.0') {
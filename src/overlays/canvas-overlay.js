@@ -21,17 +21,24 @@
 import {createElement} from 'react';
 import PropTypes from 'prop-types';
 import BaseControl from '../components/base-control';
+import {isOffscreen} from '../utils/offscreen';
 import {window} from '../utils/globals';
 
 const propTypes = Object.assign({}, BaseControl.propTypes, {
-  redraw: PropTypes.func.isRequired
+  redraw: PropTypes.func.isRequired,
+  // Whether `isOffscreen` passed to `redraw` tests positions against the viewport
+  cullOffscreen: PropTypes.bool,
+  // Distance in pixels outside of the viewport that is considered visible
+  cullBuffer: PropTypes.number
 });
 
 const defaultProps = {
   captureScroll: false,
   captureDrag: false,
   captureClick: false,
-  captureDoubleClick: false
+  captureDoubleClick: false,
+  cullOffscreen: false,
+  cullBuffer: 0
 };
 
 export default class CanvasOverlay extends BaseControl {
@@ -56,13 +63,15 @@ export default class CanvasOverlay extends BaseControl {
     ctx.scale(pixelRatio, pixelRatio);
 
     const {viewport, isDragging} = this._context;
+    const {cullOffscreen, cullBuffer} = this.props;
     this.props.redraw({
       width: viewport.width,
       height: viewport.height,
       ctx,
       isDragging,
       project: viewport.project.bind(viewport),
-      unproject: viewport.unproject.bind(viewport)
+      unproject: viewport.unproject.bind(viewport),
+      isOffscreen: lngLat => cullOffscreen && isOffscreen(viewport, lngLat, cullBuffer)
     });
 
     ctx.restore();
@@ -21,22 +21,30 @@
 import {createElement} from 'react';
 import PropTypes from 'prop-types';
 import BaseControl from '../components/base-control';
+import {isOffscreen} from '../utils/offscreen';
 
 const propTypes = Object.assign({}, BaseControl.propTypes, {
   redraw: PropTypes.func.isRequired,
-  style: PropTypes.object
+  style: PropTypes.object,
+  // Whether `isOffscreen` passed to `redraw` tests positions against the viewport
+  cullOffscreen: PropTypes.bool,
+  // Distance in pixels outside of the viewport that is considered visible
+  cullBuffer: PropTypes.number
 });
 
 const defaultProps = {
   captureScroll: false,
   captureDrag: false,
   captureClick: false,
-  captureDoubleClick: false
+  captureDoubleClick: false,
+  cullOffscreen: false,
+  cullBuffer: 0
 };
 
 export default class HTMLOverlay extends BaseControl {
   _render() {
     const {viewport, isDragging} = this._context;
+    const {cullOffscreen, cullBuffer} = this.props;
     const style = Object.assign({
       position: 'absolute',
       left: 0,
@@ -55,7 +63,8 @@ export default class HTMLOverlay extends BaseControl {
           height: viewport.height,
           isDragging,
           project: viewport.project.bind(viewport),
-          unproject: viewport.unproject.bind(viewport)
+          unproject: viewport.unproject.bind(viewport),
+          isOffscreen: lngLat => cullOffscreen && isOffscreen(viewport, lngLat, cullBuffer)
         })
       )
     );
@@ -0,0 +1,367 @@
+// @flow
+/* global setTimeout, clearTimeout */
+import TransitionManager, {cropEasingFunction} from './transition-manager';
+import {LinearInterpolator} from './transition';
+import {clamp} from './math-utils';
+
+import type {TransitionInterpolator} from './transition';
+
+const noop = () => {};
+
+const VIEW_STATE_PROPS = ['longitude', 'latitude', 'zoom', 'pitch', 'bearing'];
+
+export type ViewState = {
+  longitude: number,
+  latitude: number,
+  zoom: number,
+  pitch?: number,
+  bearing?: number
+};
+
+export type Keyframe = {
+  viewState: ViewState,
+  // Duration (ms) of the transition from the previous keyframe
+  duration?: number,
+  easing?: number => number,
+  interpolator?: TransitionInterpolator,
+  // Time (ms) to stay at this keyframe before moving on
+  hold?: number
+};
+
+type Segment = {
+  viewState: ViewState,
+  easing: number => number,
+  interpolator: TransitionInterpolator,
+  // Tour time when the transition into the keyframe starts
+  start: number,
+  // Tour time when the transition into the keyframe ends
+  transitionEnd: number,
+  // Tour time when the hold ends
+  end: number
+};
+
+type CameraTourOptions = {
+  keyframes: Array<Keyframe>,
+  loop: boolean,
+  width: number,
+  height: number,
+  onViewStateChange: Function,
+  onProgress: Function,
+  onEnd: Function
+};
+
+const DEFAULT_OPTIONS = {
+  keyframes: [],
+  // Restart from the first keyframe when the tour ends
+  loop: false,
+  // Size of the map, required by `FlyToInterpolator`
+  width: 0,
+  height: 0,
+  // Called with `{viewState}` when the camera moves
+  onViewStateChange: noop,
+  // Called with `{time, duration, progress, keyframeIndex}` when the camera moves
+  onProgress: noop,
+  // Called when the tour reaches the end, unless looping
+  onEnd: noop
+};
+
+const DEFAULT_KEYFRAME = {
+  duration: 1000,
+  easing: (t: number) => t,
+  interpolator: new LinearInterpolator(),
+  hold: 0
+};
+
+// When recording, a pause longer than this many sample intervals becomes a hold
+const MAX_RECORDED_DURATION = 2;
+
+function pickViewState(props: any): ViewState {
+  const viewState = {};
+  VIEW_STATE_PROPS.forEach(key => {
+    if (Number.isFinite(props[key])) {
+      viewState[key] = props[key];
+    }
+  });
+  return (viewState: any);
+}
+
+// Lays the keyframes out on the timeline of the tour.
+// The first keyframe is where the tour starts, its duration is ignored.
+function getSegments(keyframes: Array<Keyframe>): Array<Segment> {
+  let time = 0;
+  return keyframes.map((keyframe, i) => {
+    const {viewState, duration, easing, interpolator, hold} =
+      Object.assign({}, DEFAULT_KEYFRAME, keyframe);
+    const start = time;
+    const transitionEnd = i > 0 ? start + duration : start;
+    time = transitionEnd + hold;
+    return {viewState, easing, interpolator, start, transitionEnd, end: time};
+  });
+}
+
+/**
+ * Plays a list of keyframes through a `TransitionManager`, and records
+ * keyframes from the view states of a user session.
+ */
+export default class CameraTour {
+
+  constructor(opts: $Shape<CameraTourOptions> = {}) {
+    this.setOptions(opts);
+  }
+
+  options: CameraTourOptions = DEFAULT_OPTIONS;
+  _segments: Array<Segment> = [];
+  _transitionManager: TransitionManager = new TransitionManager();
+  _isPlaying: boolean = false;
+  // Tour time when the playback was last paused
+  _time: number = 0;
+  // Tour time and timestamp when the current keyframe started playing
+  _anchorTime: number = 0;
+  _anchorTimestamp: number = 0;
+  _timer: any = null;
+  _recording: ?{
+    sampleInterval: number,
+    samples: Array<{time: number, viewState: ViewState}>,
+    pending: ?{time: number, viewState: ViewState}
+  } = null;
+
+  setOptions(opts: $Shape<CameraTourOptions>) {
+    this.options = Object.assign({}, this.options, opts);
+    if ('keyframes' in opts) {
+      this._segments = getSegments(this.options.keyframes);
+    }
+  }
+
+  /* Playback */
+
+  // Total duration of the tour in milliseconds
+  getDuration(): number {
+    const {_segments} = this;
+    return _segments.length ? _segments[_segments.length - 1].end : 0;
+  }
+
+  // Current time of the tour in milliseconds
+  getTime(): number {
+    if (this._isPlaying) {
+      const time = this._anchorTime + Date.now() - this._anchorTimestamp;
+      return clamp(time, 0, this.getDuration());
+    }
+    return this._time;
+  }
+
+  isPlaying(): boolean {
+    return this._isPlaying;
+  }
+
+  // Plays the tour from the beginning
+  play() {
+    this._isPlaying = true;
+    this.seek(0);
+  }
+
+  // Stops the camera where it is
+  pause() {
+    this._time = this.getTime();
+    this._isPlaying = false;
+    this._stopPlayback();
+  }
+
+  // Continues playing from the paused time
+  resume() {
+    if (!this._isPlaying) {
+      this._isPlaying = true;
+      this._playFrom(this._time);
+    }
+  }
+
+  // Moves the camera to a time of the tour, and keeps playing if the tour is playing
+  seek(time: number) {
+    time = clamp(time, 0, this.getDuration());
+    this._time = time;
+    this._stopPlayback();
+    if (!this._segments.length) {
+      return;
+    }
+    this._onViewStateChange(this._getViewStateAt(time), time);
+    if (this._isPlaying) {
+      this._playFrom(time);
+    }
+  }
+
+  /* Recording */
+
+  isRecording(): boolean {
+    return Boolean(this._recording);
+  }
+
+  // Starts sampling the view states passed to `recordViewState`
+  startRecording({sampleInterval = 250}: {sampleInterval?: number} = {}) {
+    this._recording = {sampleInterval, samples: [], pending: null};
+  }
+
+  // Records a view state, e.g. from the `onViewStateChange` callback of the map
+  recordViewState(viewState: any) {
+    const recording = this._recording;
+    if (!recording) {
+      return;
+    }
+    const {samples, sampleInterval} = recording;
+    const time = Date.now();
+    const lastSample = samples[samples.length - 1];
+    const sample = {time, viewState: pickViewState(viewState)};
+
+    if (lastSample && time - lastSample.time < sampleInterval) {
+      // Keep the latest view state in case the camera stops before the next sample
+      recording.pending = sample;
+    } else {
+      samples.push(sample);
+      recording.pending = null;
+    }
+  }
+
+  // Stops recording, and uses the recorded keyframes for playback
+  stopRecording(): Array<Keyframe> {
+    const recording = this._recording;
+    if (!recording) {
+      return [];
+    }
+    this._recording = null;
+
+    const {samples, pending, sampleInterval} = recording;
+    if (pending) {
+      samples.push(pending);
+    }
+
+    const keyframes = samples.map(({viewState}) => ({viewState, duration: 0, hold: 0}));
+    for (let i = 1; i < samples.length; i++) {
+      const interval = samples[i].time - samples[i - 1].time;
+      // The camera did not move during long intervals
+      keyframes[i].duration = Math.min(interval, sampleInterval * MAX_RECORDED_DURATION);
+      keyframes[i - 1].hold = interval - keyframes[i].duration;
+    }
+
+    this.setOptions({keyframes});
+    return keyframes;
+  }
+
+  /* Private methods */
+
+  // Returns the index of the segment that is playing at a time, -1 if the tour has ended
+  _getSegmentIndex(time: number): number {
+    return this._segments.findIndex(segment => time < segment.end);
+  }
+
+  _getViewStateAt(time: number): ViewState {
+    const {_segments} = this;
+    const index = this._getSegmentIndex(time);
+    const segment = _segments[index];
+
+    if (!segment || time >= segment.transitionEnd) {
+      return (segment || _segments[_segments.length - 1]).viewState;
+    }
+
+    const {start, transitionEnd, easing, interpolator} = segment;
+    const {start: startProps, end: endProps} = interpolator.initializeProps(
+      this._getMapProps(_segments[index - 1].viewState),
+      this._getMapProps(segment.viewState)
+    );
+    const t = easing((time - start) / (transitionEnd - start));
+    return pickViewState(interpolator.interpolateProps(startProps, endProps, t));
+  }
+
+  _getMapProps(viewState: ViewState): any {
+    const {width, height} = this.options;
+    return Object.assign({}, {width, height, pitch: 0, bearing: 0}, viewState);
+  }
+
+  _playFrom(time: number) {
+    const index = this._getSegmentIndex(time);
+    if (index < 0) {
+      this._onTourEnd();
+      return;
+    }
+
+    this._anchorTime = time;
+    this._anchorTimestamp = Date.now();
+
+    const segment = this._segments[index];
+    const {start, transitionEnd, easing, interpolator} = segment;
+
+    if (time < transitionEnd) {
+      // Continue the transition into this keyframe
+      const x0 = (time - start) / (transitionEnd - start);
+      const isTransitionStarted = this._transition(this._getViewStateAt(time), segment.viewState, {
+        transitionDuration: transitionEnd - time,
+        transitionEasing: x0 > 0 ? cropEasingFunction(easing, x0) : easing,
+        transitionInterpolator: interpolator
+      });
+      if (!isTransitionStarted) {
+        // The camera does not move
+        this._timer = setTimeout(() => this._playFrom(transitionEnd), transitionEnd - time);
+      }
+    } else {
+      // Hold at this keyframe
+      this._onProgress(time);
+      this._timer = setTimeout(() => this._playFrom(segment.end), segment.end - time);
+    }
+  }
+
+  // Returns false if the transition is not started because the camera does not move
+  _transition(startViewState: ViewState, endViewState: ViewState, transitionProps: any): boolean {
+    const callbacks = {
+      onViewportChange: this._onTransitionViewportChange,
+      onTransitionEnd: this._onTransitionEnd
+    };
+    const transitionManager = this._transitionManager;
+    // Set the start of the transition without animating
+    transitionManager.processViewportChange(Object.assign({},
+      TransitionManager.defaultProps, this._getMapProps(startViewState), callbacks
+    ));
+    return transitionManager.processViewportChange(Object.assign({},
+      TransitionManager.defaultProps, this._getMapProps(endViewState), callbacks, transitionProps
+    ));
+  }
+
+  _stopPlayback() {
+    clearTimeout(this._timer);
+    this._transitionManager.interruptTransition();
+  }
+
+  _onTransitionViewportChange = (viewport: any) => {
+    this._onViewStateChange(pickViewState(viewport), this.getTime());
+  }
+
+  _onTransitionEnd = () => {
+    const segment = this._segments[this._getSegmentIndex(this._anchorTime)];
+    if (this._isPlaying && segment) {
+      this._playFrom(segment.transitionEnd);
+    }
+  }
+
+  _onTourEnd() {
+    const duration = this.getDuration();
+    if (this.options.loop && duration > 0) {
+      this.seek(0);
+      return;
+    }
+    this._isPlaying = false;
+    this._time = duration;
+    this.options.onEnd();
+  }
+
+  _onViewStateChange(viewState: ViewState, time: number) {
+    this.options.onViewStateChange({viewState});
+    this._onProgress(time);
+  }
+
+  _onProgress(time: number) {
+    const duration = this.getDuration();
+    const index = this._getSegmentIndex(time);
+    this.options.onProgress({
+      time,
+      duration,
+      progress: duration > 0 ? time / duration : 1,
+      keyframeIndex: index < 0 ? this._segments.length - 1 : index
+    });
+  }
+}
@@ -0,0 +1,289 @@
+// @flow
+import {clamp} from './math-utils';
+
+// Points are indexed in normalized web mercator coordinates, where the world
+// spans [0, 1] in both x and y, and zoom level z is 2^z tiles of `extent` pixels.
+function lngX(lng: number): number {
+  return lng / 360 + 0.5;
+}
+
+function latY(lat: number): number {
+  const sin = Math.sin(lat * Math.PI / 180);
+  const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+  return clamp(y, 0, 1);
+}
+
+function xLng(x: number): number {
+  return (x - 0.5) * 360;
+}
+
+function yLat(y: number): number {
+  const y2 = (180 - y * 360) * Math.PI / 180;
+  return 360 * Math.atan(Math.exp(y2)) / Math.PI - 90;
+}
+
+type Node = {
+  x: number,
+  y: number,
+  // Index of the point in the source data. -1 for clusters
+  index: number,
+  // Id of the cluster. -1 for points
+  id: number,
+  numPoints: number,
+  // The zoom level at which this node was last processed
+  zoom: number,
+  // The zoom level at which this cluster was created
+  clusterZoom: number,
+  children: Array<Node>
+};
+
+export type ClusterItem = {
+  isCluster: boolean,
+  // Id of the cluster, -1 for points
+  id: number,
+  // Index of the point in the source data, -1 for clusters
+  index: number,
+  pointCount: number,
+  longitude: number,
+  latitude: number,
+  // Which copy of the world the item is in, 0 for [-180, 180]
+  wrap: number
+};
+
+/*
+ * A flat hash grid. The cell size is set to the clustering radius, so radius
+ * queries only need to look at the neighboring cells.
+ */
+class GridIndex {
+  constructor(nodes: Array<Node>, cellSize: number) {
+    this.nodes = nodes;
+    this.cellSize = cellSize;
+    this.cells = {};
+
+    for (const node of nodes) {
+      const key = this._getKey(Math.floor(node.x / cellSize), Math.floor(node.y / cellSize));
+      (this.cells[key] = this.cells[key] || []).push(node);
+    }
+  }
+
+  nodes: Array<Node>;
+  cellSize: number;
+  cells: {[key: string]: Array<Node>};
+
+  range(minX: number, minY: number, maxX: number, maxY: number): Array<Node> {
+    const {cellSize} = this;
+    const minI = Math.floor(minX / cellSize);
+    const maxI = Math.floor(maxX / cellSize);
+    const minJ = Math.floor(minY / cellSize);
+    const maxJ = Math.floor(maxY / cellSize);
+
+    const isInRange = node => node.x >= minX && node.x <= maxX && node.y >= minY && node.y <= maxY;
+
+    if ((maxI - minI + 1) * (maxJ - minJ + 1) > this.nodes.length) {
+      // Cheaper to scan all nodes than to visit all cells
+      return this.nodes.filter(isInRange);
+    }
+
+    const result = [];
+    for (let i = minI; i <= maxI; i++) {
+      for (let j = minJ; j <= maxJ; j++) {
+        const cell = this.cells[this._getKey(i, j)] || [];
+        cell.forEach(node => isInRange(node) && result.push(node));
+      }
+    }
+    return result;
+  }
+
+  within(x: number, y: number, r: number): Array<Node> {
+    const r2 = r * r;
+    return this.range(x - r, y - r, x + r, y + r)
+      .filter(node => (node.x - x) * (node.x - x) + (node.y - y) * (node.y - y) <= r2);
+  }
+
+  _getKey(i: number, j: number): string {
+    return `${i},${j}`;
+  }
+}
+
+const DEFAULT_OPTIONS = {
+  minZoom: 0,
+  maxZoom: 16,
+  // Cluster radius in pixels
+  radius: 40,
+  // Tile extent in pixels
+  extent: 512
+};
+
+/**
+ * Hierarchical greedy clustering of points, adapted from mapbox/supercluster.
+ * For each zoom level from `maxZoom` down to `minZoom`, points and clusters of
+ * the level above that are within `radius` pixels of each other are merged.
+ */
+export default class ClusterIndex {
+
+  constructor(opts: {
+    minZoom?: number,
+    maxZoom?: number,
+    radius?: number,
+    extent?: number
+  } = {}) {
+    this.options = Object.assign({}, DEFAULT_OPTIONS, opts);
+  }
+
+  options: {minZoom: number, maxZoom: number, radius: number, extent: number};
+  _grids: Array<GridIndex> = [];
+  _clusters: Array<Node> = [];
+
+  /**
+   * Builds the index
+   * @param {Array} positions - list of [longitude, latitude] of the points
+   */
+  load(positions: Array<Array<number>>): ClusterIndex {
+    const {minZoom, maxZoom} = this.options;
+
+    let nodes = positions.map((position, index) => ({
+      x: lngX(position[0]),
+      y: latY(position[1]),
+      index,
+      id: -1,
+      numPoints: 1,
+      zoom: Infinity,
+      clusterZoom: Infinity,
+      children: []
+    }));
+
+    this._clusters = [];
+    this._grids = [];
+    this._grids[maxZoom + 1] = new GridIndex(nodes, this._getRadius(maxZoom + 1));
+
+    for (let z = maxZoom; z >= minZoom; z--) {
+      nodes = this._cluster(nodes, z);
+      this._grids[z] = new GridIndex(nodes, this._getRadius(z));
+    }
+    return this;
+  }
+
+  /**
+   * Returns the points and clusters in a bounding box at a zoom level
+   * @param {Array} bbox - [west, south, east, north]. Longitudes are not wrapped,
+   *   e.g. [170, 0, 190, 10] is a box across the antimeridian
+   * @param {Number} zoom
+   */
+  getClusters(bbox: Array<number>, zoom: number): Array<ClusterItem> {
+    const {minZoom, maxZoom} = this.options;
+    const grid = this._grids[clamp(Math.floor(zoom), minZoom, maxZoom + 1)];
+    if (!grid) {
+      return [];
+    }
+
+    const [west, south, east, north] = bbox;
+    const minX = lngX(west);
+    const maxX = lngX(east);
+    const minY = latY(north);
+    const maxY = latY(south);
+    const result = [];
+
+    for (let wrap = Math.floor(minX); wrap <= Math.floor(maxX); wrap++) {
+      const nodes = grid.range(Math.max(minX - wrap, 0), minY, Math.min(maxX - wrap, 1), maxY);
+      for (const node of nodes) {
+        result.push(this._getItem(node, wrap));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns the indices of all points in a cluster
+   */
+  getLeaves(clusterId: number): Array<number> {
+    const leaves = [];
+    const collect = node => {
+      if (node.index >= 0) {
+        leaves.push(node.index);
+      } else {
+        node.children.forEach(collect);
+      }
+    };
+    const cluster = this._clusters[clusterId];
+    if (cluster) {
+      collect(cluster);
+    }
+    return leaves;
+  }
+
+  /**
+   * Returns the zoom level at which a cluster breaks apart
+   */
+  getClusterExpansionZoom(clusterId: number): number {
+    const cluster = this._clusters[clusterId];
+    return cluster ? cluster.clusterZoom + 1 : this.options.maxZoom + 1;
+  }
+
+  // Cluster radius in normalized world units at a zoom level
+  _getRadius(zoom: number): number {
+    const {radius, extent} = this.options;
+    return radius / (extent * Math.pow(2, zoom));
+  }
+
+  _cluster(nodes: Array<Node>, zoom: number): Array<Node> {
+    const r = this._getRadius(zoom);
+    const grid = this._grids[zoom + 1];
+    const result = [];
+
+    for (const node of nodes) {
+      // Skip if already merged into a cluster at this zoom
+      if (node.zoom > zoom) {
+        result.push(this._clusterNode(node, grid.within(node.x, node.y, r), zoom));
+      }
+    }
+    return result;
+  }
+
+  // Merges a node with its neighbors that have not been clustered at this zoom
+  _clusterNode(node: Node, neighbors: Array<Node>, zoom: number): Node {
+    node.zoom = zoom;
+
+    const children = [node];
+    let numPoints = node.numPoints;
+    let wx = node.x * numPoints;
+    let wy = node.y * numPoints;
+
+    for (const neighbor of neighbors) {
+      if (neighbor.zoom > zoom) {
+        neighbor.zoom = zoom;
+        children.push(neighbor);
+        wx += neighbor.x * neighbor.numPoints;
+        wy += neighbor.y * neighbor.numPoints;
+        numPoints += neighbor.numPoints;
+      }
+    }
+
+    if (children.length === 1) {
+      return node;
+    }
+    const cluster = {
+      x: wx / numPoints,
+      y: wy / numPoints,
+      index: -1,
+      id: this._clusters.length,
+      numPoints,
+      zoom: Infinity,
+      clusterZoom: zoom,
+      children
+    };
+    this._clusters.push(cluster);
+    return cluster;
+  }
+
+  _getItem(node: Node, wrap: number): ClusterItem {
+    return {
+      isCluster: node.id >= 0,
+      id: node.id,
+      index: node.index,
+      pointCount: node.numPoints,
+      longitude: xLng(node.x + wrap),
+      latitude: yLat(node.y),
+      wrap
+    };
+  }
+}
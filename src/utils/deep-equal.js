@@ -0,0 +1,46 @@
+// @flow
+
+function arraysEqual(a: Array<any>, b: Array<any>): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (!deepEqual(a[i], b[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function objectsEqual(a: Object, b: Object): boolean {
+  const aKeys = Object.keys(a);
+  if (aKeys.length !== Object.keys(b).length) {
+    return false;
+  }
+  for (const key of aKeys) {
+    if (!b.hasOwnProperty(key) || !deepEqual(a[key], b[key])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compares two values by content. Used to diff layer styles, which are
+ * composed of plain objects, arrays and primitive values.
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean} - true if the two values are equivalent
+ */
+export default function deepEqual(a: any, b: any): boolean {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && arraysEqual(a, b);
+  }
+  return objectsEqual(a, b);
+}
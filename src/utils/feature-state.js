@@ -0,0 +1,63 @@
+// @flow
+
+export type FeatureIdentifier = {
+  source: string,
+  sourceLayer?: string,
+  id: number | string
+};
+
+/**
+ * Returns the identifier of a feature returned by `queryRenderedFeatures`,
+ * or null if the feature cannot be addressed by `setFeatureState`.
+ */
+export function getFeatureIdentifier(feature: any): ?FeatureIdentifier {
+  if (!feature || feature.id === undefined || feature.id === null) {
+    return null;
+  }
+  const {source, sourceLayer, id} = feature;
+  return sourceLayer ? {source, sourceLayer, id} : {source, id};
+}
+
+export function isSameFeature(a: ?FeatureIdentifier, b: ?FeatureIdentifier): boolean {
+  if (!a || !b) {
+    return a === b;
+  }
+  return a.source === b.source && a.sourceLayer === b.sourceLayer && a.id === b.id;
+}
+
+/**
+ * Applies the difference between two states of a feature.
+ * Keys that were previously set but are absent from the new state are cleared.
+ * @param {mapboxgl.Map} map
+ * @param {Object} feature - {source, sourceLayer, id}
+ * @param {Object} state - the desired state
+ * @param {Object} prevState - the state previously applied by the caller
+ */
+export function updateFeatureState(
+  map: any,
+  feature: FeatureIdentifier,
+  state: ?Object,
+  prevState: ?Object
+) {
+  state = state || {};
+  prevState = prevState || {};
+  const changes = {};
+  let changed = false;
+
+  for (const key in state) {
+    if (state[key] !== prevState[key]) {
+      changes[key] = state[key];
+      changed = true;
+    }
+  }
+  for (const key in prevState) {
+    if (!(key in state)) {
+      changes[key] = null;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    map.setFeatureState(feature, changes);
+  }
+}
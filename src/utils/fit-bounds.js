@@ -0,0 +1,191 @@
+// @flow
+import WebMercatorViewport, {lngLatToWorld} from 'viewport-mercator-project';
+import {LinearInterpolator, ViewportFlyToInterpolator} from './transition';
+import {MAPBOX_LIMITS} from './map-state';
+import {normalizePadding, createViewport, getCenterByLngLatPosition} from './viewport-padding';
+import assert from './assert';
+
+import type {Padding, PaddedViewState} from './viewport-padding';
+
+export type FitBoundsOptions = {
+  // Space around the bounds in pixels
+  padding?: number | $Shape<Padding>,
+  // Position of the bounds relative to the center of the map, [x, y] in pixels
+  offset?: Array<number>,
+  maxZoom?: number,
+  // Use `LinearInterpolator` instead of `FlyToInterpolator`
+  linear?: boolean
+};
+
+// Pitched viewports are fitted by successive approximation
+const MAX_ITERATIONS = 20;
+const EPSILON = 1e-6;
+
+// Returns the size and center of the area to fit the bounds in, in pixels
+function getTargetArea(viewState, padding: number | $Shape<Padding>, offset) {
+  const {width, height} = viewState;
+  // The padding of the view state is covered by UI
+  const viewPadding = normalizePadding(viewState.padding);
+  const fitPadding = normalizePadding(padding);
+  const top = viewPadding.top + fitPadding.top;
+  const right = viewPadding.right + fitPadding.right;
+  const bottom = viewPadding.bottom + fitPadding.bottom;
+  const left = viewPadding.left + fitPadding.left;
+
+  const size = [
+    width - left - right - Math.abs(offset[0]) * 2,
+    height - top - bottom - Math.abs(offset[1]) * 2
+  ];
+  assert(size[0] > 0 && size[1] > 0, 'fitBounds: padding is larger than the map');
+  const center = [
+    (width + left - right) / 2 + offset[0],
+    (height + top - bottom) / 2 + offset[1]
+  ];
+  return {size, center};
+}
+
+// Returns the corners of the bounds, in any order of the bounds
+function getCorners(bounds: Array<Array<number>>): Array<Array<number>> {
+  const [[lng0, lat0], [lng1, lat1]] = bounds;
+  const west = Math.min(lng0, lng1);
+  const east = Math.max(lng0, lng1);
+  const south = Math.min(lat0, lat1);
+  const north = Math.max(lat0, lat1);
+  return [[west, north], [east, north], [east, south], [west, south]];
+}
+
+// Returns the screen bounding box of the corners of the bounds
+function getScreenBounds(viewport: WebMercatorViewport, corners: Array<Array<number>>) {
+  const points = corners.map(corner => viewport.project(corner));
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// Zoom that fits the bounds in the target size, ignoring pitch
+function getInitialZoom(corners: Array<Array<number>>, bearing: number, targetSize: Array<number>) {
+  const angle = bearing / 180 * Math.PI;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // Rotate the world coordinates of the corners to the screen orientation
+  const points = corners.map(corner => {
+    const [x, y] = lngLatToWorld(corner, 1);
+    return [x * cos + y * sin, y * cos - x * sin];
+  });
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const scale = Math.min(
+    targetSize[0] / (Math.max(...xs) - Math.min(...xs)),
+    targetSize[1] / (Math.max(...ys) - Math.min(...ys))
+  );
+  return Math.log2(scale);
+}
+
+/**
+ * Returns a view state that fits the bounds `[[lng, lat], [lng, lat]]` in the map,
+ * keeping the pitch and bearing of the given view state.
+ */
+export function fitBounds(
+  viewState: PaddedViewState,
+  bounds: Array<Array<number>>,
+  opts: FitBoundsOptions = {}
+): any {
+  const {
+    padding = 0,
+    offset = [0, 0],
+    maxZoom = MAPBOX_LIMITS.maxZoom,
+    linear = false
+  } = opts;
+  const {width, height, pitch = 0, bearing = 0} = viewState;
+  const {size: targetSize, center: targetCenter} = getTargetArea(viewState, padding, offset);
+  const corners = getCorners(bounds);
+
+  let longitude = (corners[0][0] + corners[2][0]) / 2;
+  let latitude = (corners[0][1] + corners[2][1]) / 2;
+  let zoom = Math.min(getInitialZoom(corners, bearing, targetSize), maxZoom);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const props = {
+      width, height, longitude, latitude, zoom, pitch, bearing, padding: viewState.padding
+    };
+    let [minX, minY, maxX, maxY] = getScreenBounds(createViewport(props), corners);
+
+    // Zoom so that the bounds fill the padded area
+    const scale = Math.min(targetSize[0] / (maxX - minX), targetSize[1] / (maxY - minY));
+    const newZoom = Math.min(zoom + Math.log2(scale), maxZoom);
+    props.zoom = newZoom;
+    const viewport = createViewport(props);
+    [minX, minY, maxX, maxY] = getScreenBounds(viewport, corners);
+
+    // Move the center of the bounds to the center of the padded area
+    const boundsCenter = [(minX + maxX) / 2, (minY + maxY) / 2];
+    [longitude, latitude] = getCenterByLngLatPosition(props, {
+      lngLat: viewport.unproject(boundsCenter),
+      pos: targetCenter
+    });
+
+    const isCentered = Math.abs(boundsCenter[0] - targetCenter[0]) < EPSILON &&
+      Math.abs(boundsCenter[1] - targetCenter[1]) < EPSILON;
+    const isConverged = isCentered && Math.abs(newZoom - zoom) < EPSILON;
+    zoom = newZoom;
+    if (isConverged) {
+      break;
+    }
+  }
+
+  return Object.assign({}, viewState, {
+    longitude,
+    latitude,
+    zoom,
+    transitionInterpolator: linear ? new LinearInterpolator() : new ViewportFlyToInterpolator()
+  });
+}
+
+// Extends the bounds with the positions in a nested coordinates array
+function extendBounds(bounds: Array<number>, coordinates: any) {
+  if (typeof coordinates[0] === 'number') {
+    bounds[0] = Math.min(bounds[0], coordinates[0]);
+    bounds[1] = Math.min(bounds[1], coordinates[1]);
+    bounds[2] = Math.max(bounds[2], coordinates[0]);
+    bounds[3] = Math.max(bounds[3], coordinates[1]);
+  } else {
+    coordinates.forEach(c => extendBounds(bounds, c));
+  }
+}
+
+// Returns [[west, south], [east, north]] of a GeoJSON object
+export function getGeoJSONBounds(geojson: any): Array<Array<number>> {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = object => {
+    if (!object) {
+      return;
+    }
+    switch (object.type) {
+    case 'FeatureCollection':
+      object.features.forEach(visit);
+      break;
+    case 'Feature':
+      visit(object.geometry);
+      break;
+    case 'GeometryCollection':
+      object.geometries.forEach(visit);
+      break;
+    default:
+      extendBounds(bounds, object.coordinates);
+    }
+  };
+  visit(geojson);
+  assert(bounds[0] <= bounds[2], 'fitGeoJSON: no coordinates found');
+  return [[bounds[0], bounds[1]], [bounds[2], bounds[3]]];
+}
+
+/**
+ * Returns a view state that fits a GeoJSON feature, feature collection or geometry in the map.
+ */
+export function fitGeoJSON(
+  viewState: PaddedViewState,
+  geojson: any,
+  opts: FitBoundsOptions = {}
+): any {
+  return fitBounds(viewState, getGeoJSONBounds(geojson), opts);
+}
@@ -0,0 +1,216 @@
+// @flow
+// Helpers for drawing, editing and measuring GeoJSON geometries
+
+// Mean radius of the earth in meters
+const EARTH_RADIUS = 6371008.8;
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+export type Position = Array<number>;
+
+// A vertex of a geometry. `indexes` is the path to the position in `coordinates`:
+// `[]` for a Point, `[i]` for a LineString and `[ringIndex, i]` for a Polygon
+export type Vertex = {
+  position: Position,
+  indexes: Array<number>
+};
+
+/** Screen space helpers, positions are [x, y] in pixels **/
+
+export function getPixelDistance(a: Position, b: Position): number {
+  return Math.sqrt((a[0] - b[0]) * (a[0] - b[0]) + (a[1] - b[1]) * (a[1] - b[1]));
+}
+
+// Distance from `p` to the segment between `a` and `b`
+export function getDistanceToSegment(p: Position, a: Position, b: Position): number {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) {
+    return getPixelDistance(p, a);
+  }
+  let t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared;
+  t = Math.max(0, Math.min(1, t));
+  return getPixelDistance(p, [a[0] + t * dx, a[1] + t * dy]);
+}
+
+// Ray casting test, `ring` may or may not repeat its first position
+export function isPointInRing(p: Position, ring: Array<Position>): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > p[1]) !== (yj > p[1]) &&
+      p[0] < (xj - xi) * (p[1] - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Geographic helpers, positions are [longitude, latitude] **/
+
+// Great circle distance in meters
+export function getDistance(from: Position, to: Position): number {
+  const lat1 = from[1] * DEGREES_TO_RADIANS;
+  const lat2 = to[1] * DEGREES_TO_RADIANS;
+  const sinDLat = Math.sin((lat2 - lat1) / 2);
+  const sinDLng = Math.sin((to[0] - from[0]) * DEGREES_TO_RADIANS / 2);
+  const a = sinDLat * sinDLat + Math.cos(lat1) * Math.cos(lat2) * sinDLng * sinDLng;
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Length of a path in meters
+export function getLength(positions: Array<Position>): number {
+  let length = 0;
+  for (let i = 1; i < positions.length; i++) {
+    length += getDistance(positions[i - 1], positions[i]);
+  }
+  return length;
+}
+
+// Area of a ring on the sphere in square meters, the ring may or may not be closed
+export function getArea(ring: Array<Position>): number {
+  let total = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const p1 = ring[i];
+    const p2 = ring[(i + 1) % ring.length];
+    total += (p2[0] - p1[0]) * DEGREES_TO_RADIANS *
+      (2 + Math.sin(p1[1] * DEGREES_TO_RADIANS) + Math.sin(p2[1] * DEGREES_TO_RADIANS));
+  }
+  return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// Position at `distance` meters from `origin`, in the direction of `bearing` degrees
+export function getDestination(origin: Position, distance: number, bearing: number): Position {
+  const lng = origin[0] * DEGREES_TO_RADIANS;
+  const lat = origin[1] * DEGREES_TO_RADIANS;
+  const angle = distance / EARTH_RADIUS;
+  const theta = bearing * DEGREES_TO_RADIANS;
+
+  const destLat = Math.asin(
+    Math.sin(lat) * Math.cos(angle) + Math.cos(lat) * Math.sin(angle) * Math.cos(theta)
+  );
+  const destLng = lng + Math.atan2(
+    Math.sin(theta) * Math.sin(angle) * Math.cos(lat),
+    Math.cos(angle) - Math.sin(lat) * Math.sin(destLat)
+  );
+  return [destLng / DEGREES_TO_RADIANS, destLat / DEGREES_TO_RADIANS];
+}
+
+// Polygon with the corners `a` and `b`, aligned with the meridians and parallels
+export function getRectangle(a: Position, b: Position): Object {
+  return {
+    type: 'Polygon',
+    coordinates: [[a, [b[0], a[1]], b, [a[0], b[1]], a]]
+  };
+}
+
+// Polygon that approximates the circle of `radius` meters around `center`
+export function getCircle(center: Position, radius: number, steps: number = 64): Object {
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    ring.push(getDestination(center, radius, -i * 360 / steps));
+  }
+  ring.push(ring[0]);
+  return {type: 'Polygon', coordinates: [ring]};
+}
+
+/** Vertex editing, geometries are never mutated **/
+
+// Returns the lists of positions of a LineString or Polygon, with their paths in `coordinates`
+function getLines(geometry: Object): Array<{positions: Array<Position>, path: Array<number>}> {
+  switch (geometry.type) {
+  case 'LineString':
+    return [{positions: geometry.coordinates, path: []}];
+  case 'Polygon':
+    return geometry.coordinates.map((ring, i) => ({positions: ring, path: [i]}));
+  default:
+    return [];
+  }
+}
+
+function setLine(geometry: Object, path: Array<number>, positions: Array<Position>): Object {
+  if (path.length === 0) {
+    return Object.assign({}, geometry, {coordinates: positions});
+  }
+  const coordinates = geometry.coordinates.slice();
+  coordinates[path[0]] = positions;
+  return Object.assign({}, geometry, {coordinates});
+}
+
+// Polygon rings repeat the first position at the end
+function closeRing(geometry: Object, positions: Array<Position>): Array<Position> {
+  if (geometry.type === 'Polygon') {
+    positions[positions.length - 1] = positions[0];
+  }
+  return positions;
+}
+
+export function getVertices(geometry: Object): Array<Vertex> {
+  if (geometry.type === 'Point') {
+    return [{position: geometry.coordinates, indexes: []}];
+  }
+  const vertices = [];
+  getLines(geometry).forEach(({positions, path}) => {
+    const count = geometry.type === 'Polygon' ? positions.length - 1 : positions.length;
+    for (let i = 0; i < count; i++) {
+      vertices.push({position: positions[i], indexes: path.concat(i)});
+    }
+  });
+  return vertices;
+}
+
+// Returns the midpoints of the segments. `indexes` is where the vertex is inserted.
+export function getMidpoints(geometry: Object): Array<Vertex> {
+  const midpoints = [];
+  getLines(geometry).forEach(({positions, path}) => {
+    for (let i = 1; i < positions.length; i++) {
+      const a = positions[i - 1];
+      const b = positions[i];
+      midpoints.push({
+        position: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+        indexes: path.concat(i)
+      });
+    }
+  });
+  return midpoints;
+}
+
+export function updateVertex(geometry: Object, indexes: Array<number>, position: Position): Object {
+  if (geometry.type === 'Point') {
+    return Object.assign({}, geometry, {coordinates: position});
+  }
+  const path = indexes.slice(0, -1);
+  const line = getLines(geometry).find(l => l.path.join() === path.join());
+  if (!line) {
+    return geometry;
+  }
+  const positions = line.positions.slice();
+  positions[indexes[indexes.length - 1]] = position;
+  return setLine(geometry, path, closeRing(geometry, positions));
+}
+
+export function insertVertex(geometry: Object, indexes: Array<number>, position: Position): Object {
+  const path = indexes.slice(0, -1);
+  const line = getLines(geometry).find(l => l.path.join() === path.join());
+  if (!line) {
+    return geometry;
+  }
+  const positions = line.positions.slice();
+  positions.splice(indexes[indexes.length - 1], 0, position);
+  return setLine(geometry, path, positions);
+}
+
+// Returns null if the geometry would no longer be valid without the vertex
+export function removeVertex(geometry: Object, indexes: Array<number>): ?Object {
+  const path = indexes.slice(0, -1);
+  const line = getLines(geometry).find(l => l.path.join() === path.join());
+  // A polygon ring needs 3 distinct positions, a line 2
+  const minLength = geometry.type === 'Polygon' ? 4 : 2;
+  if (!line || line.positions.length <= minLength) {
+    return null;
+  }
+  const positions = line.positions.slice();
+  positions.splice(indexes[indexes.length - 1], 1);
+  return setLine(geometry, path, closeRing(geometry, positions));
+}
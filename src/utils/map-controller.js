@@ -19,6 +19,7 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
+/* global requestAnimationFrame, cancelAnimationFrame */
 import MapState from './map-state';
 import {LinearInterpolator} from './transition';
 import TransitionManager, {TRANSITION_EVENTS} from './transition-manager';
@@ -39,15 +40,111 @@ export const LINEAR_TRANSITION_PROPS = {
 const PITCH_MOUSE_THRESHOLD = 5;
 const PITCH_ACCEL = 1.2;
 const ZOOM_ACCEL = 0.01;
+// Raw deltaY of mouse wheels on some platforms are multiples of this number
+const WHEEL_DELTA_MAGIC_SCALER = 4.000244140625;
+// A new wheel gesture starts after this period (ms) without wheel events
+const WHEEL_GESTURE_TIMEOUT = 400;
+// A gesture that starts with a delta of at least this is from a mouse wheel
+const WHEEL_MIN_DELTA = 50;
+// Duration (ms) of the animation of a mouse wheel zoom step
+const WHEEL_ZOOM_DURATION = 200;
+
+const DEFAULT_SCROLL_ZOOM = {
+  // Zoom speed of mouse wheels
+  wheelSpeed: ZOOM_ACCEL,
+  // Zoom speed of trackpads
+  trackpadSpeed: ZOOM_ACCEL,
+  // Animate mouse wheel zoom, and update trackpad zoom once per frame
+  smooth: true
+};
+// Boxes smaller than this in either dimension are ignored
+const MIN_BOX_SIZE = 4;
+// Only the pointer movement within this period before release contributes to inertia
+const INERTIA_SAMPLE_WINDOW = 160;
+
+const DEFAULT_INERTIA = {
+  // Pan deceleration in pixels per second squared
+  deceleration: 2500,
+  // Max pan speed in pixels per second
+  maxSpeed: 1400,
+  // Zoom deceleration in zoom levels per second squared
+  zoomDeceleration: 20,
+  // Max zoom speed in zoom levels per second
+  maxZoomSpeed: 2.5
+};
+
+// Min movement of the two-finger center (pixels) before a touch gesture can be a pitch
+const TOUCH_PITCH_THRESHOLD = 10;
+// Two fingers are considered parallel if their distance changes less than this ratio,
+// and their angle changes less than this many degrees
+const TOUCH_PITCH_MAX_SCALE = 0.05;
+const TOUCH_PITCH_MAX_ROTATION = 5;
+// Dragging two fingers by this fraction of the map height pitches all the way
+const TOUCH_PITCH_DISTANCE = 0.5;
+
+const DEFAULT_KEYBOARD = {
+  // Pan distance in pixels
+  panStep: 100,
+  // Zoom change in levels, doubled with a function key
+  zoomStep: 1,
+  // Bearing change in degrees
+  rotateStep: 15,
+  // Pitch change in degrees
+  pitchStep: 10,
+  // Map from action to keys. Keys are either `KeyboardEvent.key` values or key codes
+  keys: {
+    zoomIn: [187, 107, 'PageUp'],
+    zoomOut: [189, 109, 'PageDown'],
+    left: [37],
+    right: [39],
+    up: [38],
+    down: [40],
+    resetNorth: ['Home']
+  }
+};
+
+// Constant deceleration
+const EASE_OUT = (t: number) => 1 - (1 - t) * (1 - t);
 
 const EVENT_TYPES = {
   WHEEL: ['wheel'],
   PAN: ['panstart', 'panmove', 'panend'],
   PINCH: ['pinchstart', 'pinchmove', 'pinchend'],
   DOUBLE_TAP: ['doubletap'],
-  KEYBOARD: ['keydown']
+  KEYBOARD: ['keydown'],
+  POINTER_DOWN: ['pointerdown']
+};
+
+type InertiaOptions = {
+  deceleration: number,
+  maxSpeed: number,
+  zoomDeceleration: number,
+  maxZoomSpeed: number
+};
+
+type KeyboardOptions = {
+  panStep: number,
+  zoomStep: number,
+  rotateStep: number,
+  pitchStep: number,
+  keys: {[action: string]: Array<string | number>}
+};
+
+type InertiaSample = {
+  time: number,
+  pos: Array<number>,
+  zoom?: number
 };
 
+// Merges user keyboard options with the defaults. Custom keys replace the default keys
+// of the same action
+function getKeyboardOptions(keyboard: boolean | $Shape<KeyboardOptions>): KeyboardOptions {
+  const options = typeof keyboard === 'object' ? keyboard : {};
+  return Object.assign({}, DEFAULT_KEYBOARD, options, {
+    keys: Object.assign({}, DEFAULT_KEYBOARD.keys, options.keys)
+  });
+}
+
 /**
  * @classdesc
  * A class that handles events and updates mercator style viewport parameters
@@ -60,18 +157,35 @@ export default class MapController {
   onStateChange: Function;
   mapStateProps: any;
   eventManager: any;
-  scrollZoom: boolean = true;
+  isInteractive: boolean = true;
+  scrollZoom: boolean | {wheelSpeed?: number, trackpadSpeed?: number, smooth?: boolean} = true;
   dragPan: boolean = true;
   dragRotate: boolean = true;
   doubleClickZoom: boolean = true;
   touchZoom: boolean = true;
   touchRotate: boolean = false;
-  keyboard: boolean = true;
+  touchPitch: boolean = false;
+  keyboard: ?KeyboardOptions = DEFAULT_KEYBOARD;
+  boxZoom: boolean = false;
+  boxSelect: boolean = false;
+  onBoxSelect: ?Function = null;
+  inertia: ?InertiaOptions = null;
 
   _state: any = {
     isDragging: false
   };
   _events: any = {};
+  _inertiaSamples: Array<InertiaSample> = [];
+  // Type of the current two-finger gesture, 'pinch' or 'pitch'. Null if not yet known
+  _touchGesture: ?string = null;
+  // Wheel gesture state
+  _wheelType: ?string = null;
+  _lastWheelTime: number = 0;
+  _wheelTargetZoom: number = 0;
+  _wheelDelta: number = 0;
+  _wheelPos: Array<number> = [0, 0];
+  _wheelFrame: any = null;
+  _lastWheelZoomTime: number = 0;
   _transitionManager: TransitionManager = new TransitionManager();
 
   constructor() {
@@ -104,6 +218,8 @@ export default class MapController {
       return this._onWheel(event);
     case 'keydown':
       return this._onKeyDown(event);
+    case 'pointerdown':
+      return this._onPointerDown(event);
     default:
       return false;
     }
@@ -150,6 +266,23 @@ export default class MapController {
     return new MapState(Object.assign({}, this.mapStateProps, this._state, overrides));
   }
 
+  /**
+   * Moves the camera programmatically, e.g. from the camera methods of InteractiveMap.
+   * Returns false if the camera is already at the target.
+   */
+  setViewState(viewState: any, transitionProps: any = NO_TRANSITION_PROPS): boolean {
+    this.mapState = this.getMapState();
+    const newMapState = this.getMapState(viewState);
+    const interpolator = transitionProps.transitionInterpolator || new LinearInterpolator();
+
+    if (interpolator.arePropsEqual(this.mapState.getViewportProps(),
+      newMapState.getViewportProps())) {
+      return false;
+    }
+    this.updateViewport(newMapState, transitionProps);
+    return true;
+  }
+
   /**
    * Extract interactivity options
    */
@@ -157,6 +290,7 @@ export default class MapController {
     const {
       onViewportChange,
       onStateChange,
+      onBoxSelect,
       eventManager = this.eventManager,
 
       isInteractive = true,
@@ -166,11 +300,16 @@ export default class MapController {
       doubleClickZoom = this.doubleClickZoom,
       touchZoom = this.touchZoom,
       touchRotate = this.touchRotate,
-      keyboard = this.keyboard
+      touchPitch = this.touchPitch,
+      keyboard = this.keyboard,
+      boxZoom = this.boxZoom,
+      boxSelect = this.boxSelect,
+      inertia = this.inertia
     } = options;
 
     this.onViewportChange = onViewportChange;
     this.onStateChange = onStateChange;
+    this.onBoxSelect = onBoxSelect;
 
     if (!this.mapStateProps || this.mapStateProps.height !== options.height) {
       // Dimensions changed, normalize the props
@@ -191,20 +330,38 @@ export default class MapController {
     }
 
     // Register/unregister events
-    this.toggleEvents(EVENT_TYPES.WHEEL, isInteractive && scrollZoom);
-    this.toggleEvents(EVENT_TYPES.PAN, isInteractive && (dragPan || dragRotate));
-    this.toggleEvents(EVENT_TYPES.PINCH, isInteractive && (touchZoom || touchRotate));
+    this._toggleWheelEvents(isInteractive && Boolean(scrollZoom));
+    // Box selection does not change the viewport
+    this.toggleEvents(EVENT_TYPES.PAN,
+      (isInteractive && (dragPan || dragRotate || boxZoom)) || boxSelect);
+    this.toggleEvents(EVENT_TYPES.PINCH,
+      isInteractive && (touchZoom || touchRotate || touchPitch));
     this.toggleEvents(EVENT_TYPES.DOUBLE_TAP, isInteractive && doubleClickZoom);
-    this.toggleEvents(EVENT_TYPES.KEYBOARD, isInteractive && keyboard);
+    this.toggleEvents(EVENT_TYPES.KEYBOARD, isInteractive && Boolean(keyboard));
+    this.toggleEvents(EVENT_TYPES.POINTER_DOWN, isInteractive && Boolean(inertia));
 
     // Interaction toggles
-    this.scrollZoom = scrollZoom;
-    this.dragPan = dragPan;
-    this.dragRotate = dragRotate;
-    this.doubleClickZoom = doubleClickZoom;
-    this.touchZoom = touchZoom;
-    this.touchRotate = touchRotate;
-    this.keyboard = keyboard;
+    Object.assign(this, {
+      isInteractive,
+      scrollZoom,
+      dragPan,
+      dragRotate,
+      doubleClickZoom,
+      touchZoom,
+      touchRotate,
+      touchPitch,
+      boxZoom,
+      boxSelect,
+      keyboard: keyboard ? getKeyboardOptions(keyboard) : null,
+      inertia: inertia ? Object.assign({}, DEFAULT_INERTIA, inertia) : null
+    });
+  }
+
+  /**
+   * Cancels the pending updates, called when the map is unmounted
+   */
+  teardown() {
+    this._cancelWheelFrame();
   }
 
   toggleEvents(eventNames: Array<string>, enabled: boolean) {
@@ -225,22 +382,59 @@ export default class MapController {
   /* Event handlers */
   // Default handler for the `panstart` event.
   _onPanStart(event: MjolnirEvent) {
+    if ((this.boxZoom || this.boxSelect) && event.srcEvent.shiftKey && !event.rightButton) {
+      return this._onBoxStart(event);
+    }
+    // Box selection is the only drag interaction of a static map
+    if (!this.isInteractive) {
+      return false;
+    }
     const pos = this.getCenter(event);
     const newMapState = this.mapState.panStart({pos}).rotateStart({pos});
+    this._inertiaSamples = [];
     this.updateViewport(newMapState, NO_TRANSITION_PROPS, {isDragging: true});
     return true;
   }
 
   // Default handler for the `panmove` event.
   _onPan(event: MjolnirEvent) {
+    if (this._state.selectionBox) {
+      return this._onBoxMove(event);
+    }
+    if (!this.isInteractive) {
+      return false;
+    }
     return this.isFunctionKeyPressed(event) || event.rightButton ?
       this._onPanRotate(event) : this._onPanMove(event);
   }
 
   // Default handler for the `panend` event.
   _onPanEnd(event: MjolnirEvent) {
-    const newMapState = this.mapState.panEnd().rotateEnd();
-    this.updateViewport(newMapState, null, {
+    if (this._state.selectionBox) {
+      return this._onBoxEnd(event);
+    }
+    if (!this.isInteractive) {
+      return false;
+    }
+    let newMapState = this.mapState.panEnd().rotateEnd();
+    let transitionProps = null;
+
+    const inertia = this.inertia && this._getInertia();
+    if (this.inertia && inertia) {
+      const {deceleration, maxSpeed} = this.inertia;
+      const {pos, velocity: [vx, vy]} = inertia;
+      const speed = Math.sqrt(vx * vx + vy * vy);
+
+      if (speed > 0) {
+        const {distance, duration} = this._getInertiaMovement(speed, deceleration, maxSpeed);
+        // Keep moving the map in the direction of the pointer
+        const endPos = [pos[0] + vx / speed * distance, pos[1] + vy / speed * distance];
+        newMapState = newMapState.pan({pos: endPos, startPos: pos});
+        transitionProps = this._getInertiaTransitionProps(duration);
+      }
+    }
+
+    this.updateViewport(newMapState, transitionProps, {
       isDragging: false,
       isPanning: false,
       isRotating: false
@@ -256,6 +450,7 @@ export default class MapController {
     }
     const pos = this.getCenter(event);
     const newMapState = this.mapState.pan({pos});
+    this._addInertiaSample({pos});
     this.updateViewport(newMapState, NO_TRANSITION_PROPS, {isPanning: true});
     return true;
   }
@@ -289,10 +484,117 @@ export default class MapController {
     deltaScaleY = Math.min(1, Math.max(-1, deltaScaleY));
 
     const newMapState = this.mapState.rotate({deltaScaleX, deltaScaleY});
+    // Rotation does not have inertia
+    this._inertiaSamples = [];
     this.updateViewport(newMapState, NO_TRANSITION_PROPS, {isRotating: true});
     return true;
   }
 
+  // Default handler for the `pointerdown` event, if `inertia` is enabled.
+  // Stops the map if it is still moving
+  _onPointerDown(event: MjolnirEvent) {
+    this._transitionManager.interruptTransition();
+    return true;
+  }
+
+  /* Inertia utils */
+  _addInertiaSample({pos, zoom}: {pos: Array<number>, zoom?: number}) {
+    const time = Date.now();
+    this._inertiaSamples = this._inertiaSamples
+      .filter(s => time - s.time <= INERTIA_SAMPLE_WINDOW)
+      .concat({time, pos, zoom});
+  }
+
+  // Returns the last pointer position, and the pointer velocity (pixels per second)
+  // and zoom velocity (levels per second) right before release.
+  // Returns null if the pointer was not moving
+  _getInertia(): ?{pos: Array<number>, velocity: Array<number>, zoomVelocity: number} {
+    const time = Date.now();
+    const samples = this._inertiaSamples.filter(s => time - s.time <= INERTIA_SAMPLE_WINDOW);
+    this._inertiaSamples = [];
+
+    if (samples.length < 2) {
+      return null;
+    }
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const dt = (last.time - first.time) / 1000;
+    if (dt <= 0) {
+      return null;
+    }
+    return {
+      pos: last.pos,
+      velocity: [(last.pos[0] - first.pos[0]) / dt, (last.pos[1] - first.pos[1]) / dt],
+      zoomVelocity: ((last.zoom || 0) - (first.zoom || 0)) / dt
+    };
+  }
+
+  // Returns the distance and duration (ms) of a movement that starts at `speed`
+  // and decelerates to a stop
+  _getInertiaMovement(speed: number, deceleration: number, maxSpeed: number) {
+    speed = Math.min(speed, maxSpeed);
+    const duration = speed / deceleration;
+    return {
+      distance: speed * duration / 2,
+      duration: duration * 1000
+    };
+  }
+
+  _getInertiaTransitionProps(duration: number) {
+    return Object.assign({}, LINEAR_TRANSITION_PROPS, {
+      transitionDuration: duration,
+      transitionEasing: EASE_OUT
+    });
+  }
+
+  // Default handler for shift + drag start, if `boxZoom` or `boxSelect` is enabled
+  _onBoxStart(event: MjolnirEvent) {
+    const pos = this.getCenter(event);
+    this.setState({isDragging: true, selectionBox: [pos, pos]});
+    return true;
+  }
+
+  // Default handler for shift + drag
+  _onBoxMove(event: MjolnirEvent) {
+    const {selectionBox} = this._state;
+    this.setState({selectionBox: [selectionBox[0], this.getCenter(event)]});
+    return true;
+  }
+
+  // Default handler for shift + drag end.
+  // Zooms into the box if `boxSelect` is off, otherwise reports the box with `onBoxSelect`
+  _onBoxEnd(event: MjolnirEvent) {
+    const [startPos, endPos] = this._state.selectionBox;
+    this.setState({isDragging: false, selectionBox: null});
+
+    const bbox = [
+      [Math.min(startPos[0], endPos[0]), Math.min(startPos[1], endPos[1])],
+      [Math.max(startPos[0], endPos[0]), Math.max(startPos[1], endPos[1])]
+    ];
+    const boxWidth = bbox[1][0] - bbox[0][0];
+    const boxHeight = bbox[1][1] - bbox[0][1];
+    if (boxWidth < MIN_BOX_SIZE || boxHeight < MIN_BOX_SIZE) {
+      return true;
+    }
+
+    if (this.boxSelect) {
+      if (this.onBoxSelect) {
+        this.onBoxSelect({bbox});
+      }
+      return true;
+    }
+
+    const {width, height} = this.mapState.getViewportProps();
+    // Move the center of the box to the center of the viewport and scale the box to fit
+    const newMapState = this.mapState.zoom({
+      pos: [width / 2, height / 2],
+      startPos: [(bbox[0][0] + bbox[1][0]) / 2, (bbox[0][1] + bbox[1][1]) / 2],
+      scale: Math.min(width / boxWidth, height / boxHeight)
+    });
+    this.updateViewport(newMapState, LINEAR_TRANSITION_PROPS);
+    return true;
+  }
+
   // Default handler for the `wheel` event.
   _onWheel(event: MjolnirEvent) {
     if (!this.scrollZoom) {
@@ -303,24 +605,118 @@ export default class MapController {
 
     const pos = this.getCenter(event);
     const {delta} = event;
+    const {wheelSpeed, trackpadSpeed, smooth} = this._getScrollZoomOptions();
+    const isTrackpad = this._getWheelType(event) === 'trackpad';
+    const speed = isTrackpad ? trackpadSpeed : wheelSpeed;
+
+    if (!smooth) {
+      this._zoomByWheel(pos, delta * speed);
+    } else if (isTrackpad) {
+      // Trackpads fire many small events, apply them once per frame
+      this._wheelDelta += delta * speed;
+      this._wheelPos = pos;
+      if (!this._wheelFrame) {
+        this._wheelFrame = requestAnimationFrame(this._onWheelFrame);
+      }
+    } else {
+      this._animateWheelZoom(pos, delta * speed);
+    }
+    return true;
+  }
+
+  _getScrollZoomOptions() {
+    const {scrollZoom} = this;
+    const options = typeof scrollZoom === 'object' ? scrollZoom : null;
+    return Object.assign({}, DEFAULT_SCROLL_ZOOM, options);
+  }
+
+  // Tells mouse wheels from trackpads, following the heuristics of mapbox-gl.
+  // The type is kept for the rest of the gesture.
+  _getWheelType(event: MjolnirEvent): ?string {
+    const {srcEvent} = event;
+    const value = srcEvent.deltaY || 0;
+    const time = Date.now();
+    const isNewGesture = time - this._lastWheelTime > WHEEL_GESTURE_TIMEOUT;
+    this._lastWheelTime = time;
+
+    if (srcEvent.deltaMode === 1 || (value !== 0 && value % WHEEL_DELTA_MAGIC_SCALER === 0)) {
+      // Scrolling by lines, or the magic number: definitely a mouse wheel
+      this._wheelType = 'wheel';
+    } else if (value !== 0 && Math.abs(value) < 4) {
+      // Mouse wheels do not produce values this small
+      this._wheelType = 'trackpad';
+    } else if (isNewGesture || !this._wheelType) {
+      this._wheelType = Math.abs(value) >= WHEEL_MIN_DELTA ? 'wheel' : 'trackpad';
+    }
+    return this._wheelType;
+  }
 
-    // Map wheel delta to relative scale
-    let scale = 2 / (1 + Math.exp(-Math.abs(delta * ZOOM_ACCEL)));
+  // Map wheel delta to relative scale
+  _getWheelScale(delta: number): number {
+    let scale = 2 / (1 + Math.exp(-Math.abs(delta)));
     if (delta < 0 && scale !== 0) {
       scale = 1 / scale;
     }
+    return scale;
+  }
 
-    const newMapState = this.mapState.zoom({pos, scale});
+  _zoomByWheel(pos: Array<number>, delta: number) {
+    const newMapState = this.mapState.zoom({pos, scale: this._getWheelScale(delta)});
     this.updateViewport(newMapState, NO_TRANSITION_PROPS, {isZooming: true});
     // This is a one-off event, state should not persist
     this.setState({isZooming: false});
-    return true;
+  }
+
+  _onWheelFrame = () => {
+    this._wheelFrame = null;
+    this.mapState = this.getMapState();
+    this._zoomByWheel(this._wheelPos, this._wheelDelta);
+    this._wheelDelta = 0;
+  }
+
+  _toggleWheelEvents(enabled: boolean) {
+    this.toggleEvents(EVENT_TYPES.WHEEL, enabled);
+    if (!enabled) {
+      this._cancelWheelFrame();
+    }
+  }
+
+  // Drops the trackpad deltas that are waiting for the next frame
+  _cancelWheelFrame() {
+    if (this._wheelFrame) {
+      cancelAnimationFrame(this._wheelFrame);
+      this._wheelFrame = null;
+    }
+    this._wheelDelta = 0;
+  }
+
+  // Animates a mouse wheel zoom step. Steps taken during the animation
+  // are added to its target zoom
+  _animateWheelZoom(pos: Array<number>, delta: number) {
+    const {zoom} = this.mapState.getViewportProps();
+    const isAnimating = Date.now() - this._lastWheelZoomTime < WHEEL_ZOOM_DURATION;
+    const startZoom = isAnimating ? this._wheelTargetZoom : zoom;
+    const targetZoom = startZoom + Math.log2(this._getWheelScale(delta));
+
+    const newMapState = this.mapState.zoom({pos, scale: Math.pow(2, targetZoom - zoom)});
+    this._wheelTargetZoom = newMapState.getViewportProps().zoom;
+    this._lastWheelZoomTime = Date.now();
+
+    this.updateViewport(newMapState, Object.assign({}, LINEAR_TRANSITION_PROPS, {
+      transitionDuration: WHEEL_ZOOM_DURATION,
+      transitionEasing: EASE_OUT,
+      transitionInterpolator: new LinearInterpolator({around: pos})
+    }), {isZooming: true});
+    this.setState({isZooming: false});
   }
 
   // Default handler for the `pinchstart` event.
   _onPinchStart(event: MjolnirEvent) {
     const pos = this.getCenter(event);
     const newMapState = this.mapState.zoomStart({pos}).rotateStart({pos});
+    this._inertiaSamples = [];
+    // Without touch pitch, any two-finger gesture is a pinch
+    this._touchGesture = this.touchPitch ? null : 'pinch';
     // hack - hammer's `rotation` field doesn't seem to produce the correct angle
     this._state.startPinchRotation = event.rotation;
     this.updateViewport(newMapState, NO_TRANSITION_PROPS, {isDragging: true});
@@ -329,7 +725,13 @@ export default class MapController {
 
   // Default handler for the `pinch` event.
   _onPinch(event: MjolnirEvent) {
-    if (!this.touchZoom && !this.touchRotate) {
+    if (!this._touchGesture) {
+      this._touchGesture = this._getTouchGesture(event);
+    }
+    if (this._touchGesture === 'pitch') {
+      return this._onTouchPitch(event);
+    }
+    if (this._touchGesture !== 'pinch' || (!this.touchZoom && !this.touchRotate)) {
       return false;
     }
 
@@ -345,6 +747,11 @@ export default class MapController {
       newMapState = newMapState.rotate({deltaScaleX: -(rotation - startPinchRotation) / 180});
     }
 
+    if (this.touchZoom) {
+      const {zoom} = newMapState.getViewportProps();
+      this._addInertiaSample({pos: this.getCenter(event), zoom});
+    }
+
     this.updateViewport(newMapState, NO_TRANSITION_PROPS, {
       isDragging: true,
       isPanning: this.touchZoom,
@@ -354,11 +761,62 @@ export default class MapController {
     return true;
   }
 
+  // Classifies a two-finger gesture once the fingers have moved enough.
+  // Two fingers dragged vertically while keeping their distance and angle pitch the map
+  _getTouchGesture(event: MjolnirEvent): ?string {
+    const {deltaX, deltaY, scale} = event;
+    const rotation = Math.abs(event.rotation - this._state.startPinchRotation);
+    const isParallel = Math.abs(scale - 1) < TOUCH_PITCH_MAX_SCALE &&
+      rotation < TOUCH_PITCH_MAX_ROTATION;
+
+    if (!isParallel) {
+      return 'pinch';
+    }
+    if (Math.abs(deltaY) < TOUCH_PITCH_THRESHOLD) {
+      return null;
+    }
+    return Math.abs(deltaY) > Math.abs(deltaX) * 2 ? 'pitch' : 'pinch';
+  }
+
+  // Handler for two-finger vertical drag.
+  // Called by `_onPinch` when the gesture is recognized as a pitch
+  _onTouchPitch(event: MjolnirEvent) {
+    const {height} = this.mapState.getViewportProps();
+    // Dragging upwards increases pitch
+    const deltaScaleY = -event.deltaY / (height * TOUCH_PITCH_DISTANCE);
+
+    const newMapState = this.mapState.rotate({deltaScaleY});
+    // Rotation does not have inertia
+    this._inertiaSamples = [];
+    this.updateViewport(newMapState, NO_TRANSITION_PROPS, {
+      isDragging: true,
+      isRotating: true
+    });
+    return true;
+  }
+
   // Default handler for the `pinchend` event.
   _onPinchEnd(event: MjolnirEvent) {
-    const newMapState = this.mapState.zoomEnd().rotateEnd();
+    let newMapState = this.mapState.zoomEnd().rotateEnd();
+    let transitionProps = null;
     this._state.startPinchRotation = 0;
-    this.updateViewport(newMapState, null, {
+    this._touchGesture = null;
+
+    const inertia = this.inertia && this._getInertia();
+    if (this.inertia && inertia && inertia.zoomVelocity) {
+      const {zoomDeceleration, maxZoomSpeed} = this.inertia;
+      const {pos, zoomVelocity} = inertia;
+      const {distance, duration} =
+        this._getInertiaMovement(Math.abs(zoomVelocity), zoomDeceleration, maxZoomSpeed);
+      // Keep zooming around the last pinch center
+      const scale = Math.pow(2, Math.sign(zoomVelocity) * distance);
+      newMapState = newMapState.zoom({pos, scale});
+      transitionProps = Object.assign(this._getInertiaTransitionProps(duration), {
+        transitionInterpolator: new LinearInterpolator({around: pos})
+      });
+    }
+
+    this.updateViewport(newMapState, transitionProps, {
       isDragging: false,
       isPanning: false,
       isZooming: false,
@@ -382,63 +840,67 @@ export default class MapController {
     return true;
   }
 
-  /* eslint-disable complexity */
   // Default handler for the `keydown` event
   _onKeyDown(event: MjolnirEvent) {
     if (!this.keyboard) {
       return false;
     }
+    const {srcEvent} = event;
+    const action = this._getKeyAction(srcEvent);
     const funcKey = this.isFunctionKeyPressed(event);
-    const {mapStateProps} = this;
-    let newMapState;
-
-    switch (event.srcEvent.keyCode) {
-    case 189: // -
-      if (funcKey) {
-        newMapState = this.getMapState({zoom: mapStateProps.zoom - 2});
-      } else {
-        newMapState = this.getMapState({zoom: mapStateProps.zoom - 1});
-      }
-      break;
-    case 187: // +
-      if (funcKey) {
-        newMapState = this.getMapState({zoom: mapStateProps.zoom + 2});
-      } else {
-        newMapState = this.getMapState({zoom: mapStateProps.zoom + 1});
-      }
-      break;
-    case 37: // left
-      if (funcKey) {
-        newMapState = this.getMapState({bearing: mapStateProps.bearing - 15});
-      } else {
-        newMapState = this.mapState.pan({pos: [100, 0], startPos: [0, 0]});
-      }
-      break;
-    case 39: // right
-      if (funcKey) {
-        newMapState = this.getMapState({bearing: mapStateProps.bearing + 15});
-      } else {
-        newMapState = this.mapState.pan({pos: [-100, 0], startPos: [0, 0]});
-      }
-      break;
-    case 38: // up
-      if (funcKey) {
-        newMapState = this.getMapState({pitch: mapStateProps.pitch + 10});
-      } else {
-        newMapState = this.mapState.pan({pos: [0, 100], startPos: [0, 0]});
-      }
-      break;
-    case 40: // down
-      if (funcKey) {
-        newMapState = this.getMapState({pitch: mapStateProps.pitch - 10});
-      } else {
-        newMapState = this.mapState.pan({pos: [0, -100], startPos: [0, 0]});
+    const newMapState = action && this._getKeyboardMapState(action, funcKey);
+    if (!newMapState) {
+      return false;
+    }
+    if (srcEvent.preventDefault) {
+      // Do not scroll the page
+      srcEvent.preventDefault();
+    }
+    this.updateViewport(newMapState, LINEAR_TRANSITION_PROPS);
+    return true;
+  }
+
+  // Returns the keyboard action bound to a key event
+  _getKeyAction(srcEvent: any): ?string {
+    const {keys} = this.keyboard || DEFAULT_KEYBOARD;
+    for (const action in keys) {
+      if (keys[action].some(key => key === srcEvent.key || key === srcEvent.keyCode)) {
+        return action;
       }
-      break;
+    }
+    return null;
+  }
+
+  /* eslint-disable complexity */
+  // Returns the map state after a keyboard action.
+  // With a function key, zoom steps are doubled, and left/right rotate and up/down pitch
+  _getKeyboardMapState(action: string, funcKey: boolean): ?MapState {
+    const {panStep, zoomStep, rotateStep, pitchStep} = this.keyboard || DEFAULT_KEYBOARD;
+    const {zoom, bearing, pitch} = this.mapStateProps;
+    const zoomDelta = funcKey ? zoomStep * 2 : zoomStep;
+
+    switch (action) {
+    case 'zoomIn':
+      return this.getMapState({zoom: zoom + zoomDelta});
+    case 'zoomOut':
+      return this.getMapState({zoom: zoom - zoomDelta});
+    case 'left':
+      return funcKey ? this.getMapState({bearing: bearing - rotateStep}) :
+        this.mapState.pan({pos: [panStep, 0], startPos: [0, 0]});
+    case 'right':
+      return funcKey ? this.getMapState({bearing: bearing + rotateStep}) :
+        this.mapState.pan({pos: [-panStep, 0], startPos: [0, 0]});
+    case 'up':
+      return funcKey ? this.getMapState({pitch: pitch + pitchStep}) :
+        this.mapState.pan({pos: [0, panStep], startPos: [0, 0]});
+    case 'down':
+      return funcKey ? this.getMapState({pitch: pitch - pitchStep}) :
+        this.mapState.pan({pos: [0, -panStep], startPos: [0, 0]});
+    case 'resetNorth':
+      return this.getMapState({bearing: 0, pitch: 0});
     default:
-      return false;
+      return null;
     }
-    return this.updateViewport(newMapState, LINEAR_TRANSITION_PROPS);
   }
   /* eslint-enable complexity */
 }
@@ -1,9 +1,14 @@
 // @flow
-import WebMercatorViewport, {normalizeViewportProps} from 'viewport-mercator-project';
+import {normalizeViewportProps} from 'viewport-mercator-project';
 import {TransitionInterpolator} from './transition';
 import {clamp} from './math-utils';
+import {getMinZoomForBounds, constrainToBounds} from './max-bounds';
+import {createViewport, getCenterByLngLatPosition} from './viewport-padding';
 import assert from './assert';
 
+import type {Bounds} from './max-bounds';
+import type {Padding} from './viewport-padding';
+
 // MAPBOX LIMITS
 export const MAPBOX_LIMITS = {
   minZoom: 0,
@@ -27,10 +32,12 @@ type ViewportProps = {
   bearing: number,
   pitch: number,
   altitude: number,
+  padding?: $Shape<Padding>,
   maxZoom: number,
   minZoom: number,
   maxPitch: number,
   minPitch: number,
+  maxBounds: ?Bounds,
   transitionDuration: number,
   transitionEasing: number => number,
   transitionInterpolator: TransitionInterpolator,
@@ -51,6 +58,7 @@ export type MapStateProps = ViewportProps & InteractiveState & {
   minZoom?: number,
   maxPitch?: number,
   minPitch?: number,
+  maxBounds?: ?Bounds
 };
 
 export default class MapState {
@@ -77,12 +85,16 @@ export default class MapState {
      * Non-public API, see https://github.com/mapbox/mapbox-gl-js/issues/1137
      */
     altitude = DEFAULT_STATE.altitude,
+    /** Area covered by UI, longitude and latitude are at the center of the rest */
+    padding,
 
     /** Viewport constraints */
     maxZoom = MAPBOX_LIMITS.maxZoom,
     minZoom = MAPBOX_LIMITS.minZoom,
     maxPitch = MAPBOX_LIMITS.maxPitch,
     minPitch = MAPBOX_LIMITS.minPitch,
+    /** [[west, south], [east, north]] of the area that the viewport is kept in */
+    maxBounds,
 
     /** Transition props */
     transitionDuration,
@@ -121,11 +133,15 @@ export default class MapState {
       minZoom,
       maxPitch,
       minPitch,
+      maxBounds: maxBounds || null,
       transitionDuration,
       transitionEasing,
       transitionInterpolator,
       transitionInterruption
     });
+    if (padding) {
+      this._viewportProps.padding = padding;
+    }
 
     this._interactiveState = {
       startPanLngLat,
@@ -282,14 +298,11 @@ export default class MapState {
 
     const zoom = this._calculateNewZoom({scale, startZoom: startZoom || 0});
 
-    const zoomedViewport = new WebMercatorViewport(
-      Object.assign({}, this._viewportProps, {zoom})
+    const [longitude, latitude] = getCenterByLngLatPosition(
+      Object.assign({}, this._viewportProps, {zoom}),
+      // $FlowFixMe
+      {lngLat: startZoomLngLat, pos}
     );
-    // $FlowFixMe
-    const [longitude, latitude] = zoomedViewport.getMapCenterByLngLatPosition({
-      lngLat: startZoomLngLat,
-      pos
-    });
 
     return this._getUpdatedMapState({
       zoom,
@@ -319,20 +332,30 @@ export default class MapState {
   // Apply any constraints (mathematical or defined by _viewportProps) to map state
   _applyConstraints(props: ViewportProps): ViewportProps {
     // Ensure zoom is within specified range
-    const {maxZoom, minZoom, zoom} = props;
-    props.zoom = clamp(zoom, minZoom, maxZoom);
+    const {maxZoom, zoom, maxBounds} = props;
+    let {minZoom} = props;
+    if (maxBounds) {
+      // Do not zoom out past the bounds
+      minZoom = Math.max(minZoom, getMinZoomForBounds(props, maxBounds));
+    }
+    props.zoom = clamp(zoom, minZoom, Math.max(minZoom, maxZoom));
 
     // Ensure pitch is within specified range
     const {maxPitch, minPitch, pitch} = props;
     props.pitch = clamp(pitch, minPitch, maxPitch);
 
+    if (maxBounds) {
+      // Ensure the viewport is within the bounds
+      Object.assign(props, constrainToBounds(props, maxBounds));
+    }
+
     Object.assign(props, normalizeViewportProps(props));
 
     return props;
   }
 
   _unproject(pos: ?Array<number>): ?Array<number> {
-    const viewport = new WebMercatorViewport(this._viewportProps);
+    const viewport = createViewport(this._viewportProps);
     return pos && viewport.unproject(pos);
   }
 
@@ -341,8 +364,7 @@ export default class MapState {
     startPanLngLat: Array<number>,
     pos: Array<number>
   }): Array<number> {
-    const viewport = new WebMercatorViewport(this._viewportProps);
-    return viewport.getMapCenterByLngLatPosition({lngLat: startPanLngLat, pos});
+    return getCenterByLngLatPosition(this._viewportProps, {lngLat: startPanLngLat, pos});
   }
 
   // Calculates new zoom
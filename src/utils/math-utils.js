@@ -6,6 +6,11 @@ function isArray(value: any): boolean {
   return Array.isArray(value) || ArrayBuffer.isView(value);
 }
 
+// Returns true if value is an object such as `{top, right, bottom, left}`
+function isPlainObject(value: any): boolean {
+  return value !== null && typeof value === 'object' && !isArray(value);
+}
+
 export function equals(a: any, b: any): boolean {
   if (a === b) {
     return true;
@@ -21,6 +26,10 @@ export function equals(a: any, b: any): boolean {
     }
     return true;
   }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+  }
   return Math.abs(a - b) <= EPSILON;
 }
 
@@ -28,10 +37,17 @@ export function clamp(value: number, min: number, max: number): number {
   return Math.max(min, Math.min(max, value));
 }
 
-// Interpolate between two numbers or two arrays
+// Interpolate between two numbers, two arrays or two objects with the same keys
 export function lerp(a: any, b: any, t: number): any {
   if (isArray(a)) {
     return a.map((ai, i) => lerp(ai, b[i], t));
   }
+  if (isPlainObject(a)) {
+    const result = {};
+    for (const key in a) {
+      result[key] = lerp(a[key], b[key], t);
+    }
+    return result;
+  }
   return t * b + (1 - t) * a;
 }
@@ -0,0 +1,72 @@
+// @flow
+import {lngLatToWorld, worldToLngLat} from 'viewport-mercator-project';
+import {clamp} from './math-utils';
+import {getPaddedCenterPosition} from './viewport-padding';
+
+import type {Padding} from './viewport-padding';
+
+const TILE_SIZE = 512;
+
+// [[west, south], [east, north]]
+export type Bounds = Array<Array<number>>;
+
+// Returns [minX, minY, maxX, maxY] of the bounds in world pixels at zoom 0
+function getWorldBounds(bounds: Bounds): Array<number> {
+  const [[west, south], [east, north]] = bounds;
+  const [minX, minY] = lngLatToWorld([west, north], 1);
+  const [x, maxY] = lngLatToWorld([east, south], 1);
+  let maxX = x;
+  if (maxX < minX) {
+    // Bounds that cross the antimeridian
+    maxX += TILE_SIZE;
+  }
+  return [minX, minY, maxX, maxY];
+}
+
+/**
+ * Returns the lowest zoom level at which the bounds cover the whole viewport
+ */
+export function getMinZoomForBounds(
+  {width, height}: {width: number, height: number},
+  bounds: Bounds
+): number {
+  const [minX, minY, maxX, maxY] = getWorldBounds(bounds);
+  return Math.log2(Math.max(width / (maxX - minX), height / (maxY - minY)));
+}
+
+/**
+ * Moves the center of the viewport so that no area outside of the bounds is shown.
+ * The viewport is assumed to be zoomed in at least to `getMinZoomForBounds`.
+ * Like mapbox-gl, this does not account for pitch and bearing.
+ */
+export function constrainToBounds(
+  props: {
+    width: number,
+    height: number,
+    longitude: number,
+    latitude: number,
+    zoom: number,
+    padding?: ?$Shape<Padding>
+  },
+  bounds: Bounds
+): {longitude: number, latitude: number} {
+  const {width, height, longitude, latitude, zoom} = props;
+  const scale = Math.pow(2, zoom);
+  const worldSize = TILE_SIZE * scale;
+  const [minX, minY, maxX, maxY] = getWorldBounds(bounds).map(v => v * scale);
+
+  let [x, y] = lngLatToWorld([longitude, latitude], scale);
+  // Use the copy of the world that is closest to the bounds
+  x += worldSize * Math.round(((minX + maxX) / 2 - x) / worldSize);
+
+  // `longitude` and `latitude` are at the center of the padded area, which is at
+  // [centerX, centerY] in the container
+  const [centerX, centerY] = getPaddedCenterPosition(props);
+  x = minX + width <= maxX ?
+    clamp(x, minX + centerX, maxX - width + centerX) : (minX + maxX - width) / 2 + centerX;
+  y = minY + height <= maxY ?
+    clamp(y, minY + centerY, maxY - height + centerY) : (minY + maxY - height) / 2 + centerY;
+
+  const [newLongitude, newLatitude] = worldToLngLat([x, y], scale);
+  return {longitude: newLongitude, latitude: newLatitude};
+}
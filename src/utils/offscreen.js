@@ -0,0 +1,27 @@
+// @flow
+
+/**
+ * Returns true if a projected position is outside of the viewport
+ * @param {Object} viewport - the current viewport
+ * @param {Array} pixel - [x, y, z] as returned by `viewport.project`
+ * @param {Number} buffer - distance in pixels outside of the viewport that is still
+ *   considered visible
+ */
+export function isPixelOffscreen(viewport: any, pixel: Array<number>, buffer: number = 0): boolean {
+  const [x, y, z = 0] = pixel;
+  // z is outside of [-1, 1] if the point is behind the camera or past the far plane
+  return z > 1 || z < -1 ||
+    x < -buffer || x > viewport.width + buffer ||
+    y < -buffer || y > viewport.height + buffer;
+}
+
+/**
+ * Returns true if a geographic position is outside of the viewport
+ * @param {Object} viewport - the current viewport
+ * @param {Array} lngLat - [longitude, latitude, altitude]
+ * @param {Number} buffer - see `isPixelOffscreen`
+ */
+export function isOffscreen(viewport: any, lngLat: Array<number>, buffer: number = 0): boolean {
+  const [longitude, latitude, altitude = 0] = lngLat;
+  return isPixelOffscreen(viewport, viewport.project([longitude, latitude, altitude]), buffer);
+}
@@ -60,3 +60,9 @@ export function normalizeStyle(style: ?MapboxStyle): ?MapboxStyle {
 
   return style;
 }
+
+// `map.isStyleLoaded()` also waits for all tiles to load, which is too strict
+// for adding sources and layers
+export function isStyleLoaded(map: any): boolean {
+  return Boolean(map.style && map.style._loaded);
+}
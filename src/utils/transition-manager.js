@@ -125,6 +125,14 @@ export default class TransitionManager {
     return false;
   }
 
+  // Stops the current transition, leaving the viewport where it is
+  interruptTransition() {
+    if (this._isTransitionInProgress()) {
+      this.props.onTransitionInterrupt();
+      this._endTransition();
+    }
+  }
+
   // Helper methods
 
   _isTransitionInProgress(): boolean {
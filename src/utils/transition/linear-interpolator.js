@@ -1,15 +1,14 @@
 // @flow
-import WebMercatorViewport from 'viewport-mercator-project';
-
 import assert from '../assert';
 import TransitionInterpolator from './transition-interpolator';
 
 import {isValid, getEndValueByShortestPath} from './transition-utils';
 import {lerp} from '../math-utils';
+import {createViewport, getCenterByLngLatPosition, normalizePadding} from '../viewport-padding';
 
 import type {MapStateProps} from '../map-state';
 
-const VIEWPORT_TRANSITION_PROPS = ['longitude', 'latitude', 'zoom', 'bearing', 'pitch'];
+const VIEWPORT_TRANSITION_PROPS = ['longitude', 'latitude', 'zoom', 'bearing', 'pitch', 'padding'];
 
 type TransitionProps = MapStateProps & {
   around: Array<number>,
@@ -53,10 +52,10 @@ export default class LinearInterpolator extends TransitionInterpolator {
       // anchor point in origin screen coordinates
       startViewportProps.around = this.around;
       // anchor point in spherical coordinates
-      const aroundLngLat = new WebMercatorViewport(startProps).unproject(this.around);
+      const aroundLngLat = createViewport(startProps).unproject(this.around);
       Object.assign(endViewportProps, endProps, {
         // anchor point in destination screen coordinates
-        around: new WebMercatorViewport(endProps).project(aroundLngLat),
+        around: createViewport(endProps).project(aroundLngLat),
         aroundLngLat
       });
     }
@@ -64,10 +63,18 @@ export default class LinearInterpolator extends TransitionInterpolator {
     for (const key of this.propNames) {
       const startValue = startProps[key];
       const endValue = endProps[key];
-      assert(isValid(startValue) && isValid(endValue), `${key} must be supplied for transition`);
-
-      startViewportProps[key] = startValue;
-      endViewportProps[key] = getEndValueByShortestPath(key, startValue, endValue);
+      if (key === 'padding') {
+        // padding is optional
+        if (startValue || endValue) {
+          startViewportProps.padding = normalizePadding(startValue);
+          endViewportProps.padding = normalizePadding(endValue);
+        }
+      } else {
+        assert(isValid(startValue) && isValid(endValue), `${key} must be supplied for transition`);
+
+        startViewportProps[key] = startValue;
+        endViewportProps[key] = getEndValueByShortestPath(key, startValue, endValue);
+      }
     }
 
     return {
@@ -79,17 +86,21 @@ export default class LinearInterpolator extends TransitionInterpolator {
   interpolateProps(startProps: TransitionProps, endProps: TransitionProps, t: number) {
     const viewport = {};
     for (const key of this.propNames) {
-      viewport[key] = lerp(startProps[key], endProps[key], t);
+      if (key in startProps) {
+        viewport[key] = lerp(startProps[key], endProps[key], t);
+      }
     }
 
     if (endProps.around) {
       // zoom around provided point
-      const [longitude, latitude] = new WebMercatorViewport(Object.assign({}, endProps, viewport))
-        .getMapCenterByLngLatPosition({
+      const [longitude, latitude] = getCenterByLngLatPosition(
+        Object.assign({}, endProps, viewport),
+        {
           lngLat: endProps.aroundLngLat,
           // anchor point in current screen coordinates
           pos: lerp(startProps.around, endProps.around, t)
-        });
+        }
+      );
       viewport.longitude = longitude;
       viewport.latitude = latitude;
     }
@@ -5,10 +5,11 @@ import TransitionInterpolator from './transition-interpolator';
 import {flyToViewport} from 'viewport-mercator-project';
 import {isValid, getEndValueByShortestPath} from './transition-utils';
 import {lerp} from '../math-utils';
+import {normalizePadding} from '../viewport-padding';
 
 import type {MapStateProps} from '../map-state';
 
-const VIEWPORT_TRANSITION_PROPS = ['longitude', 'latitude', 'zoom', 'bearing', 'pitch'];
+const VIEWPORT_TRANSITION_PROPS = ['longitude', 'latitude', 'zoom', 'bearing', 'pitch', 'padding'];
 const REQUIRED_PROPS = ['latitude', 'longitude', 'zoom', 'width', 'height'];
 const LINEARLY_INTERPOLATED_PROPS = ['bearing', 'pitch'];
 
@@ -43,6 +44,18 @@ export default class ViewportFlyToInterpolator extends TransitionInterpolator {
       endViewportProps[key] = getEndValueByShortestPath(key, startValue, endValue);
     }
 
+    if (startProps.padding || endProps.padding) {
+      const startPadding = normalizePadding(startProps.padding);
+      const endPadding = normalizePadding(endProps.padding);
+      startViewportProps.padding = startPadding;
+      endViewportProps.padding = endPadding;
+      // Fly in the area that is not covered by UI
+      startViewportProps.width -= startPadding.left + startPadding.right;
+      startViewportProps.height -= startPadding.top + startPadding.bottom;
+      endViewportProps.width -= endPadding.left + endPadding.right;
+      endViewportProps.height -= endPadding.top + endPadding.bottom;
+    }
+
     return {
       start: startViewportProps,
       end: endViewportProps
@@ -50,12 +63,15 @@ export default class ViewportFlyToInterpolator extends TransitionInterpolator {
   }
 
   interpolateProps(startProps: MapStateProps, endProps: MapStateProps, t: number) {
-    const viewport = flyToViewport(startProps, endProps, t);
+    const viewport: Object = flyToViewport(startProps, endProps, t);
 
     // Linearly interpolate 'bearing' and 'pitch' if exist.
     for (const key of LINEARLY_INTERPOLATED_PROPS) {
       viewport[key] = lerp(startProps[key], endProps[key], t);
     }
+    if (startProps.padding) {
+      viewport.padding = lerp(startProps.padding, endProps.padding, t);
+    }
 
     return viewport;
   }
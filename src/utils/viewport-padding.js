@@ -0,0 +1,117 @@
+// @flow
+import WebMercatorViewport from 'viewport-mercator-project';
+
+export type Padding = {top: number, right: number, bottom: number, left: number};
+
+export type PaddedViewState = $ReadOnly<{
+  width: number,
+  height: number,
+  longitude: number,
+  latitude: number,
+  zoom: number,
+  pitch?: number,
+  bearing?: number,
+  altitude?: number,
+  // Area covered by UI, the view state is centered in the rest of the container
+  padding?: ?$Shape<Padding>
+}>;
+
+const NO_PADDING = {top: 0, right: 0, bottom: 0, left: 0};
+
+// Padding of the viewports created by `createViewport`. Viewports are frozen.
+const viewportPaddings: WeakMap<Object, Padding> = new WeakMap();
+
+export function normalizePadding(padding: ?(number | $Shape<Padding>)): Padding {
+  if (typeof padding === 'number') {
+    return {top: padding, right: padding, bottom: padding, left: padding};
+  }
+  return Object.assign({}, NO_PADDING, padding);
+}
+
+// Screen position of the center of the padded area
+export function getPaddedCenterPosition(props: $ReadOnly<{
+  width: number,
+  height: number,
+  padding?: ?$Shape<Padding>
+}>): Array<number> {
+  const {width, height} = props;
+  const {top, right, bottom, left} = normalizePadding(props.padding);
+  return [(width + left - right) / 2, (height + top - bottom) / 2];
+}
+
+function hasOffset(props: $ReadOnly<{padding?: ?$Shape<Padding>}>): boolean {
+  const {top, right, bottom, left} = normalizePadding(props.padding);
+  return left !== right || top !== bottom;
+}
+
+/**
+ * Returns the longitude and latitude at the center of the container.
+ * `longitude` and `latitude` of a view state with padding are at the center of the padded area,
+ * but mapbox and `WebMercatorViewport` expect the center of the container.
+ */
+export function getContainerCenter(props: PaddedViewState): Array<number> {
+  if (!hasOffset(props)) {
+    return [props.longitude, props.latitude];
+  }
+  // $FlowFixMe
+  return new WebMercatorViewport(props).getMapCenterByLngLatPosition({
+    lngLat: [props.longitude, props.latitude],
+    pos: getPaddedCenterPosition(props)
+  });
+}
+
+/**
+ * Creates a `WebMercatorViewport` from view state props with padding.
+ * The padding is remembered for `getViewportPadding` and `getViewState`.
+ */
+export function createViewport(props: PaddedViewState): WebMercatorViewport {
+  const [longitude, latitude] = getContainerCenter(props);
+  // $FlowFixMe
+  const viewport = new WebMercatorViewport(Object.assign({}, props, {longitude, latitude}));
+  if (props.padding) {
+    viewportPaddings.set(viewport, normalizePadding(props.padding));
+  }
+  return viewport;
+}
+
+// Returns the padding of a viewport created by `createViewport`
+export function getViewportPadding(viewport: any): Padding {
+  return viewportPaddings.get(viewport) || NO_PADDING;
+}
+
+/**
+ * Returns the view state of a viewport created by `createViewport`,
+ * with `longitude` and `latitude` at the center of the padded area.
+ */
+export function getViewState(viewport: any): any {
+  const {width, height, longitude, latitude, zoom, pitch, bearing, altitude} = viewport;
+  const viewState = {width, height, longitude, latitude, zoom, pitch, bearing, altitude};
+  const padding = viewportPaddings.get(viewport);
+  if (!padding) {
+    return viewState;
+  }
+  const [paddedLongitude, paddedLatitude] =
+    viewport.unproject(getPaddedCenterPosition({width, height, padding}));
+  return Object.assign({}, viewState, {
+    longitude: paddedLongitude,
+    latitude: paddedLatitude,
+    padding
+  });
+}
+
+/**
+ * Returns the view state center that puts `lngLat` at the screen position `pos`.
+ * Padding-aware version of `WebMercatorViewport.getMapCenterByLngLatPosition`.
+ */
+export function getCenterByLngLatPosition(
+  props: PaddedViewState,
+  {lngLat, pos}: {lngLat: Array<number>, pos: Array<number>}
+): Array<number> {
+  const [longitude, latitude] = createViewport(props).getMapCenterByLngLatPosition({lngLat, pos});
+  if (!hasOffset(props)) {
+    return [longitude, latitude];
+  }
+  // $FlowFixMe
+  return new WebMercatorViewport(Object.assign({}, props, {longitude, latitude}))
+    .unproject(getPaddedCenterPosition(props));
+}
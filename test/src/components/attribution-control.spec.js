@@ -0,0 +1,124 @@
+import {AttributionControl, _MapContext as MapContext} from 'react-map-gl';
+import {getSourceAttributions} from 'react-map-gl/components/attribution-control';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+import {MockMap} from 'react-map-gl/test/test-utils';
+
+const VIEWPORT = new WebMercatorViewport({width: 800, height: 600});
+
+function renderControl(map, props, viewport = VIEWPORT) {
+  return createElement(MapContext.Provider, {value: {map, viewport}},
+    createElement(AttributionControl, props));
+}
+
+function getText(result) {
+  const inner = result.root.findByProps({className: 'mapboxgl-ctrl-attrib-inner'});
+  return inner.props.dangerouslySetInnerHTML.__html;
+}
+
+test('AttributionControl#getSourceAttributions', t => {
+  const map = new MockMap({styleLoaded: false});
+  map.addSource('a', {type: 'vector', attribution: '© OpenStreetMap'});
+  t.deepEqual(getSourceAttributions(map), [], 'no attributions before the style loads');
+
+  map.style._loaded = true;
+  map.addSource('b', {type: 'vector', attribution: ' © Mapbox © OpenStreetMap '});
+  map.addSource('c', {type: 'geojson'});
+  map.addSource('d', {type: 'raster', attribution: '© Mapbox © OpenStreetMap'});
+  map.addSource('e', {type: 'raster', attribution: '© Stamen'});
+  t.deepEqual(getSourceAttributions(map), ['© Mapbox © OpenStreetMap', '© Stamen'],
+    'attributions are deduplicated');
+  t.deepEqual(getSourceAttributions(null), [], 'no attributions without map');
+  t.end();
+});
+
+test('AttributionControl#render', t => {
+  const map = new MockMap();
+  const result = ReactTestRenderer.create(renderControl(map, {}));
+  t.is(result.toJSON(), null, 'renders nothing without attributions');
+
+  map.addSource('streets', {type: 'vector', attribution: '© Mapbox'});
+  map.fire('sourcedata', {sourceDataType: 'metadata'});
+  t.is(getText(result), '© Mapbox', 'updates when source metadata is loaded');
+
+  map.setStyleLoaded();
+  map.addSource('satellite', {type: 'raster', attribution: '© DigitalGlobe'});
+  map.fire('styledata');
+  t.is(getText(result), '© DigitalGlobe', 'updates when the style changes');
+
+  result.update(renderControl(map, {customAttribution: ['Data: City of SF']}));
+  t.is(getText(result), 'Data: City of SF | © DigitalGlobe', 'renders custom attributions');
+
+  result.unmount();
+  t.notOk(map._listeners.styledata.length, 'removes map listeners');
+  t.end();
+});
+
+test('AttributionControl#map created after mount', t => {
+  const map = new MockMap();
+  const control = createElement(AttributionControl, {});
+  const result = ReactTestRenderer.create(
+    createElement(MapContext.Provider, {value: {map: null, viewport: VIEWPORT}}, control));
+  t.is(result.toJSON(), null, 'renders nothing without map');
+
+  // Only the context changes, like when StaticMap creates the map
+  map.addSource('streets', {type: 'vector', attribution: '© Mapbox'});
+  result.update(createElement(MapContext.Provider, {value: {map, viewport: VIEWPORT}}, control));
+  t.is(getText(result), '© Mapbox', 'reads attributions when the map is available');
+
+  map.addSource('satellite', {type: 'raster', attribution: '© DigitalGlobe'});
+  map.fire('sourcedata', {sourceDataType: 'metadata'});
+  t.is(getText(result), '© Mapbox | © DigitalGlobe', 'listens to the map');
+
+  result.unmount();
+  t.notOk(map._listeners.sourcedata.length, 'removes map listeners');
+  t.end();
+});
+
+test('AttributionControl#style changes', t => {
+  const map = new MockMap();
+  map.addSource('streets', {type: 'vector', attribution: '© Mapbox'});
+  const getStyle = sinon.spy(map, 'getStyle');
+  const result = ReactTestRenderer.create(renderControl(map, {}));
+
+  map.getSource('streets').attribution = '© Mapbox © OpenStreetMap';
+  map.fire('styledata');
+  t.is(getText(result), '© Mapbox', 'style changes without new sources are skipped');
+
+  map.fire('sourcedata', {sourceDataType: 'metadata'});
+  t.is(getText(result), '© Mapbox © OpenStreetMap', 'source metadata is read');
+
+  map.addSource('satellite', {type: 'raster', attribution: '© DigitalGlobe'});
+  map.fire('styledata');
+  t.is(getText(result), '© Mapbox © OpenStreetMap | © DigitalGlobe', 'new sources are read');
+  t.notOk(getStyle.called, 'style is not serialized');
+
+  result.unmount();
+  t.end();
+});
+
+test('AttributionControl#compact', t => {
+  const map = new MockMap();
+  map.addSource('streets', {type: 'vector', attribution: '© Mapbox'});
+  const result = ReactTestRenderer.create(renderControl(map, {}));
+  t.notOk(result.root.findAllByType('button').length, 'not compact on a wide map');
+
+  result.update(renderControl(map, {}, new WebMercatorViewport({width: 400, height: 600})));
+  const getInnerStyle = () =>
+    result.root.findByProps({className: 'mapboxgl-ctrl-attrib-inner'}).props.style;
+  t.ok(/mapboxgl-compact/.test(result.toJSON().props.className), 'compact on a narrow map');
+  t.is(getInnerStyle().display, 'none', 'compact attribution is collapsed');
+
+  result.root.findByType('button').props.onClick();
+  t.notOk(getInnerStyle(), 'button expands the attribution');
+
+  result.update(renderControl(map, {compact: false}, new WebMercatorViewport({width: 400})));
+  t.notOk(result.root.findAllByType('button').length, 'compact can be turned off');
+
+  result.unmount();
+  t.end();
+});
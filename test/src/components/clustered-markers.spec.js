@@ -0,0 +1,115 @@
+import {ClusteredMarkers} from 'react-map-gl';
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+import {_MapContext as MapContext} from 'react-map-gl';
+
+const DATA = [
+  {name: 'a', longitude: -122.41, latitude: 37.77},
+  {name: 'b', longitude: -122.42, latitude: 37.78},
+  {name: 'c', longitude: -122.27, latitude: 37.80},
+  {name: 'd', longitude: 139.69, latitude: 35.68}
+];
+
+function getContext(opts) {
+  return {
+    viewport: new WebMercatorViewport(Object.assign({
+      width: 800,
+      height: 600,
+      longitude: -122.4,
+      latitude: 37.78
+    }, opts))
+  };
+}
+
+function renderMarker(d) {
+  return React.createElement('div', {className: 'test-marker'}, d.name);
+}
+
+function renderCluster(cluster) {
+  return React.createElement('div', {className: 'test-cluster', cluster}, cluster.pointCount);
+}
+
+function renderMarkers(context, props) {
+  return React.createElement(MapContext.Provider, {value: context},
+    React.createElement(ClusteredMarkers, Object.assign({
+      data: DATA,
+      renderMarker,
+      renderCluster
+    }, props))
+  );
+}
+
+test('ClusteredMarkers#renders visible markers and clusters', t => {
+  t.ok(ClusteredMarkers, 'ClusteredMarkers is defined');
+
+  const result = ReactTestRenderer.create(renderMarkers(getContext({zoom: 3})));
+
+  let clusters = result.root.findAllByProps({className: 'test-cluster'});
+  t.is(clusters.length, 1, 'renders a cluster');
+  t.is(clusters[0].children[0], '3', 'renders point count');
+  t.is(result.root.findAllByProps({className: 'test-marker'}).length, 0,
+    'does not render markers out of view');
+
+  result.update(renderMarkers(getContext({zoom: 13})));
+  clusters = result.root.findAllByProps({className: 'test-cluster'});
+  const markers = result.root.findAllByProps({className: 'test-marker'});
+  t.is(clusters.length, 0, 'clusters break apart at high zoom');
+  t.deepEqual(markers.map(m => m.children[0]).sort(), ['a', 'b'], 'renders visible markers');
+
+  result.unmount();
+  t.end();
+});
+
+test('ClusteredMarkers#cluster.expand', t => {
+  const onViewportChange = sinon.spy();
+  const onViewStateChange = sinon.spy();
+  const context = getContext({zoom: 3});
+
+  const result = ReactTestRenderer.create(
+    renderMarkers(context, {onViewportChange, onViewStateChange})
+  );
+  const {cluster} = result.root.findByProps({className: 'test-cluster'}).props;
+
+  t.deepEqual(cluster.getLeaves().map(d => d.name).sort(), ['a', 'b', 'c'],
+    'getLeaves returns data');
+
+  cluster.expand();
+  t.ok(onViewStateChange.calledOnce, 'onViewStateChange is called');
+  t.ok(onViewportChange.calledOnce, 'onViewportChange is called');
+
+  const viewState = onViewportChange.args[0][0];
+  t.ok(viewState.zoom > 3, 'zooms in');
+  t.ok(viewState.transitionDuration > 0, 'uses transition');
+
+  const [[west, south], [east, north]] = cluster.getBounds();
+  const viewport = new WebMercatorViewport(Object.assign({}, context.viewport, viewState));
+  const [x0, y0] = viewport.project([west, north]);
+  const [x1, y1] = viewport.project([east, south]);
+  t.ok(x0 >= 0 && y0 >= 0 && x1 <= 800 && y1 <= 600, 'cluster bounds are in view');
+
+  result.unmount();
+  t.end();
+});
+
+test('ClusteredMarkers#cluster index', t => {
+  const context = getContext({zoom: 3});
+  const render = props => renderMarkers(context, Object.assign({
+    getPosition: d => [d.longitude, d.latitude]
+  }, props));
+  const result = ReactTestRenderer.create(render());
+  const instance = result.root.findByType(ClusteredMarkers).instance;
+  const index = instance._index;
+
+  result.update(render());
+  t.is(instance._index, index, 'a new getPosition function does not rebuild the index');
+
+  result.update(render({data: DATA.slice(1)}));
+  t.not(instance._index, index, 'new data rebuilds the index');
+
+  result.unmount();
+  t.end();
+});
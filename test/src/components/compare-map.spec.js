@@ -0,0 +1,72 @@
+import {CompareMap, StaticMap} from 'react-map-gl';
+import CompareDivider from 'react-map-gl/components/compare-divider';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+const mapboxApiAccessToken = process.env._MapboxAccessToken_; // eslint-disable-line
+
+const defaultProps = {
+  width: 800,
+  height: 400,
+  longitude: -122,
+  latitude: 37,
+  zoom: 14,
+  mapStyle: 'mapbox://styles/mapbox/light-v9',
+  compareMapStyle: 'mapbox://styles/mapbox/satellite-v9',
+  mapboxApiAccessToken
+};
+
+test('CompareMap#render', t => {
+  const result = ReactTestRenderer.create(createElement(CompareMap, defaultProps));
+
+  const maps = result.root.findAllByType(StaticMap);
+  t.is(maps.length, 2, 'renders two maps');
+  t.is(maps[1].props.mapStyle, defaultProps.compareMapStyle, 'top map uses compareMapStyle');
+  t.is(maps[1].props.longitude, -122, 'top map uses the view state');
+
+  const getClipPath = () =>
+    result.root.findByProps({className: 'mapboxgl-compare-map'}).props.style.clipPath;
+  t.is(getClipPath(), 'inset(0 50% 0 0)', 'top map is clipped at the divider');
+
+  result.update(createElement(CompareMap, Object.assign({}, defaultProps, {
+    orientation: 'horizontal',
+    position: 0.25
+  })));
+  t.is(getClipPath(), 'inset(0 0 75% 0)', 'top map is clipped at a horizontal divider');
+
+  const divider = result.root.findByType(CompareDivider);
+  t.is(divider.props.position, 0.25, 'divider gets the position');
+  t.notOk(divider.props.draggable, 'divider is not draggable without onPositionChange');
+
+  result.unmount();
+  t.end();
+});
+
+test('CompareMap#drag divider', t => {
+  const onPositionChange = sinon.spy();
+  const result = ReactTestRenderer.create(
+    createElement(CompareMap, Object.assign({}, defaultProps, {onPositionChange}))
+  );
+  const divider = result.root.findByType(CompareDivider);
+  t.ok(divider.props.draggable, 'divider is draggable');
+
+  const stopPropagation = sinon.spy();
+  divider.instance._onDrag({offsetCenter: {x: 200, y: 100}, stopPropagation});
+  t.ok(stopPropagation.called, 'drag does not pan the map');
+  t.deepEqual(onPositionChange.lastCall.args, [0.25], 'position follows the pointer');
+
+  divider.instance._onDrag({offsetCenter: {x: 1000, y: 100}, stopPropagation});
+  t.deepEqual(onPositionChange.lastCall.args, [1], 'position is clamped');
+
+  result.update(createElement(CompareMap, Object.assign({}, defaultProps, {
+    onPositionChange,
+    orientation: 'horizontal'
+  })));
+  divider.instance._onDrag({offsetCenter: {x: 200, y: 100}, stopPropagation});
+  t.deepEqual(onPositionChange.lastCall.args, [0.25], 'horizontal position follows the pointer');
+
+  result.unmount();
+  t.end();
+});
@@ -0,0 +1,47 @@
+import {ControlContainer, _MapContext as MapContext} from 'react-map-gl';
+import {createViewport} from 'react-map-gl/utils/viewport-padding';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import test from 'tape-catch';
+
+const VIEW_STATE = {width: 800, height: 600, longitude: 0, latitude: 0, zoom: 1};
+
+function renderContainer(viewState, props, children) {
+  return createElement(MapContext.Provider, {value: {viewport: createViewport(viewState)}},
+    createElement(ControlContainer, props, ...children));
+}
+
+const CONTROLS = [
+  createElement('div', {key: 'a', className: 'control-a'}),
+  null,
+  createElement('div', {key: 'b', className: 'control-b'})
+];
+
+test('ControlContainer#render', t => {
+  const result = ReactTestRenderer.create(renderContainer(VIEW_STATE, {}, CONTROLS));
+  let container = result.toJSON();
+
+  t.ok(/mapboxgl-ctrl-container-top-right/.test(container.props.className),
+    'container has the position class');
+  t.is(container.children.length, 2, 'empty children are skipped');
+  t.is(container.children[0].children[0].props.className, 'control-a', 'controls keep their order');
+  t.is(container.children[0].props.style.margin, '10px 10px 0 0', 'controls have mapbox margins');
+  t.is(container.props.style.top, 0, 'container is at the top');
+  t.is(container.props.style.right, 0, 'container is at the right');
+  t.is(container.props.style.flexDirection, 'column', 'controls are stacked from the top');
+  t.is(container.props.style.maxHeight, 600, 'controls wrap at the height of the map');
+
+  const padding = {top: 20, right: 0, bottom: 50, left: 300};
+  result.update(renderContainer(Object.assign({}, VIEW_STATE, {padding}),
+    {position: 'bottom-left'}, CONTROLS));
+  container = result.toJSON();
+  t.is(container.props.style.bottom, 50, 'container respects the bottom padding');
+  t.is(container.props.style.left, 300, 'container respects the left padding');
+  t.is(container.props.style.flexDirection, 'column-reverse',
+    'controls are stacked from the bottom');
+  t.is(container.props.style.maxHeight, 530, 'padding is excluded from the height');
+  t.is(container.children[0].props.style.margin, '0 0 10px 10px', 'margins follow the corner');
+
+  result.unmount();
+  t.end();
+});
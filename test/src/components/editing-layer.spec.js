@@ -0,0 +1,266 @@
+import {EditingLayer, _MapContext as MapContext} from 'react-map-gl';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+const viewport = new WebMercatorViewport({
+  width: 800, height: 600, longitude: -122.4, latitude: 37.78, zoom: 12
+});
+
+const SQUARE = {
+  type: 'Feature',
+  properties: {},
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[100, 100], [300, 100], [300, 300], [100, 300], [100, 100]]
+      .map(p => viewport.unproject(p))]
+  }
+};
+
+// Renders the layer and passes the updated features back, like an application would
+function renderLayer(props, context = {viewport}) {
+  const onUpdate = sinon.spy();
+  let layerProps = null;
+  let result = null;
+
+  const render = () => createElement(MapContext.Provider, {value: context},
+    createElement(EditingLayer, layerProps));
+
+  layerProps = Object.assign({features: []}, props, {
+    onUpdate: evt => {
+      onUpdate(evt);
+      layerProps = Object.assign({}, layerProps, {features: evt.features});
+      result.update(render());
+    }
+  });
+  result = ReactTestRenderer.create(render());
+
+  return {
+    result,
+    onUpdate,
+    layer: result.root.findByType(EditingLayer).instance,
+    setProps: newProps => {
+      layerProps = Object.assign({}, layerProps, newProps);
+      result.update(render());
+    },
+    getFeatures: () => layerProps.features
+  };
+}
+
+function createEvent(type, [x, y]) {
+  return {type, offsetCenter: {x, y}, stopPropagation: sinon.spy()};
+}
+
+function click(layer, pos) {
+  const event = createEvent('anyclick', pos);
+  layer._onClick(event);
+  return event;
+}
+
+function toPixels(coordinates) {
+  return coordinates.map(p => viewport.project(p).map(Math.round));
+}
+
+test('EditingLayer#draw polygon', t => {
+  const {result, layer, onUpdate, getFeatures} = renderLayer({mode: 'draw-polygon'});
+
+  const event = click(layer, [100, 100]);
+  t.ok(event.stopPropagation.called, 'click is captured while drawing');
+  click(layer, [200, 100]);
+  layer._onPointerMove(createEvent('pointermove', [200, 200]));
+  t.is(result.root.findAllByProps({className: 'mapboxgl-editing-feature drawing'}).length, 1,
+    'drawing is previewed');
+
+  click(layer, [200, 200]);
+  t.notOk(onUpdate.called, 'polygon is not complete');
+  click(layer, [102, 101]);
+  t.ok(onUpdate.calledOnce, 'clicking the first position completes the polygon');
+
+  const {editType, featureIndexes} = onUpdate.lastCall.args[0];
+  t.is(editType, 'addFeature', 'edit type is correct');
+  t.deepEqual(featureIndexes, [0], 'feature index is correct');
+  const {geometry} = getFeatures()[0];
+  t.is(geometry.type, 'Polygon', 'feature is a polygon');
+  t.deepEqual(toPixels(geometry.coordinates[0]),
+    [[100, 100], [200, 100], [200, 200], [100, 100]], 'polygon is closed');
+  t.notOk(result.root.findAllByProps({className: 'mapboxgl-editing-feature drawing'}).length,
+    'drawing is cleared');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#draw line', t => {
+  const {result, layer, getFeatures} = renderLayer({mode: 'draw-line'});
+
+  click(layer, [100, 100]);
+  click(layer, [200, 200]);
+  // Double click
+  click(layer, [200, 200]);
+  const dblClickEvent = createEvent('dblclick', [200, 200]);
+  layer._onDblClick(dblClickEvent);
+  t.ok(dblClickEvent.stopPropagation.called, 'double click does not zoom while drawing');
+  t.deepEqual(toPixels(getFeatures()[0].geometry.coordinates), [[100, 100], [200, 200]],
+    'clicking the last position completes the line');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#draw point and shapes', t => {
+  const {result, layer, onUpdate, setProps, getFeatures} = renderLayer({
+    mode: 'draw-point',
+    features: [{type: 'Feature', properties: {}, geometry: {type: 'Point', coordinates: [0, 0]}}]
+  });
+
+  click(layer, [403, 298]);
+  setProps({mode: 'draw-circle'});
+  click(layer, [400, 300]);
+  click(layer, [500, 300]);
+
+  const features = getFeatures();
+  t.is(features.length, 3, 'point and circle are added');
+  t.deepEqual(features[1].geometry, {type: 'Point', coordinates: viewport.unproject([403, 298])},
+    'point is added');
+  t.deepEqual(features[2].properties.center, features[1].geometry.coordinates,
+    'circle center snaps to the point');
+  t.ok(features[2].properties.radius > 0, 'circle has a radius');
+  t.is(features[2].geometry.coordinates[0].length, 65, 'circle is approximated by a polygon');
+
+  setProps({mode: 'draw-rectangle'});
+  click(layer, [500, 400]);
+  setProps({mode: 'edit'});
+  setProps({mode: 'draw-rectangle'});
+  click(layer, [600, 500]);
+  t.is(onUpdate.callCount, 2, 'drawing is discarded when the mode changes');
+  click(layer, [700, 550]);
+  t.deepEqual(toPixels(getFeatures()[3].geometry.coordinates[0]),
+    [[600, 500], [700, 500], [700, 550], [600, 550], [600, 500]], 'rectangle is added');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#select', t => {
+  const onSelect = sinon.spy();
+  const {result, layer} =
+    renderLayer({mode: 'edit', features: [SQUARE], onSelect});
+
+  let event = click(layer, [400, 400]);
+  t.notOk(event.stopPropagation.called, 'click outside of the features is not captured');
+  event = click(layer, [200, 200]);
+  t.ok(event.stopPropagation.called, 'click on a feature is captured');
+  t.deepEqual(onSelect.lastCall.args[0], {selectedFeatureIndex: 0}, 'feature is selected');
+  t.is(result.root.findAllByProps({className: 'mapboxgl-editing-handle vertex'}).length, 4,
+    'vertex handles are rendered');
+
+  event = createEvent('panstart', [500, 500]);
+  layer._onDragStart(event);
+  t.notOk(event.stopPropagation.called, 'dragging outside of the handles pans the map');
+
+  click(layer, [600, 500]);
+  t.deepEqual(onSelect.lastCall.args[0], {selectedFeatureIndex: null}, 'feature is deselected');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#edit vertices', t => {
+  const {result, layer, onUpdate, getFeatures} = renderLayer({mode: 'edit', features: [SQUARE]});
+  click(layer, [200, 200]);
+
+  // Move a vertex
+  let event = createEvent('panstart', [300, 300]);
+  layer._onDragStart(event);
+  t.ok(event.stopPropagation.called, 'dragging a vertex does not pan the map');
+  layer._onDrag(createEvent('panmove', [350, 320]));
+  t.notOk(onUpdate.called, 'features are updated at the end of the drag');
+  layer._onDragEnd(createEvent('panend', [350, 320]));
+  t.is(onUpdate.lastCall.args[0].editType, 'movePosition', 'edit type is correct');
+  t.deepEqual(toPixels(getFeatures()[0].geometry.coordinates[0]),
+    [[100, 100], [300, 100], [350, 320], [100, 300], [100, 100]], 'vertex is moved');
+
+  // Insert a vertex
+  layer._onDragStart(createEvent('panstart', [200, 100]));
+  layer._onDrag(createEvent('panmove', [200, 50]));
+  layer._onDragEnd(createEvent('panend', [200, 50]));
+  t.is(onUpdate.lastCall.args[0].editType, 'addPosition', 'edit type is correct');
+  t.deepEqual(toPixels(getFeatures()[0].geometry.coordinates[0]),
+    [[100, 100], [200, 50], [300, 100], [350, 320], [100, 300], [100, 100]],
+    'dragging a midpoint inserts a vertex');
+
+  // Delete a vertex
+  event = createEvent('dblclick', [100, 100]);
+  layer._onDblClick(event);
+  t.ok(event.stopPropagation.called, 'double click on a vertex does not zoom');
+  t.is(onUpdate.lastCall.args[0].editType, 'removePosition', 'edit type is correct');
+  t.deepEqual(toPixels(getFeatures()[0].geometry.coordinates[0]),
+    [[200, 50], [300, 100], [350, 320], [100, 300], [200, 50]],
+    'double click deletes the vertex');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#undo and redo', t => {
+  const {result, layer, onUpdate, getFeatures} = renderLayer({mode: 'draw-line'});
+
+  click(layer, [100, 100]);
+  click(layer, [200, 200]);
+  t.ok(layer.canUndo(), 'drawn position can be undone');
+  layer.undo();
+  t.is(layer.state.drawing.length, 1, 'undo removes the last drawn position');
+  click(layer, [300, 300]);
+  click(layer, [300, 300]);
+  t.is(getFeatures().length, 1, 'line is added');
+
+  layer.undo();
+  t.is(onUpdate.lastCall.args[0].editType, 'undo', 'edit type is correct');
+  t.deepEqual(getFeatures(), [], 'undo reverts the last edit');
+  t.notOk(layer.canUndo(), 'nothing left to undo');
+  t.ok(layer.canRedo(), 'undo can be redone');
+
+  layer.redo();
+  t.is(onUpdate.lastCall.args[0].editType, 'redo', 'edit type is correct');
+  t.deepEqual(toPixels(getFeatures()[0].geometry.coordinates), [[100, 100], [300, 300]],
+    'redo restores the edit');
+  t.notOk(layer.canRedo(), 'nothing left to redo');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#pointer events', t => {
+  const eventManager = {on: sinon.spy(), off: sinon.spy()};
+  const isPointerEvents = events => Boolean(events.pointermove);
+  const {result, setProps} = renderLayer({mode: 'view'}, {viewport, eventManager});
+
+  t.notOk(eventManager.on.args.some(args => isPointerEvents(args[0])),
+    'pointer is not tracked in view mode');
+
+  setProps({mode: 'draw-line'});
+  t.is(eventManager.on.args.filter(args => isPointerEvents(args[0])).length, 1,
+    'pointer is tracked while drawing');
+
+  setProps({mode: 'edit'});
+  t.ok(eventManager.off.args.some(args => isPointerEvents(args[0])),
+    'pointer is not tracked after drawing');
+
+  result.unmount();
+  t.end();
+});
+
+test('EditingLayer#features replaced by the application', t => {
+  const {result, layer, setProps} = renderLayer({mode: 'draw-point'});
+
+  click(layer, [100, 100]);
+  t.ok(layer.canUndo(), 'edit can be undone');
+
+  setProps({features: [SQUARE]});
+  t.notOk(layer.canUndo(), 'history is cleared when the features are replaced');
+
+  result.unmount();
+  t.end();
+});
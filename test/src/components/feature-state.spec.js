@@ -0,0 +1,66 @@
+import {Source, FeatureState} from 'react-map-gl';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import test from 'tape-catch';
+
+import {_MapContext as MapContext} from 'react-map-gl';
+import {MockMap} from 'react-map-gl/test/test-utils';
+
+const POINTS = {
+  type: 'FeatureCollection',
+  features: [
+    {type: 'Feature', id: 1, geometry: {type: 'Point', coordinates: [-122, 37]}},
+    {type: 'Feature', id: 2, geometry: {type: 'Point', coordinates: [-121, 38]}}
+  ]
+};
+
+function renderFeatureState(map, props) {
+  return createElement(MapContext.Provider, {value: {map}},
+    createElement(Source, {id: 'points', type: 'geojson', data: POINTS},
+      createElement(FeatureState, props)
+    )
+  );
+}
+
+test('FeatureState#reconcile state', t => {
+  t.ok(FeatureState, 'FeatureState is defined');
+
+  const map = new MockMap();
+  const result = ReactTestRenderer.create(
+    renderFeatureState(map, {id: 1, state: {hover: true, selected: true}})
+  );
+
+  t.deepEqual(map.getFeatureState({source: 'points', id: 1}), {hover: true, selected: true},
+    'state is applied');
+
+  result.update(renderFeatureState(map, {id: 1, state: {selected: true}}));
+  t.deepEqual(map.getFeatureState({source: 'points', id: 1}), {hover: null, selected: true},
+    'removed keys are cleared');
+
+  result.update(renderFeatureState(map, {id: 2, state: {selected: true}}));
+  t.deepEqual(map.getFeatureState({source: 'points', id: 1}), {hover: null, selected: null},
+    'state of the previous feature is cleared');
+  t.deepEqual(map.getFeatureState({source: 'points', id: 2}), {selected: true},
+    'state of the new feature is applied');
+
+  result.unmount();
+  t.end();
+});
+
+test('FeatureState#style change', t => {
+  const map = new MockMap({styleLoaded: false});
+  const result = ReactTestRenderer.create(
+    renderFeatureState(map, {id: 1, state: {hover: true}})
+  );
+
+  map.setStyleLoaded();
+  t.deepEqual(map.getFeatureState({source: 'points', id: 1}), {hover: true},
+    'state is applied after style loads');
+
+  map.setStyleLoaded();
+  t.deepEqual(map.getFeatureState({source: 'points', id: 1}), {hover: true},
+    'state is applied again after style change');
+
+  result.unmount();
+  t.end();
+});
@@ -1,2 +1,16 @@
 import './map.spec';
 import './marker.spec';
+import './popup.spec';
+import './clustered-markers.spec';
+import './synced-maps.spec';
+import './compare-map.spec';
+import './overview-map-control.spec';
+import './scale-control.spec';
+import './attribution-control.spec';
+import './control-container.spec';
+import './editing-layer.spec';
+import './measure-control.spec';
+import './source.spec';
+import './layer.spec';
+import './feature-state.spec';
+import './server-render.spec';
@@ -0,0 +1,85 @@
+import {Source, Layer} from 'react-map-gl';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import test from 'tape-catch';
+
+import {_MapContext as MapContext} from 'react-map-gl';
+import {MockMap} from 'react-map-gl/test/test-utils';
+
+const POINT = {type: 'Point', coordinates: [-122, 37]};
+
+function renderLayer(map, layerProps) {
+  return createElement(MapContext.Provider, {value: {map}},
+    createElement(Source, {id: 'my-data', type: 'geojson', data: POINT},
+      createElement(Layer, layerProps)
+    )
+  );
+}
+
+test('Layer#add, update and remove', t => {
+  t.ok(Layer, 'Layer is defined');
+
+  const map = new MockMap();
+  map.addSource('base', {type: 'vector'});
+  map.addLayer({id: 'water', source: 'base', type: 'fill'});
+  map.addLayer({id: 'labels', source: 'base', type: 'symbol'});
+
+  const result = ReactTestRenderer.create(renderLayer(map, {
+    id: 'my-layer',
+    type: 'circle',
+    beforeId: 'labels',
+    paint: {'circle-color': '#f00', 'circle-radius': 4},
+    filter: ['==', '$type', 'Point']
+  }));
+
+  let layer = map.getLayer('my-layer');
+  t.ok(layer, 'layer is added');
+  t.is(layer.source, 'my-data', 'layer uses parent source');
+  t.deepEqual(map.getStyle().layers.map(l => l.id), ['water', 'my-layer', 'labels'],
+    'layer is inserted before beforeId');
+
+  result.update(renderLayer(map, {
+    id: 'my-layer',
+    type: 'circle',
+    paint: {'circle-color': '#00f'},
+    layout: {visibility: 'none'},
+    filter: ['==', '$type', 'Point'],
+    minzoom: 4
+  }));
+
+  layer = map.getLayer('my-layer');
+  t.deepEqual(layer.paint, {'circle-color': '#00f', 'circle-radius': undefined},
+    'paint properties are updated');
+  t.deepEqual(layer.layout, {visibility: 'none'}, 'layout properties are updated');
+  t.is(layer.minzoom, 4, 'zoom range is updated');
+  t.deepEqual(map.getStyle().layers.map(l => l.id), ['water', 'labels', 'my-layer'],
+    'layer is moved to the top');
+
+  result.unmount();
+  t.notOk(map.getLayer('my-layer'), 'layer is removed');
+  t.notOk(map.getSource('my-data'), 'source is removed');
+
+  t.end();
+});
+
+test('Layer#style change', t => {
+  const map = new MockMap({styleLoaded: false});
+  const result = ReactTestRenderer.create(renderLayer(map, {
+    id: 'my-layer',
+    type: 'circle',
+    beforeId: 'labels'
+  }));
+
+  t.notOk(map.getLayer('my-layer'), 'layer is not added before style loads');
+
+  map.setStyleLoaded();
+  t.ok(map.getLayer('my-layer'), 'layer is added after style loads');
+
+  // Swap the base style
+  map.setStyleLoaded();
+  t.ok(map.getSource('my-data'), 'source is added back after style change');
+  t.ok(map.getLayer('my-layer'), 'layer is added back after style change');
+
+  result.unmount();
+  t.end();
+});
@@ -192,3 +192,198 @@ test('Interactive map#call transformRequest callback when provided', t => {
   result.unmount();
   t.end();
 });
+
+test('InteractiveMap#layerEvents', t => {
+  const calls = [];
+  const log = name => evt => calls.push(`${name}:${evt.layerId}:${evt.features.length}`);
+
+  const props = Object.assign({}, defaultProps, {
+    layerEvents: {
+      parks: {onClick: log('click'), onMouseEnter: log('enter'), onMouseLeave: log('leave')},
+      water: {onClick: log('click'), onHover: log('hover'), onMouseLeave: log('leave')}
+    },
+    doubleClickZoom: false
+  });
+  const result = ReactTestRenderer.create(createElement(InteractiveMap, props));
+  const map = result.getInstance();
+
+  let features = [];
+  map.getMap = () => ({queryRenderedFeatures: () => features});
+  map.state.isLoaded = true;
+
+  const createEvent = type => ({type, pointerType: 'mouse', offsetCenter: {x: 10, y: 10}});
+
+  features = [{layer: {id: 'roads'}}, {layer: {id: 'parks'}}, {layer: {id: 'water'}}];
+  map._onPointerMove(createEvent('pointermove'));
+  t.deepEqual(calls, ['enter:parks:1', 'hover:water:1'], 'enter and hover are fired per layer');
+  t.ok(map.state.isHovering, 'isHovering is set');
+
+  calls.length = 0;
+  map._onClick(createEvent('anyclick'));
+  t.deepEqual(calls, ['click:parks:1'], 'click is dispatched to the topmost listening layer');
+
+  calls.length = 0;
+  features = [{layer: {id: 'water'}}];
+  map._onPointerMove(createEvent('pointermove'));
+  t.deepEqual(calls, ['leave:parks:0', 'hover:water:1'], 'leave is fired per layer');
+
+  calls.length = 0;
+  map._onPointerLeave(createEvent('pointerleave'));
+  t.deepEqual(calls, ['leave:water:0'], 'leave is fired when the pointer leaves the map');
+
+  result.unmount();
+  t.end();
+});
+
+test('InteractiveMap#onBoxSelect', t => {
+  const onBoxSelect = sinon.spy();
+  const props = Object.assign({}, defaultProps, {
+    onBoxSelect,
+    boxSelect: true,
+    interactiveLayerIds: ['parks']
+  });
+  const result = ReactTestRenderer.create(createElement(InteractiveMap, props));
+  const map = result.getInstance();
+
+  const queryRenderedFeatures = sinon.stub().returns([{layer: {id: 'parks'}}]);
+  map.getMap = () => ({queryRenderedFeatures});
+  map.state.isLoaded = true;
+  map._onResize({width: 800, height: 600});
+
+  const bbox = [[100, 100], [300, 200]];
+  map._onBoxSelect({bbox});
+
+  t.ok(onBoxSelect.calledOnce, 'onBoxSelect is called');
+  const event = onBoxSelect.lastCall.args[0];
+  t.deepEqual(event.bbox, bbox, 'event has the screen bbox');
+  t.is(event.polygon.length, 5, 'event has a closed polygon');
+  t.deepEqual(event.polygon[0], event.polygon[4], 'polygon is closed');
+  t.ok(event.polygon[0][0] < event.polygon[1][0], 'polygon is unprojected');
+  t.is(event.features.length, 1, 'event has the features in the box');
+  t.deepEqual(queryRenderedFeatures.lastCall.args, [bbox, {layers: ['parks']}],
+    'features are queried in the interactive layers');
+
+  result.unmount();
+  t.end();
+});
+
+test('InteractiveMap#accessibility', t => {
+  const props = Object.assign({}, defaultProps, {onViewportChange: () => {}});
+  const result = ReactTestRenderer.create(createElement(InteractiveMap, props));
+  const map = result.getInstance();
+
+  const container = result.root.findByProps({role: 'region'});
+  t.is(container.props.tabIndex, 0, 'map is focusable');
+  t.is(container.props['aria-label'], 'Map', 'map has a label');
+
+  map._onPointerDown({type: 'pointerdown', pointerType: 'mouse'});
+  container.props.onFocus();
+  t.is(container.props.style.outline, 'none', 'focus by pointer is not indicated');
+  map._onPointerUp({type: 'pointerup', pointerType: 'mouse'});
+  container.props.onBlur();
+  container.props.onFocus();
+  t.not(result.root.findByProps({role: 'region'}).props.style.outline, 'none',
+    'focus by keyboard is indicated');
+
+  result.update(createElement(InteractiveMap, Object.assign({}, props, {longitude: -121})));
+  const liveRegion = result.root.findByProps({'aria-live': 'polite'});
+  t.is(liveRegion.props.children, '', 'position is not announced while moving');
+
+  setTimeout(() => {
+    t.ok(/-121/.test(result.root.findByProps({'aria-live': 'polite'}).props.children),
+      'new position is announced');
+
+    result.update(createElement(InteractiveMap, Object.assign({}, props, {keyboard: false})));
+    t.is(result.root.findByProps({role: 'region'}).props.tabIndex, -1,
+      'map is not focusable without keyboard interaction');
+
+    result.unmount();
+    t.end();
+  }, 600);
+});
+
+test('InteractiveMap#focus outline', t => {
+  const props = Object.assign({}, defaultProps, {
+    onViewportChange: () => {},
+    style: {outline: '1px dashed red'}
+  });
+  const result = ReactTestRenderer.create(createElement(InteractiveMap, props));
+  const getOutline = () => result.root.findByProps({role: 'region'}).props.style.outline;
+
+  t.is(getOutline(), '1px dashed red', 'outline of style is used');
+  result.root.findByProps({role: 'region'}).props.onFocus();
+  t.not(getOutline(), '1px dashed red', 'focus by keyboard is indicated');
+  result.root.findByProps({role: 'region'}).props.onBlur();
+  t.is(getOutline(), '1px dashed red', 'outline of style is restored on blur');
+
+  result.unmount();
+  t.end();
+});
+
+test('InteractiveMap#camera methods', t => {
+  let props = null;
+  let result = null;
+  const onViewStateChange = ({viewState}) => {
+    props = Object.assign({}, props, viewState);
+    if (result) {
+      result.update(createElement(InteractiveMap, props));
+    }
+  };
+  const onTransitionEnd = sinon.spy();
+  props = Object.assign({}, defaultProps, {onViewStateChange, onTransitionEnd});
+  result = ReactTestRenderer.create(createElement(InteractiveMap, props));
+  const map = result.getInstance();
+  map._onResize({width: 800, height: 600});
+
+  map.jumpTo({longitude: -121})
+    .then(() => {
+      t.is(props.longitude, -121, 'jumpTo moves the camera');
+      return map.easeTo({zoom: 12}, {duration: 200});
+    })
+    .then(() => {
+      t.is(props.zoom, 12, 'easeTo resolves when the camera arrives');
+      t.ok(onTransitionEnd.calledOnce, 'onTransitionEnd callback is called');
+
+      const interrupted = map.flyTo({longitude: -120}, {duration: 200});
+      const rotating = map.rotateTo(30, {duration: 200});
+      return interrupted.then(
+        () => t.fail('flyTo should be interrupted'),
+        error => t.ok(/interrupted/.test(error.message), 'interrupted transition rejects')
+      ).then(() => map.zoomTo(props.zoom)).then(() => rotating);
+    })
+    .then(() => {
+      t.is(props.bearing, 30, 'a camera method that does not move does not interrupt');
+    })
+    .then(() => {
+      return map.fitBounds([[-122.5, 37.7], [-122.3, 37.8]], {duration: 200, maxZoom: 10});
+    })
+    .then(() => {
+      t.ok(Math.abs(props.zoom - 10) < 1e-6, 'fitBounds respects maxZoom');
+      t.ok(props.longitude > -122.5 && props.longitude < -122.3, 'fitBounds moves the camera');
+      result.unmount();
+      t.end();
+    })
+    .catch(error => {
+      t.fail(error.message);
+      result.unmount();
+      t.end();
+    });
+});
+
+test('InteractiveMap#camera methods on unmount', t => {
+  const props = Object.assign({}, defaultProps, {onViewStateChange: () => {}});
+  const result = ReactTestRenderer.create(createElement(InteractiveMap, props));
+  const map = result.getInstance();
+  map._onResize({width: 800, height: 600});
+
+  const request = map.flyTo({longitude: -120}, {duration: 200});
+  result.unmount();
+
+  const timeout = new Promise(resolve => setTimeout(() => resolve('pending'), 500));
+  Promise.race([request.then(() => 'resolved', () => 'rejected'), timeout])
+    .then(status => {
+      t.is(status, 'rejected', 'pending camera method rejects when the map unmounts');
+      t.notOk(map._cameraRequest, 'camera request is cleared');
+      t.end();
+    });
+});
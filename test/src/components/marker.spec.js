@@ -58,3 +58,35 @@ test('Marker#renders children', t => {
 
   t.end();
 });
+
+test('Marker#cullOffscreen', t => {
+  const eventManager = {on: sinon.spy(), off: sinon.spy()};
+  const context = Object.assign({}, mockStaticContext, {eventManager});
+
+  const getMarker = (longitude, cullOffscreen) => React.createElement(MapContext.Provider,
+    {value: context},
+    React.createElement(Marker, {latitude: 37.74, longitude, cullOffscreen},
+      React.createElement('div', {className: 'test-marker'}))
+  );
+
+  // Mock the container element, so that event listeners are attached
+  const result = ReactTestRenderer.create(getMarker(-122.58, true), {
+    createNodeMock: () => ({})
+  });
+  t.is(result.root.findAllByProps({className: 'test-marker'}).length, 1,
+    'renders marker in viewport');
+  t.ok(eventManager.on.calledOnce, 'event listeners are attached');
+
+  result.update(getMarker(-120, true));
+  t.is(result.root.findAllByProps({className: 'test-marker'}).length, 0,
+    'does not render marker outside of viewport');
+  t.ok(eventManager.off.calledOnce, 'event listeners are removed');
+
+  result.update(getMarker(-120, false));
+  t.is(result.root.findAllByProps({className: 'test-marker'}).length, 1,
+    'renders marker outside of viewport if cullOffscreen is off');
+  t.ok(eventManager.on.calledTwice, 'event listeners are attached again');
+
+  result.unmount();
+  t.end();
+});
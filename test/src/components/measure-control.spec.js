@@ -0,0 +1,127 @@
+import {MeasureControl, _MapContext as MapContext} from 'react-map-gl';
+import {formatDistance, formatArea} from 'react-map-gl/components/measure-control';
+import {getDistance} from 'react-map-gl/utils/geometry-utils';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+const viewport = new WebMercatorViewport({
+  width: 800, height: 600, longitude: -122.4, latitude: 37.78, zoom: 12
+});
+
+function renderControl(props) {
+  return createElement(MapContext.Provider, {value: {viewport}},
+    createElement(MeasureControl, props));
+}
+
+function createEvent(type, [x, y]) {
+  return {type, offsetCenter: {x, y}, stopPropagation: sinon.spy()};
+}
+
+function click(control, pos) {
+  const event = createEvent('anyclick', pos);
+  control._onClick(event);
+  return event;
+}
+
+function getLabels(result) {
+  return result.root.findAllByProps({className: 'mapboxgl-measure-label'})
+    .map(label => label.props.children);
+}
+
+test('MeasureControl#format', t => {
+  t.is(formatDistance(1234, 'metric'), '1.23 km', 'distance in km');
+  t.is(formatDistance(123, 'metric'), '123 m', 'distance in m');
+  t.is(formatDistance(16093.44, 'imperial'), '10.0 mi', 'distance in mi');
+  t.is(formatDistance(100, 'imperial'), '328 ft', 'distance in ft');
+  t.is(formatDistance(926, 'nautical'), '0.50 nm', 'distance in nm');
+  t.is(formatArea(2500000, 'metric'), '2.50 km²', 'area in km²');
+  t.is(formatArea(5000, 'metric'), '5000 m²', 'area in m²');
+  t.end();
+});
+
+test('MeasureControl#distance', t => {
+  const onMeasure = sinon.spy();
+  const result = ReactTestRenderer.create(renderControl({onMeasure}));
+  const control = result.root.findByType(MeasureControl).instance;
+
+  const event = click(control, [100, 100]);
+  t.ok(event.stopPropagation.called, 'click is captured while active');
+  click(control, [300, 100]);
+  click(control, [300, 300]);
+
+  const {positions, distance, isComplete} = onMeasure.lastCall.args[0];
+  t.is(positions.length, 3, 'positions are added');
+  t.deepEqual(positions[1], viewport.unproject([300, 100]), 'positions are unprojected');
+  t.ok(Math.abs(distance - getDistance(positions[0], positions[1]) -
+    getDistance(positions[1], positions[2])) < 1e-6, 'distance is the length of the path');
+  t.notOk(isComplete, 'measurement is not complete');
+  t.deepEqual(getLabels(result), [
+    formatDistance(getDistance(positions[0], positions[1]), 'metric'),
+    formatDistance(getDistance(positions[1], positions[2]), 'metric'),
+    formatDistance(distance, 'metric')
+  ], 'segments and total are labeled');
+
+  control._onPointerMove(createEvent('pointermove', [300, 400]));
+  t.is(getLabels(result).length, 4, 'last segment follows the pointer');
+
+  // Double click
+  click(control, [300, 300]);
+  const dblClickEvent = createEvent('dblclick', [300, 300]);
+  control._onDblClick(dblClickEvent);
+  t.ok(dblClickEvent.stopPropagation.called, 'double click does not zoom while active');
+  t.ok(onMeasure.lastCall.args[0].isComplete, 'clicking the last position completes it');
+  t.is(getLabels(result).length, 3, 'pointer is not measured after completion');
+
+  click(control, [500, 500]);
+  t.is(onMeasure.lastCall.args[0].positions.length, 1, 'next click starts a new measurement');
+
+  result.unmount();
+  t.end();
+});
+
+test('MeasureControl#deactivate', t => {
+  const onMeasure = sinon.spy();
+  const result = ReactTestRenderer.create(renderControl({onMeasure}));
+  const control = result.root.findByType(MeasureControl).instance;
+
+  click(control, [100, 100]);
+  click(control, [300, 100]);
+  t.is(getLabels(result).length, 2, 'measurement is rendered');
+
+  result.update(renderControl({onMeasure, active: false}));
+  t.is(getLabels(result).length, 0, 'measurement is cleared when deactivated');
+  t.notOk(result.root.findAllByType('rect').length, 'map events are not captured');
+  t.notOk(click(control, [100, 100]).stopPropagation.called, 'click is released when inactive');
+
+  result.unmount();
+  t.end();
+});
+
+test('MeasureControl#area', t => {
+  const onMeasure = sinon.spy();
+  const result = ReactTestRenderer.create(renderControl({onMeasure, mode: 'area'}));
+  const control = result.root.findByType(MeasureControl).instance;
+
+  click(control, [100, 100]);
+  click(control, [300, 100]);
+  t.is(onMeasure.lastCall.args[0].area, 0, 'two positions have no area');
+  click(control, [300, 300]);
+  click(control, [100, 300]);
+  click(control, [101, 99]);
+
+  const {positions, area, distance, isComplete} = onMeasure.lastCall.args[0];
+  t.ok(isComplete, 'clicking the first position completes the polygon');
+  t.is(positions.length, 4, 'polygon has 4 positions');
+
+  const width = getDistance(positions[0], positions[1]);
+  const height = getDistance(positions[1], positions[2]);
+  t.ok(Math.abs(area / (width * height) - 1) < 0.01, 'area of the square');
+  t.ok(Math.abs(distance / (2 * width + 2 * height) - 1) < 0.01, 'distance is the perimeter');
+  t.is(getLabels(result).pop(), formatArea(area, 'metric'), 'total is the area');
+
+  result.unmount();
+  t.end();
+});
@@ -0,0 +1,102 @@
+import {OverviewMapControl, StaticMap, _MapContext as MapContext} from 'react-map-gl';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+const VIEW_STATE = {width: 800, height: 600, longitude: -122.4, latitude: 37.78, zoom: 10};
+
+// The overview map is at [10, 20] on the page
+const createNodeMock = () => ({getBoundingClientRect: () => ({left: 10, top: 20})});
+
+function renderControl(viewState, props) {
+  return createElement(MapContext.Provider, {
+    value: {viewport: new WebMercatorViewport(viewState)}
+  }, createElement(OverviewMapControl, props));
+}
+
+function getFootprint(result) {
+  return result.root.findByType('polygon').props.points.split(' ')
+    .map(p => p.split(',').map(Number));
+}
+
+function createEvent(x, y, type) {
+  return {type, center: {x: x + 10, y: y + 20}, stopPropagation: sinon.spy()};
+}
+
+test('OverviewMapControl#render', t => {
+  const result = ReactTestRenderer.create(renderControl(VIEW_STATE, {zoomOffset: -4}),
+    {createNodeMock});
+
+  const map = result.root.findByType(StaticMap);
+  t.is(map.props.zoom, 6, 'overview map is zoomed out');
+  t.is(map.props.longitude, -122.4, 'overview map follows the main map');
+  t.deepEqual([map.props.width, map.props.height], [200, 150], 'overview map has default size');
+
+  let footprint = getFootprint(result);
+  t.is(footprint.length, 4, 'footprint has 4 corners');
+  t.ok(Math.abs(footprint[0][0] - 75) < 1e-6 && Math.abs(footprint[2][0] - 125) < 1e-6,
+    'footprint is scaled by the zoom offset');
+
+  result.update(renderControl(Object.assign({}, VIEW_STATE, {pitch: 60}), {zoomOffset: -4}));
+  footprint = getFootprint(result);
+  t.ok(footprint[1][0] - footprint[0][0] > footprint[2][0] - footprint[3][0],
+    'footprint of a pitched map is a trapezoid');
+
+  result.unmount();
+  t.end();
+});
+
+test('OverviewMapControl#interaction', t => {
+  const onViewStateChange = sinon.spy();
+  const result = ReactTestRenderer.create(renderControl(VIEW_STATE, {onViewStateChange}),
+    {createNodeMock});
+  const control = result.root.findByType(OverviewMapControl).instance;
+
+  const overview = new WebMercatorViewport({
+    width: 200, height: 150, longitude: -122.4, latitude: 37.78, zoom: 5
+  });
+
+  let event = createEvent(150, 75, 'anyclick');
+  control._onClick(event);
+  t.ok(event.stopPropagation.called, 'click is captured');
+  let {viewState} = onViewStateChange.lastCall.args[0];
+  t.deepEqual([viewState.longitude, viewState.latitude].map(x => x.toFixed(6)),
+    overview.unproject([150, 75]).map(x => x.toFixed(6)), 'click recenters the main map');
+  t.ok(viewState.transitionDuration > 0, 'click recenters with a transition');
+
+  event = createEvent(100, 75);
+  control._onDragStart(event);
+  t.ok(event.stopPropagation.called, 'drag is captured');
+  control._onDrag(createEvent(120, 85));
+  viewState = onViewStateChange.lastCall.args[0].viewState;
+  t.deepEqual([viewState.longitude, viewState.latitude].map(x => x.toFixed(6)),
+    overview.unproject([120, 85]).map(x => x.toFixed(6)), 'drag moves the main map');
+  t.is(viewState.transitionDuration, 0, 'drag moves the main map without transition');
+  control._onDragEnd(createEvent(120, 85));
+  t.notOk(control._dragStart, 'drag ends');
+
+  result.unmount();
+  t.end();
+});
+
+test('OverviewMapControl#click', t => {
+  const onViewportChange = sinon.spy();
+  const result = ReactTestRenderer.create(renderControl(VIEW_STATE, {onViewportChange}),
+    {createNodeMock});
+  const control = result.root.findByType(OverviewMapControl).instance;
+
+  // A single click fires `anyclick` right away and `click` after the double click delay
+  const anyClickEvent = createEvent(150, 75, 'anyclick');
+  const clickEvent = createEvent(150, 75, 'click');
+  control._onClick(anyClickEvent);
+  control._onClick(clickEvent);
+
+  t.ok(anyClickEvent.stopPropagation.called && clickEvent.stopPropagation.called,
+    'both click events are captured');
+  t.ok(onViewportChange.calledOnce, 'click recenters the main map once');
+
+  result.unmount();
+  t.end();
+});
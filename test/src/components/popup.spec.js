@@ -0,0 +1,49 @@
+import {Popup} from 'react-map-gl';
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import test from 'tape-catch';
+
+import {_MapContext as MapContext} from 'react-map-gl';
+
+const mockContext = {
+  viewport: new WebMercatorViewport({
+    width: 800,
+    height: 600,
+    longitude: -122.58,
+    latitude: 37.74,
+    zoom: 14,
+    pitch: 60
+  })
+};
+
+function getPopup(props) {
+  return React.createElement(MapContext.Provider, {value: mockContext},
+    React.createElement(Popup, Object.assign({latitude: 37.74, longitude: -122.58}, props),
+      React.createElement('div', {className: 'test-popup'}))
+  );
+}
+
+test('Popup#cullOffscreen', t => {
+  t.ok(Popup, 'Popup is defined');
+
+  const result = ReactTestRenderer.create(getPopup({cullOffscreen: true}));
+  t.is(result.root.findAllByProps({className: 'test-popup'}).length, 1,
+    'renders popup in viewport');
+
+  result.update(getPopup({cullOffscreen: true, longitude: -123}));
+  t.is(result.root.findAllByProps({className: 'test-popup'}).length, 0,
+    'does not render popup outside of viewport');
+
+  // Far behind the camera of the tilted map
+  result.update(getPopup({cullOffscreen: true, latitude: 37, cullBuffer: 1e6}));
+  t.is(result.root.findAllByProps({className: 'test-popup'}).length, 0,
+    'does not render popup behind the camera');
+
+  result.update(getPopup({cullOffscreen: false, longitude: -123}));
+  t.is(result.root.findAllByProps({className: 'test-popup'}).length, 1,
+    'renders popup outside of viewport if cullOffscreen is off');
+
+  result.unmount();
+  t.end();
+});
@@ -0,0 +1,69 @@
+import {ScaleControl, _MapContext as MapContext} from 'react-map-gl';
+import {getScale, getRoundNumber} from 'react-map-gl/components/scale-control';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import WebMercatorViewport from 'viewport-mercator-project';
+import test from 'tape-catch';
+
+const round = x => Math.round(x * 1000) / 1000;
+
+function renderControl(viewState, props) {
+  return createElement(MapContext.Provider, {
+    value: {viewport: new WebMercatorViewport(Object.assign({width: 800, height: 600}, viewState))}
+  }, createElement(ScaleControl, props));
+}
+
+function getBars(result) {
+  return result.root.findAll(node => node.type === 'div' &&
+    node.props.className.split(' ').indexOf('mapboxgl-ctrl-scale') >= 0);
+}
+
+test('ScaleControl#getRoundNumber', t => {
+  t.is(getRoundNumber(1), 1, 'keeps round number');
+  t.is(getRoundNumber(7.3), 5, 'rounds down to 5');
+  t.is(getRoundNumber(2500), 2000, 'rounds down to 2');
+  t.is(getRoundNumber(0.34), 0.3, 'rounds decimals');
+  t.is(getRoundNumber(0.0199), 0.01, 'rounds small decimals');
+  t.end();
+});
+
+test('ScaleControl#getScale', t => {
+  [
+    {args: [1, 100, 'metric'], width: 100, label: '100 m'},
+    {args: [4, 100, 'metric'], width: 75, label: '300 m'},
+    {args: [10, 100, 'metric'], width: 100, label: '1 km'},
+    {args: [1, 100, 'imperial'], width: 91.44, label: '300 ft'},
+    {args: [20, 100, 'imperial'], width: 80.467, label: '1 mi'},
+    {args: [10, 100, 'nautical'], width: 92.6, label: '0.5 nm'}
+  ].forEach(({args, width, label}) => {
+    const scale = getScale(...args);
+    t.is(round(scale.width), width, `${args} width`);
+    t.is(scale.label, label, `${args} label`);
+  });
+  t.end();
+});
+
+test('ScaleControl#render', t => {
+  const result = ReactTestRenderer.create(renderControl({longitude: 0, latitude: 0, zoom: 10}));
+  let bars = getBars(result);
+  t.is(bars.length, 1, 'renders one bar');
+  t.is(bars[0].props.children, '5 km', 'renders the label');
+  const equatorWidth = bars[0].props.style.width;
+  t.ok(equatorWidth <= 100, 'bar is not wider than maxWidth');
+
+  // Distances at latitude 60 are half as long as at the equator
+  result.update(renderControl({longitude: 0, latitude: 60, zoom: 9}));
+  bars = getBars(result);
+  t.is(bars[0].props.children, '5 km', 'scale depends on the latitude');
+  t.ok(Math.abs(bars[0].props.style.width - equatorWidth) < 1e-6,
+    'bar width depends on the latitude');
+
+  result.update(renderControl({longitude: 0, latitude: 0, zoom: 10},
+    {unit: 'imperial', secondaryUnit: 'metric', maxWidth: 200}));
+  bars = getBars(result);
+  t.deepEqual(bars.map(bar => bar.props.children), ['5 mi', '10 km'], 'renders two units');
+  t.is(bars[1].props.style.borderBottomStyle, 'none', 'secondary bar is upside down');
+
+  result.unmount();
+  t.end();
+});
@@ -0,0 +1,44 @@
+import {StaticMap, InteractiveMap, Marker} from 'react-map-gl';
+import {createElement} from 'react';
+import ReactDOMServer from 'react-dom/server';
+import WebMercatorViewport from 'viewport-mercator-project';
+import test from 'tape-catch';
+
+const defaultProps = {
+  width: 400,
+  height: 300,
+  longitude: -122,
+  latitude: 37,
+  zoom: 10
+};
+
+function renderToString(Component, props) {
+  return ReactDOMServer.renderToString(createElement(Component, props,
+    createElement(Marker, {longitude: -122.1, latitude: 37.1}, 'marker')
+  ));
+}
+
+[StaticMap, InteractiveMap].forEach(Component => {
+  const name = Component.name;
+
+  test(`${name}#renderToString`, t => {
+    const html = renderToString(Component, defaultProps);
+
+    t.ok(html.indexOf('width:400px;height:300px') >= 0, 'container respects width and height');
+    t.ok(html.indexOf('mapboxgl-marker') >= 0, 'overlays are rendered');
+
+    const [x, y] = new WebMercatorViewport(defaultProps).project([-122.1, 37.1]);
+    t.ok(html.indexOf(`left:${x}px;top:${y}px`) >= 0, 'marker is positioned');
+
+    t.is(renderToString(Component, defaultProps), html, 'markup is deterministic');
+    t.end();
+  });
+
+  test(`${name}#renderToString with relative dimensions`, t => {
+    const html = renderToString(Component, Object.assign({}, defaultProps, {width: '100%'}));
+
+    t.ok(html.indexOf('width:100%;height:300px') >= 0, 'container respects width and height');
+    t.ok(html.indexOf('mapboxgl-marker') < 0, 'overlays are not rendered before measuring');
+    t.end();
+  });
+});
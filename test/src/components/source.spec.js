@@ -0,0 +1,84 @@
+import {Source, Layer} from 'react-map-gl';
+import {createElement} from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import test from 'tape-catch';
+
+import {_MapContext as MapContext} from 'react-map-gl';
+import {MockMap} from 'react-map-gl/test/test-utils';
+
+const POINT = {type: 'Point', coordinates: [-122, 37]};
+const LINE = {type: 'LineString', coordinates: [[-122, 37], [-121, 38]]};
+
+function renderSource(map, props) {
+  return createElement(MapContext.Provider, {value: {map}},
+    createElement(Source, props)
+  );
+}
+
+test('Source#add, update and remove', t => {
+  t.ok(Source, 'Source is defined');
+
+  const map = new MockMap();
+  const result = ReactTestRenderer.create(
+    renderSource(map, {id: 'my-data', type: 'geojson', data: POINT})
+  );
+
+  t.ok(map.getSource('my-data'), 'source is added');
+  t.is(map.getSource('my-data').data, POINT, 'source has data');
+
+  result.update(renderSource(map, {id: 'my-data', type: 'geojson', data: LINE}));
+  t.is(map.getSource('my-data').data, LINE, 'setData is called');
+
+  result.unmount();
+  t.notOk(map.getSource('my-data'), 'source is removed');
+
+  t.end();
+});
+
+test('Source#wait for style', t => {
+  const map = new MockMap({styleLoaded: false});
+  const result = ReactTestRenderer.create(
+    renderSource(map, {type: 'geojson', data: POINT})
+  );
+
+  t.notOk(Object.keys(map.getStyle().sources).length, 'source is not added before style loads');
+
+  map.setStyleLoaded();
+  const sourceIds = Object.keys(map.getStyle().sources);
+  t.is(sourceIds.length, 1, 'source is added after style loads');
+  t.is(map.getSource(sourceIds[0]).data, POINT, 'source has data');
+
+  // Swap the base style
+  map.setStyleLoaded();
+  t.ok(map.getSource(sourceIds[0]), 'source is added back after style change');
+
+  result.unmount();
+  t.notOk(map.getSource(sourceIds[0]), 'source is removed');
+
+  t.end();
+});
+
+test('Source#no map', t => {
+  const result = ReactTestRenderer.create(
+    renderSource(null, {type: 'geojson', data: POINT})
+  );
+  t.pass('renders without a map');
+  result.unmount();
+  t.end();
+});
+
+test('Source#children', t => {
+  const map = new MockMap();
+  const result = ReactTestRenderer.create(
+    renderSource(map, {id: 'my-data', type: 'geojson', data: POINT, children: [
+      createElement(Layer, {key: 'layer', id: 'points', type: 'circle'}),
+      createElement('div', {key: 'label', className: 'label'})
+    ]})
+  );
+
+  t.is(result.root.findByType(Layer).props.source, 'my-data', 'layer uses the source');
+  t.notOk('source' in result.root.findByType('div').props, 'other children are not changed');
+
+  result.unmount();
+  t.end();
+});
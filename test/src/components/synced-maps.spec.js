@@ -0,0 +1,96 @@
+import {SyncedMaps, FlyToInterpolator} from 'react-map-gl';
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import sinon from 'sinon';
+import test from 'tape-catch';
+
+const VIEW_STATE = {longitude: -122.4, latitude: 37.8, zoom: 10, pitch: 30, bearing: 0};
+
+// Stands in for InteractiveMap
+function Map() {
+  return null;
+}
+
+const MAPS = [
+  ['left'],
+  ['right', {syncedProps: ['longitude', 'latitude', 'zoom']}],
+  ['overview', {zoomOffset: -4, syncedProps: ['longitude', 'latitude', 'zoom']}]
+];
+
+function renderMaps(props) {
+  return React.createElement(SyncedMaps, Object.assign({
+    children: ({getMapProps}) => MAPS.map(([id, opts]) =>
+      React.createElement(Map, Object.assign({key: id, id}, getMapProps(id, opts))))
+  }, props));
+}
+
+function findMapProps(result, id) {
+  return result.root.findAllByType(Map).find(map => map.props.id === id).props;
+}
+
+test('SyncedMaps#uncontrolled', t => {
+  const onViewStateChange = sinon.spy();
+  const result = ReactTestRenderer.create(
+    renderMaps({initialViewState: VIEW_STATE, onViewStateChange})
+  );
+
+  t.deepEqual(findMapProps(result, 'left').viewState, VIEW_STATE, 'map gets the view state');
+  t.is(findMapProps(result, 'overview').viewState.zoom, 6, 'zoom offset is applied');
+  t.is(findMapProps(result, 'overview').viewState.pitch, 30, 'unsynced props are initialized');
+
+  const leftViewState = Object.assign({}, VIEW_STATE, {longitude: -122, bearing: 45});
+  findMapProps(result, 'left').onViewStateChange({viewState: leftViewState});
+  t.is(findMapProps(result, 'left').viewState, leftViewState,
+    'the map that moved gets its own view state back');
+  t.is(findMapProps(result, 'right').viewState.longitude, -122, 'synced prop is updated');
+  t.is(findMapProps(result, 'right').viewState.bearing, 0, 'unsynced prop is not updated');
+  t.deepEqual(onViewStateChange.lastCall.args[0].viewState,
+    Object.assign({}, VIEW_STATE, {longitude: -122, bearing: 45}),
+    'onViewStateChange is called with the shared view state');
+  t.is(onViewStateChange.lastCall.args[0].mapId, 'left', 'onViewStateChange is called with mapId');
+
+  const overviewViewState = Object.assign({}, findMapProps(result, 'overview').viewState, {
+    zoom: 5,
+    pitch: 0
+  });
+  findMapProps(result, 'overview').onViewStateChange({viewState: overviewViewState});
+  t.is(findMapProps(result, 'left').viewState.zoom, 9, 'zoom offset is removed');
+  t.is(findMapProps(result, 'left').viewState.pitch, 30, 'unsynced prop of overview is not shared');
+  t.is(findMapProps(result, 'right').viewState.bearing, 0, 'keeps the unsynced props of a map');
+
+  result.unmount();
+  t.end();
+});
+
+test('SyncedMaps#controlled', t => {
+  let viewState = Object.assign({}, VIEW_STATE, {
+    longitude: -74,
+    transitionDuration: 1000,
+    transitionInterpolator: new FlyToInterpolator()
+  });
+  const onViewStateChange = evt => {
+    viewState = evt.viewState;
+  };
+  const result = ReactTestRenderer.create(renderMaps({viewState, onViewStateChange}));
+
+  t.is(findMapProps(result, 'left').transitionDuration, 1000, 'first map runs the transition');
+  t.ok(findMapProps(result, 'left').transitionInterpolator, 'first map gets the interpolator');
+  t.is(findMapProps(result, 'right').transitionDuration, 0, 'other maps do not transition');
+  t.is(findMapProps(result, 'right').viewState.longitude, -74, 'other maps get the view state');
+
+  // A frame of the transition
+  const frame = Object.assign({}, VIEW_STATE, {longitude: -100, width: 800, height: 600});
+  findMapProps(result, 'left').onViewStateChange({viewState: frame});
+  t.notOk('transitionDuration' in viewState, 'transition props are not passed on');
+  result.update(renderMaps({viewState, onViewStateChange}));
+
+  t.is(findMapProps(result, 'left').viewState, frame, 'first map gets its frame back');
+  t.is(findMapProps(result, 'right').viewState.longitude, -100, 'other maps follow the frame');
+  t.is(findMapProps(result, 'overview').viewState.zoom, 6, 'zoom offset is applied to the frame');
+
+  result.update(renderMaps({viewState: VIEW_STATE, onViewStateChange}));
+  t.is(findMapProps(result, 'left').viewState.longitude, -122.4, 'view state can be reset');
+
+  result.unmount();
+  t.end();
+});
@@ -0,0 +1,149 @@
+import test from 'tape-catch';
+import sinon from 'sinon';
+import CameraTour from 'react-map-gl/utils/camera-tour';
+import {toLowPrecision} from 'react-map-gl/test/test-utils';
+
+/* global global, setTimeout, clearTimeout */
+// backfill requestAnimationFrame on Node
+if (typeof global !== 'undefined' && !global.requestAnimationFrame) {
+  global.requestAnimationFrame = callback => setTimeout(callback, 100);
+  global.cancelAnimationFrame = frameId => clearTimeout(frameId);
+}
+
+const KEYFRAMES = [
+  {viewState: {longitude: -122, latitude: 37, zoom: 10}},
+  {viewState: {longitude: -121, latitude: 38, zoom: 12}, duration: 1000, hold: 500},
+  {viewState: {longitude: -120, latitude: 38, zoom: 12}, duration: 1000}
+];
+
+test('CameraTour#seek', t => {
+  const onViewStateChange = sinon.spy();
+  const onProgress = sinon.spy();
+  const tour = new CameraTour({
+    keyframes: KEYFRAMES,
+    width: 800,
+    height: 600,
+    onViewStateChange,
+    onProgress
+  });
+
+  t.is(tour.getDuration(), 2500, 'duration includes transitions and holds');
+
+  tour.seek(500);
+  const {viewState} = onViewStateChange.lastCall.args[0];
+  t.deepEqual(
+    [viewState.longitude, viewState.latitude, viewState.zoom].map(value => toLowPrecision(value)),
+    [-121.5, 37.5, 11],
+    'camera is interpolated between keyframes');
+  t.deepEqual(onProgress.lastCall.args[0],
+    {time: 500, duration: 2500, progress: 0.2, keyframeIndex: 1}, 'progress is reported');
+
+  tour.seek(1200);
+  t.is(onViewStateChange.lastCall.args[0].viewState.longitude, -121, 'camera holds at keyframe');
+
+  tour.seek(5000);
+  t.is(tour.getTime(), 2500, 'time is clamped');
+  t.is(onViewStateChange.lastCall.args[0].viewState.longitude, -120,
+    'camera is at the last keyframe');
+  t.notOk(tour.isPlaying(), 'seeking does not start playback');
+
+  t.end();
+});
+
+test('CameraTour#play', t => {
+  const onViewStateChange = sinon.spy();
+  const onEnd = sinon.spy();
+  const tour = new CameraTour({
+    keyframes: KEYFRAMES.map(keyframe => Object.assign({}, keyframe, {duration: 50, hold: 50})),
+    onViewStateChange,
+    onEnd
+  });
+
+  tour.play();
+  t.ok(tour.isPlaying(), 'tour is playing');
+  t.is(onViewStateChange.firstCall.args[0].viewState.longitude, -122,
+    'tour starts at the first keyframe');
+
+  setTimeout(() => {
+    t.ok(onEnd.calledOnce, 'onEnd is called');
+    t.notOk(tour.isPlaying(), 'tour is not playing after the end');
+    t.is(onViewStateChange.lastCall.args[0].viewState.longitude, -120,
+      'tour ends at the last keyframe');
+    t.end();
+  }, 1000);
+});
+
+test('CameraTour#pause and resume', t => {
+  const onEnd = sinon.spy();
+  const tour = new CameraTour({keyframes: KEYFRAMES, onEnd});
+
+  tour.play();
+  tour.pause();
+  t.notOk(tour.isPlaying(), 'tour is paused');
+  const time = tour.getTime();
+
+  setTimeout(() => {
+    t.is(tour.getTime(), time, 'time does not advance when paused');
+    tour.resume();
+    t.ok(tour.isPlaying(), 'tour is resumed');
+    tour.seek(2400);
+    t.ok(tour.isPlaying(), 'tour keeps playing after seeking');
+
+    setTimeout(() => {
+      t.ok(onEnd.calledOnce, 'tour plays to the end');
+      t.end();
+    }, 500);
+  }, 200);
+});
+
+test('CameraTour#loop', t => {
+  const onEnd = sinon.spy();
+  const tour = new CameraTour({keyframes: KEYFRAMES, loop: true, onEnd});
+
+  tour.play();
+  tour.seek(2450);
+
+  setTimeout(() => {
+    t.notOk(onEnd.called, 'onEnd is not called when looping');
+    t.ok(tour.isPlaying(), 'tour keeps playing');
+    t.ok(tour.getTime() < 1000, 'tour restarts from the beginning');
+    tour.pause();
+    t.end();
+  }, 500);
+});
+
+test('CameraTour#recording', t => {
+  const now = sinon.stub(Date, 'now');
+  const tour = new CameraTour();
+  const record = (time, longitude) => {
+    now.returns(time);
+    tour.recordViewState({longitude, latitude: 37, zoom: 10, width: 800});
+  };
+
+  record(0, -122);
+  t.notOk(tour.isRecording(), 'view states are ignored when not recording');
+
+  tour.startRecording({sampleInterval: 250});
+  t.ok(tour.isRecording(), 'tour is recording');
+  record(0, -122);
+  record(100, -121.9);
+  record(300, -121.8);
+  record(2000, -121.7);
+  record(2100, -121.6);
+
+  const keyframes = tour.stopRecording();
+  now.restore();
+
+  t.notOk(tour.isRecording(), 'recording is stopped');
+  t.deepEqual(keyframes.map(keyframe => keyframe.viewState.longitude),
+    [-122, -121.8, -121.7, -121.6], 'view states are sampled');
+  t.deepEqual(keyframes[0].viewState, {longitude: -122, latitude: 37, zoom: 10},
+    'only view state props are recorded');
+  t.deepEqual(keyframes.map(keyframe => keyframe.duration), [0, 300, 500, 100],
+    'durations are recorded');
+  t.deepEqual(keyframes.map(keyframe => keyframe.hold), [0, 1200, 0, 0],
+    'pauses are recorded as holds');
+  t.is(tour.getDuration(), 2100, 'recorded keyframes are used for playback');
+
+  t.end();
+});
@@ -0,0 +1,64 @@
+import test from 'tape-catch';
+import ClusterIndex from 'react-map-gl/utils/cluster-index';
+
+// Two groups of points near San Francisco and one point near Tokyo
+const POSITIONS = [
+  [-122.41, 37.77],
+  [-122.42, 37.78],
+  [-122.43, 37.76],
+  [-122.27, 37.80],
+  [139.69, 35.68]
+];
+
+const WORLD = [-180, -85, 180, 85];
+
+test('ClusterIndex#getClusters', t => {
+  const index = new ClusterIndex({radius: 40, maxZoom: 16}).load(POSITIONS);
+
+  let items = index.getClusters(WORLD, 0);
+  t.is(items.length, 2, 'points are clustered at low zoom');
+  const cluster = items.find(item => item.isCluster);
+  t.ok(cluster, 'returns a cluster');
+  t.is(cluster.pointCount, 4, 'cluster has correct point count');
+  t.ok(Math.abs(cluster.longitude + 122.38) < 0.1, 'cluster is positioned at the center');
+
+  items = index.getClusters(WORLD, 17);
+  t.is(items.length, POSITIONS.length, 'all points are returned above maxZoom');
+  t.ok(items.every(item => !item.isCluster), 'no clusters above maxZoom');
+  t.deepEqual(items.map(item => item.index).sort(), [0, 1, 2, 3, 4], 'returns point indices');
+
+  items = index.getClusters([-123, 37, -122, 38], 17);
+  t.is(items.length, 4, 'only points in bounds are returned');
+
+  t.end();
+});
+
+test('ClusterIndex#getClusters across the antimeridian', t => {
+  const index = new ClusterIndex().load([[179, 0], [-179, 0]]);
+
+  const items = index.getClusters([170, -10, 190, 10], 10);
+  t.is(items.length, 2, 'returns points on both sides');
+
+  const wrapped = items.find(item => item.index === 1);
+  t.is(wrapped.wrap, 1, 'point is in the next copy of the world');
+  t.ok(Math.abs(wrapped.longitude - 181) < 1e-6, 'longitude is unwrapped');
+
+  t.end();
+});
+
+test('ClusterIndex#getLeaves, getClusterExpansionZoom', t => {
+  const index = new ClusterIndex({radius: 40, maxZoom: 16}).load(POSITIONS);
+  const cluster = index.getClusters(WORLD, 0).find(item => item.isCluster);
+
+  t.deepEqual(index.getLeaves(cluster.id).sort(), [0, 1, 2, 3], 'returns all leaves');
+  t.deepEqual(index.getLeaves(-1), [], 'returns empty array for invalid id');
+
+  const expansionZoom = index.getClusterExpansionZoom(cluster.id);
+  t.ok(expansionZoom > 0, 'expansion zoom is above the zoom of the cluster');
+
+  const items = index.getClusters(WORLD, expansionZoom);
+  const children = items.filter(item => item.index !== 4);
+  t.ok(children.length > 1, 'cluster breaks apart at the expansion zoom');
+
+  t.end();
+});
@@ -0,0 +1,24 @@
+import test from 'tape-catch';
+import deepEqual from 'react-map-gl/utils/deep-equal';
+
+const TEST_CASES = [
+  {a: 1, b: 1, result: true},
+  {a: 1, b: '1', result: false},
+  {a: null, b: null, result: true},
+  {a: null, b: {}, result: false},
+  {a: ['==', 'type', 'park'], b: ['==', 'type', 'park'], result: true},
+  {a: ['==', 'type', 'park'], b: ['==', 'type', 'school'], result: false},
+  {a: ['in', 'id', 1, 2], b: ['in', 'id', 1], result: false},
+  {a: {stops: [[0, 1], [10, 2]]}, b: {stops: [[0, 1], [10, 2]]}, result: true},
+  {a: {stops: [[0, 1], [10, 2]]}, b: {stops: [[0, 1], [10, 3]]}, result: false},
+  {a: {x: 1}, b: {x: 1, y: undefined}, result: false},
+  {a: {0: 'a'}, b: ['a'], result: false}
+];
+
+test('deepEqual', t => {
+  TEST_CASES.forEach(testCase => {
+    t.is(deepEqual(testCase.a, testCase.b), testCase.result,
+      `${JSON.stringify(testCase.a)} vs ${JSON.stringify(testCase.b)}`);
+  });
+  t.end();
+});
@@ -0,0 +1,142 @@
+import test from 'tape-catch';
+import WebMercatorViewport from 'viewport-mercator-project';
+import {fitBounds, fitGeoJSON, LinearInterpolator, FlyToInterpolator} from 'react-map-gl';
+import {createViewport} from 'react-map-gl/utils/viewport-padding';
+import {toLowPrecision} from 'react-map-gl/test/test-utils';
+
+const VIEW_STATE = {width: 800, height: 600, longitude: 0, latitude: 0, zoom: 1};
+const BOUNDS = [[-122.5, 37.7], [-122.3, 37.8]];
+
+const round = x => Math.round(x * 1000) / 1000;
+
+// Returns the screen positions of the corners of the bounds
+function projectBounds(viewState, [[west, south], [east, north]]) {
+  const viewport = viewState instanceof WebMercatorViewport ?
+    viewState : new WebMercatorViewport(viewState);
+  return [[west, north], [east, north], [east, south], [west, south]]
+    .map(corner => viewport.project(corner));
+}
+
+// Returns true if the bounds touch the edge of the padded area, but do not overflow it
+function isFitted(viewState, bounds, padding) {
+  const points = projectBounds(viewState, bounds);
+  const xs = points.map(p => round(p[0]));
+  const ys = points.map(p => round(p[1]));
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const {width, height} = viewState;
+
+  const isInside = minX >= padding && maxX <= width - padding &&
+    minY >= padding && maxY <= height - padding;
+  const isTight = (minX === padding && maxX === width - padding) ||
+    (minY === padding && maxY === height - padding);
+  return isInside && isTight;
+}
+
+test('fitBounds#flat viewport', t => {
+  const result = fitBounds(VIEW_STATE, BOUNDS, {padding: 20});
+  const expected = new WebMercatorViewport(VIEW_STATE).fitBounds(BOUNDS, {padding: 20});
+
+  t.deepEqual(
+    [result.longitude, result.latitude, result.zoom].map(x => toLowPrecision(x, 6)),
+    [expected.longitude, expected.latitude, expected.zoom].map(x => toLowPrecision(x, 6)),
+    'matches WebMercatorViewport#fitBounds'
+  );
+  t.is(result.width, 800, 'keeps other view state props');
+  t.ok(isFitted(result, BOUNDS, 20), 'bounds are fitted');
+
+  const reversed = fitBounds(VIEW_STATE, [BOUNDS[1], BOUNDS[0]], {padding: 20});
+  t.is(reversed.zoom, result.zoom, 'accepts bounds in any order');
+
+  t.end();
+});
+
+test('fitBounds#rotated and pitched viewports', t => {
+  [
+    {bearing: 45},
+    {pitch: 60},
+    {pitch: 45, bearing: -120}
+  ].forEach(props => {
+    const viewState = Object.assign({}, VIEW_STATE, props);
+    const result = fitBounds(viewState, BOUNDS, {padding: 20});
+    t.is(result.pitch, viewState.pitch, 'keeps pitch');
+    t.is(result.bearing, viewState.bearing, 'keeps bearing');
+    t.ok(isFitted(result, BOUNDS, 20), `bounds are fitted with ${JSON.stringify(props)}`);
+  });
+
+  t.end();
+});
+
+test('fitBounds#options', t => {
+  const padding = {top: 100, right: 0, bottom: 0, left: 0};
+  let result = fitBounds(VIEW_STATE, BOUNDS, {padding});
+  let points = projectBounds(result, BOUNDS);
+  t.ok(Math.min(...points.map(p => p[1])) >= 100 - 1e-6, 'respects padding object');
+
+  result = fitBounds(VIEW_STATE, BOUNDS, {offset: [100, 0]});
+  points = projectBounds(result, BOUNDS);
+  t.is(round((points[0][0] + points[1][0]) / 2), 500, 'respects offset');
+
+  result = fitBounds(VIEW_STATE, BOUNDS, {maxZoom: 8});
+  t.is(result.zoom, 8, 'respects maxZoom');
+  points = projectBounds(result, BOUNDS);
+  t.is(round((points[0][0] + points[1][0]) / 2), 400, 'centers bounds at maxZoom');
+
+  result = fitBounds(VIEW_STATE, [[-122.4, 37.8], [-122.4, 37.8]], {maxZoom: 16});
+  t.is(result.zoom, 16, 'zooms a single point to maxZoom');
+  t.is(toLowPrecision(result.longitude, 6), -122.4, 'centers a single point');
+
+  t.ok(fitBounds(VIEW_STATE, BOUNDS).transitionInterpolator instanceof FlyToInterpolator,
+    'uses FlyToInterpolator by default');
+  t.ok(fitBounds(VIEW_STATE, BOUNDS, {linear: true}).transitionInterpolator instanceof
+    LinearInterpolator, 'uses LinearInterpolator if linear');
+
+  t.throws(() => fitBounds(VIEW_STATE, BOUNDS, {padding: 400}), 'throws if padding is too large');
+
+  t.end();
+});
+
+test('fitGeoJSON', t => {
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      {type: 'Feature', geometry: {type: 'Point', coordinates: [-122.5, 37.75]}},
+      {type: 'Feature', geometry: {
+        type: 'GeometryCollection',
+        geometries: [
+          {type: 'LineString', coordinates: [[-122.4, 37.7], [-122.35, 37.72]]},
+          {type: 'Polygon', coordinates: [[[-122.3, 37.8], [-122.4, 37.8], [-122.4, 37.75]]]}
+        ]
+      }},
+      {type: 'Feature', geometry: null}
+    ]
+  };
+  const result = fitGeoJSON(VIEW_STATE, geojson, {padding: 20});
+  const expected = fitBounds(VIEW_STATE, BOUNDS, {padding: 20});
+
+  t.deepEqual(
+    [result.longitude, result.latitude, result.zoom].map(x => toLowPrecision(x, 6)),
+    [expected.longitude, expected.latitude, expected.zoom].map(x => toLowPrecision(x, 6)),
+    'fits the bounding box of the features'
+  );
+  t.throws(() => fitGeoJSON(VIEW_STATE, {type: 'FeatureCollection', features: []}),
+    'throws if there are no coordinates');
+
+  t.end();
+});
+
+test('fitBounds#view state padding', t => {
+  const viewState = Object.assign({}, VIEW_STATE, {padding: {left: 400}});
+  const result = fitBounds(viewState, BOUNDS, {padding: 20});
+  t.deepEqual(result.padding, {left: 400}, 'keeps the view state padding');
+
+  const points = projectBounds(createViewport(result), BOUNDS);
+  const xs = points.map(p => round(p[0]));
+  const ys = points.map(p => round(p[1]));
+  t.ok(Math.min(...xs) >= 420 && Math.max(...xs) <= 780 &&
+    Math.min(...ys) >= 20 && Math.max(...ys) <= 580, 'bounds are fitted in the padded area');
+
+  t.end();
+});
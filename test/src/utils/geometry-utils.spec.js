@@ -0,0 +1,83 @@
+import test from 'tape-catch';
+import {
+  getDistanceToSegment,
+  isPointInRing,
+  getDistance,
+  getLength,
+  getArea,
+  getDestination,
+  getCircle,
+  getVertices,
+  getMidpoints,
+  updateVertex,
+  insertVertex,
+  removeVertex
+} from 'react-map-gl/utils/geometry-utils';
+import {toLowPrecision} from 'react-map-gl/test/test-utils';
+
+const LINE = {type: 'LineString', coordinates: [[0, 0], [1, 0], [1, 1]]};
+const POLYGON = {type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]]};
+
+test('geometry-utils#screen space', t => {
+  t.is(getDistanceToSegment([5, 5], [0, 0], [10, 0]), 5, 'distance to the segment');
+  t.is(getDistanceToSegment([13, 4], [0, 0], [10, 0]), 5, 'distance to the end of the segment');
+  t.ok(isPointInRing([1, 1], POLYGON.coordinates[0]), 'point is in the ring');
+  t.notOk(isPointInRing([3, 1], POLYGON.coordinates[0]), 'point is not in the ring');
+  t.end();
+});
+
+test('geometry-utils#geographic', t => {
+  t.is(Math.round(getDistance([0, 0], [1, 0])), 111195, 'distance of one degree at the equator');
+  t.is(Math.round(getDistance([-122.4, 37.78], [-122.4, 37.78])), 0, 'distance to itself');
+
+  t.is(getLength(LINE.coordinates), getDistance([0, 0], [1, 0]) + getDistance([1, 0], [1, 1]),
+    'length of a path');
+  t.is(getLength([[0, 0]]), 0, 'length of a single position');
+
+  const area = getArea(POLYGON.coordinates[0]);
+  t.ok(Math.abs(area / 4.94e10 - 1) < 0.01, 'area of 2 by 2 degrees at the equator');
+  t.is(getArea(POLYGON.coordinates[0].slice(0, -1)), area, 'ring does not need to be closed');
+
+  const destination = getDestination([-122.4, 37.78], 1000, 90);
+  t.is(Math.round(getDistance([-122.4, 37.78], destination)), 1000, 'destination is at distance');
+  t.ok(destination[0] > -122.4, 'destination is east');
+
+  const ring = getCircle([10, 50], 500, 16).coordinates[0];
+  t.is(ring.length, 17, 'circle ring is closed');
+  t.ok(ring.every(p => Math.abs(getDistance([10, 50], p) - 500) < 1e-6),
+    'circle positions are at the radius');
+  t.end();
+});
+
+test('geometry-utils#vertices', t => {
+  t.deepEqual(getVertices({type: 'Point', coordinates: [1, 2]}),
+    [{position: [1, 2], indexes: []}], 'vertex of a point');
+  t.deepEqual(getVertices(POLYGON).map(v => v.indexes), [[0, 0], [0, 1], [0, 2], [0, 3]],
+    'closing position of a polygon is not a vertex');
+  t.deepEqual(getMidpoints(LINE), [
+    {position: [0.5, 0], indexes: [1]},
+    {position: [1, 0.5], indexes: [2]}
+  ], 'midpoints of a line');
+  t.is(getMidpoints(POLYGON).length, 4, 'midpoints of a polygon include the closing segment');
+  t.end();
+});
+
+test('geometry-utils#edit vertices', t => {
+  let geometry = updateVertex(POLYGON, [0, 0], [-1, -1]);
+  t.deepEqual(geometry.coordinates[0], [[-1, -1], [2, 0], [2, 2], [0, 2], [-1, -1]],
+    'moving the first vertex moves the closing position');
+  t.deepEqual(POLYGON.coordinates[0][0], [0, 0], 'geometry is not mutated');
+
+  geometry = insertVertex(LINE, [1], [0.5, -1]);
+  t.deepEqual(geometry.coordinates, [[0, 0], [0.5, -1], [1, 0], [1, 1]], 'vertex is inserted');
+
+  geometry = removeVertex(POLYGON, [0, 0]);
+  t.deepEqual(geometry.coordinates[0], [[2, 0], [2, 2], [0, 2], [2, 0]],
+    'removing the first vertex closes the ring');
+  t.notOk(removeVertex(geometry, [0, 1]), 'a ring keeps 3 vertices');
+  t.notOk(removeVertex({type: 'LineString', coordinates: [[0, 0], [1, 1]]}, [0]),
+    'a line keeps 2 vertices');
+  t.deepEqual(toLowPrecision(removeVertex(LINE, [1]).coordinates), [[0, 0], [1, 1]],
+    'vertex is removed');
+  t.end();
+});
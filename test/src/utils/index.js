@@ -1,5 +1,13 @@
 import './transition';
 import './map-state.spec';
+import './max-bounds.spec';
+import './fit-bounds.spec';
+import './viewport-padding.spec';
 import './map-constraints.spec';
 import './dynamic-position.spec';
 import './transition-manager.spec';
+import './map-controller.spec';
+import './deep-equal.spec';
+import './cluster-index.spec';
+import './camera-tour.spec';
+import './geometry-utils.spec';
@@ -0,0 +1,393 @@
+import test from 'tape-catch';
+import sinon from 'sinon';
+import MapController from 'react-map-gl/utils/map-controller';
+
+/* global global, setTimeout, clearTimeout */
+// backfill requestAnimationFrame on Node
+if (typeof global !== 'undefined' && !global.requestAnimationFrame) {
+  global.requestAnimationFrame = callback => setTimeout(callback, 100);
+  global.cancelAnimationFrame = frameId => clearTimeout(frameId);
+}
+
+const VIEWPORT_PROPS = {
+  width: 800,
+  height: 600,
+  longitude: -122.45,
+  latitude: 37.78,
+  zoom: 10,
+  pitch: 0,
+  bearing: 0
+};
+
+function createEvent(type, x, y, srcEvent = {shiftKey: true}) {
+  return {type, offsetCenter: {x, y}, srcEvent, rightButton: false};
+}
+
+function dragBox(controller, from, to) {
+  controller.handleEvent(createEvent('panstart', from[0], from[1]));
+  controller.handleEvent(createEvent('panmove', to[0], to[1]));
+  controller.handleEvent(createEvent('panend', to[0], to[1]));
+}
+
+test('MapController#boxZoom', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+  const onStateChange = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    onViewportChange,
+    onStateChange,
+    boxZoom: true
+  }));
+  onViewportChange.reset();
+
+  controller.handleEvent(createEvent('panstart', 200, 150));
+  controller.handleEvent(createEvent('panmove', 400, 300));
+  t.deepEqual(onStateChange.lastCall.args[0].selectionBox, [[200, 150], [400, 300]],
+    'selection box is in the interaction state');
+  t.notOk(onViewportChange.called, 'viewport does not change while drawing the box');
+
+  controller.handleEvent(createEvent('panend', 400, 300));
+  t.is(onStateChange.lastCall.args[0].selectionBox, null, 'selection box is cleared');
+  t.ok(onViewportChange.calledOnce, 'viewport changes at the end of the box');
+
+  const viewport = onViewportChange.lastCall.args[0];
+  t.is(viewport.zoom, 12, 'zooms to fit the box');
+  t.ok(viewport.longitude < VIEWPORT_PROPS.longitude &&
+    viewport.latitude > VIEWPORT_PROPS.latitude, 'centers on the box');
+  t.ok(viewport.transitionDuration > 0, 'uses transition');
+
+  onViewportChange.reset();
+  dragBox(controller, [200, 150], [201, 300]);
+  t.notOk(onViewportChange.called, 'ignores boxes that are too small');
+
+  t.end();
+});
+
+test('MapController#boxSelect', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+  const onBoxSelect = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    onViewportChange,
+    onBoxSelect,
+    boxZoom: true,
+    boxSelect: true
+  }));
+  onViewportChange.reset();
+
+  dragBox(controller, [400, 300], [200, 100]);
+  t.notOk(onViewportChange.called, 'viewport does not change');
+  t.ok(onBoxSelect.calledOnce, 'onBoxSelect is called');
+  t.deepEqual(onBoxSelect.lastCall.args[0].bbox, [[200, 100], [400, 300]],
+    'onBoxSelect is called with the screen bbox');
+
+  t.end();
+});
+
+test('MapController#boxSelect on a static map', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+  const onStateChange = sinon.spy();
+  const onBoxSelect = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    onViewportChange,
+    onStateChange,
+    onBoxSelect,
+    isInteractive: false,
+    boxSelect: true
+  }));
+  onViewportChange.reset();
+  onStateChange.reset();
+
+  controller.handleEvent(createEvent('panstart', 400, 300, {}));
+  controller.handleEvent(Object.assign(createEvent('panmove', 500, 300, {}), {deltaX: 100}));
+  controller.handleEvent(createEvent('panend', 500, 300, {}));
+  t.notOk(onViewportChange.called, 'drag does not move the map');
+  t.notOk(onStateChange.called, 'drag does not change the interaction state');
+
+  dragBox(controller, [400, 300], [200, 100]);
+  t.notOk(onViewportChange.called, 'viewport does not change');
+  t.ok(onBoxSelect.calledOnce, 'shift + drag selects a box');
+
+  t.end();
+});
+
+test('MapController#shift + drag without box interaction', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange}));
+  onViewportChange.reset();
+
+  controller.handleEvent(createEvent('panstart', 400, 300));
+  controller.handleEvent(Object.assign(createEvent('panmove', 500, 300), {deltaX: 100, deltaY: 0}));
+  t.ok(onViewportChange.called, 'viewport changes');
+  t.not(onViewportChange.lastCall.args[0].bearing, 0, 'map is rotated');
+
+  t.end();
+});
+
+function pan(controller, now, positions) {
+  positions.forEach(([time, x, y], i) => {
+    now.returns(time);
+    const type = i === 0 ? 'panstart' : (i === positions.length - 1 ? 'panend' : 'panmove');
+    controller.handleEvent(createEvent(type, x, y, {}));
+  });
+}
+
+test('MapController#inertia', t => {
+  const now = sinon.stub(Date, 'now');
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange, inertia: true}));
+
+  pan(controller, now, [[0, 400, 300], [50, 420, 300], [100, 440, 300], [100, 440, 300]]);
+  let viewport = onViewportChange.lastCall.args[0];
+  t.ok(viewport.transitionDuration > 0, 'map keeps moving after release');
+  t.is(viewport.transitionEasing(1), 1, 'transition has easing');
+  t.ok(viewport.longitude < VIEWPORT_PROPS.longitude, 'map moves in the direction of the pointer');
+
+  onViewportChange.reset();
+  pan(controller, now, [[1000, 400, 300], [1050, 420, 300], [1100, 440, 300], [1500, 440, 300]]);
+  viewport = onViewportChange.lastCall && onViewportChange.lastCall.args[0];
+  t.notOk(viewport && viewport.transitionDuration > 0,
+    'map does not keep moving if the pointer stopped before release');
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    onViewportChange,
+    inertia: {maxSpeed: 100}
+  }));
+  t.is(controller.inertia.maxSpeed, 100, 'custom options are used');
+  t.is(controller.inertia.deceleration, 2500, 'default options are used');
+
+  now.restore();
+  t.end();
+});
+
+test('MapController#inertia interruption', t => {
+  const controller = new MapController();
+  const eventManager = {on: sinon.spy(), off: sinon.spy()};
+  const interruptTransition = sinon.spy(controller._transitionManager, 'interruptTransition');
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    eventManager,
+    onViewportChange: () => {},
+    inertia: true
+  }));
+  t.ok(eventManager.on.calledWith('pointerdown'), 'listens to pointerdown');
+
+  controller.handleEvent(createEvent('pointerdown', 0, 0, {}));
+  t.ok(interruptTransition.calledOnce, 'pointerdown interrupts the transition');
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    eventManager,
+    onViewportChange: () => {},
+    inertia: false
+  }));
+  t.ok(eventManager.off.calledWith('pointerdown'), 'stops listening to pointerdown');
+
+  t.end();
+});
+
+function createWheelEvent(deltaY, deltaMode = 0) {
+  // mjolnir normalizes mouse wheel deltas with the magic number
+  const delta = deltaY % 4.000244140625 === 0 ? -Math.floor(deltaY / 4.000244140625) : -deltaY;
+  return {
+    type: 'wheel',
+    offsetCenter: {x: 400, y: 300},
+    srcEvent: {deltaY, deltaMode},
+    delta,
+    preventDefault: () => {}
+  };
+}
+
+test('MapController#wheel type detection', t => {
+  const now = sinon.stub(Date, 'now');
+  const controller = new MapController();
+
+  const TEST_CASES = [
+    {time: 0, deltaY: 3, deltaMode: 1, type: 'wheel', title: 'line mode is mouse wheel'},
+    {time: 1000, deltaY: 4.000244140625 * 25, type: 'wheel', title: 'magic number is mouse wheel'},
+    {time: 2000, deltaY: 2.5, type: 'trackpad', title: 'small delta is trackpad'},
+    {time: 2010, deltaY: 60, type: 'trackpad', title: 'type is kept during a gesture'},
+    {time: 3000, deltaY: 100, type: 'wheel', title: 'large delta at gesture start is mouse wheel'},
+    {time: 4000, deltaY: 20, type: 'trackpad', title: 'small delta at gesture start is trackpad'}
+  ];
+
+  TEST_CASES.forEach(({time, deltaY, deltaMode, type, title}) => {
+    now.returns(time);
+    t.is(controller._getWheelType(createWheelEvent(deltaY, deltaMode)), type, title);
+  });
+
+  now.restore();
+  t.end();
+});
+
+test('MapController#smooth wheel zoom', t => {
+  const now = sinon.stub(Date, 'now');
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange}));
+  onViewportChange.reset();
+
+  now.returns(1000);
+  controller.handleEvent(createWheelEvent(-4.000244140625 * 25));
+  let viewport = onViewportChange.lastCall.args[0];
+  t.ok(viewport.zoom > VIEWPORT_PROPS.zoom, 'mouse wheel zooms in');
+  t.ok(viewport.transitionDuration > 0, 'mouse wheel zoom is animated');
+  const firstStepZoom = viewport.zoom;
+
+  now.returns(1050);
+  controller.handleEvent(createWheelEvent(-4.000244140625 * 25));
+  viewport = onViewportChange.lastCall.args[0];
+  t.ok(Math.abs(viewport.zoom - (2 * firstStepZoom - VIEWPORT_PROPS.zoom)) < 1e-6,
+    'steps during the animation add up');
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    onViewportChange,
+    scrollZoom: {smooth: false, wheelSpeed: 0.02}
+  }));
+  onViewportChange.reset();
+
+  now.returns(5000);
+  controller.handleEvent(createWheelEvent(-4.000244140625 * 25));
+  viewport = onViewportChange.lastCall.args[0];
+  t.is(viewport.transitionDuration, 0, 'zoom is not animated if smooth is off');
+  t.ok(viewport.zoom - VIEWPORT_PROPS.zoom > firstStepZoom - VIEWPORT_PROPS.zoom,
+    'wheelSpeed is used');
+
+  now.restore();
+  t.end();
+});
+
+test('MapController#trackpad zoom', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange}));
+  onViewportChange.reset();
+
+  controller.handleEvent(createWheelEvent(-2));
+  controller.handleEvent(createWheelEvent(-3));
+  t.notOk(onViewportChange.called, 'trackpad deltas are accumulated');
+
+  // Wait for the next frame
+  setTimeout(() => {
+    t.ok(onViewportChange.calledOnce, 'zoom is applied once per frame');
+    const viewport = onViewportChange.lastCall.args[0];
+    t.ok(viewport.zoom > VIEWPORT_PROPS.zoom, 'trackpad zooms in');
+    t.is(viewport.transitionDuration, 0, 'trackpad zoom is not animated');
+    t.end();
+  }, 150);
+});
+
+test('MapController#trackpad zoom is cancelled', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange}));
+  onViewportChange.reset();
+
+  controller.handleEvent(createWheelEvent(-2));
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange, scrollZoom: false}));
+  t.notOk(controller._wheelFrame, 'pending frame is cancelled when scroll zoom is turned off');
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange, scrollZoom: true}));
+  controller.handleEvent(createWheelEvent(-2));
+  controller.teardown();
+  t.notOk(controller._wheelFrame, 'pending frame is cancelled on teardown');
+
+  setTimeout(() => {
+    t.notOk(onViewportChange.called, 'viewport does not change after the frame is cancelled');
+    t.end();
+  }, 150);
+});
+
+test('MapController#touchPitch', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+  const createPinchEvent = (type, deltaX, deltaY, scale = 1, rotation = 0) =>
+    Object.assign(createEvent(type, 400 + deltaX, 300 + deltaY, {}),
+      {deltaX, deltaY, scale, rotation});
+  const pinch = moves => {
+    controller.handleEvent(createPinchEvent('pinchstart', 0, 0));
+    moves.forEach(move => controller.handleEvent(createPinchEvent('pinchmove', ...move)));
+    controller.handleEvent(createPinchEvent('pinchend', 0, 0));
+  };
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange, touchPitch: true}));
+
+  pinch([[0, -5], [0, -100]]);
+  let viewports = onViewportChange.args.map(args => args[0]);
+  t.ok(viewports.some(viewport => viewport.pitch > 0), 'two-finger vertical drag pitches the map');
+  t.ok(viewports.every(viewport => viewport.zoom === VIEWPORT_PROPS.zoom), 'zoom is not changed');
+
+  onViewportChange.reset();
+  pinch([[0, -5, 1.5], [0, -100, 1.5]]);
+  viewports = onViewportChange.args.map(args => args[0]);
+  t.ok(viewports.some(viewport => viewport.zoom > VIEWPORT_PROPS.zoom), 'pinch still zooms');
+  t.ok(viewports.every(viewport => viewport.pitch === 0), 'pinch does not pitch the map');
+
+  onViewportChange.reset();
+  pinch([[0, -20], [0, -100, 1.5]]);
+  viewports = onViewportChange.args.map(args => args[0]);
+  t.ok(viewports.every(viewport => viewport.zoom === VIEWPORT_PROPS.zoom),
+    'gesture type is locked once recognized');
+
+  onViewportChange.reset();
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange, touchPitch: false}));
+  pinch([[0, -5], [0, -100]]);
+  viewports = onViewportChange.args.map(args => args[0]);
+  t.ok(viewports.every(viewport => viewport.pitch === 0), 'pitch is disabled without touchPitch');
+
+  t.end();
+});
+
+test('MapController#keyboard', t => {
+  const controller = new MapController();
+  const onViewportChange = sinon.spy();
+  const pressKey = (key, keyCode, shiftKey = false) => {
+    const srcEvent = {key, keyCode, shiftKey, preventDefault: sinon.spy()};
+    controller.handleEvent({type: 'keydown', srcEvent});
+    return srcEvent;
+  };
+  const getViewport = () => onViewportChange.lastCall.args[0];
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {onViewportChange, bearing: 30}));
+
+  const srcEvent = pressKey('=', 187);
+  t.is(getViewport().zoom, VIEWPORT_PROPS.zoom + 1, 'default key zooms in');
+  t.ok(srcEvent.preventDefault.calledOnce, 'default action is prevented');
+
+  pressKey('PageDown', 34);
+  t.is(getViewport().zoom, VIEWPORT_PROPS.zoom - 1, 'page down zooms out');
+
+  pressKey('Home', 36);
+  t.is(getViewport().bearing, 0, 'home resets north');
+
+  controller.setOptions(Object.assign({}, VIEWPORT_PROPS, {
+    onViewportChange,
+    keyboard: {keys: {zoomIn: ['i']}, zoomStep: 0.5, rotateStep: 45}
+  }));
+
+  onViewportChange.reset();
+  pressKey('=', 187);
+  t.notOk(onViewportChange.called, 'custom keys replace the default keys of an action');
+
+  pressKey('i', 73);
+  t.is(getViewport().zoom, VIEWPORT_PROPS.zoom + 0.5, 'custom key and step are used');
+
+  pressKey('ArrowLeft', 37, true);
+  t.is(getViewport().bearing, -45, 'custom rotate step is used');
+
+  onViewportChange.reset();
+  t.notOk(pressKey('a', 65).preventDefault.called, 'unbound keys are ignored');
+  t.notOk(onViewportChange.called, 'unbound keys do not change the viewport');
+
+  t.end();
+});
@@ -1,6 +1,7 @@
 import test from 'tape-catch';
 import MapState, {MAPBOX_LIMITS} from 'react-map-gl/utils/map-state';
 import WebMercatorViewport from 'viewport-mercator-project';
+import {createViewport} from 'react-map-gl/utils/viewport-padding';
 import {toLowPrecision, isSameLocation} from 'react-map-gl/test/test-utils';
 
 const SAMPLE_VIEWPORTS = [
@@ -212,3 +213,65 @@ test('MapState - Zoom', t => {
 
   t.end();
 });
+
+test('MapState - maxBounds', t => {
+  const maxBounds = [[-123, 37], [-122, 38]];
+  const viewport = Object.assign({}, SAMPLE_VIEWPORTS[0], {zoom: 10, maxBounds});
+  const isInBounds = viewportProps => {
+    const [[west, north], [east, south]] = [
+      [0, 0], [viewportProps.width, viewportProps.height]
+    ].map(p => new WebMercatorViewport(viewportProps).unproject(p));
+    return west >= -123 - 1e-6 && east <= -122 + 1e-6 &&
+      south >= 37 - 1e-6 && north <= 38 + 1e-6;
+  };
+
+  t.ok(isInBounds(new MapState(viewport).getViewportProps()), 'Initial viewport is in bounds');
+
+  let viewportProps = new MapState(viewport)
+    .pan({pos: [1000, 1000], startPos: [0, 0]})
+    .getViewportProps();
+  t.ok(isInBounds(viewportProps), 'Panning is constrained to bounds');
+
+  viewportProps = new MapState(viewport)
+    .zoom({pos: [400, 300], scale: 0.01})
+    .getViewportProps();
+  t.ok(viewportProps.zoom > 9, 'Min zoom is derived from bounds');
+  t.ok(isInBounds(viewportProps), 'Zooming out is constrained to bounds');
+
+  viewportProps = new MapState(Object.assign({}, viewport, {maxBounds: null}))
+    .pan({pos: [1000, 1000], startPos: [0, 0]})
+    .getViewportProps();
+  t.notOk(isInBounds(viewportProps), 'Not constrained without maxBounds');
+
+  t.end();
+});
+
+test('MapState - padding', t => {
+  const padding = {left: 400};
+
+  SAMPLE_VIEWPORTS.forEach(viewport => {
+    viewport = Object.assign({}, viewport, {padding});
+    const mapState = new MapState(viewport);
+    t.deepEqual(mapState.getViewportProps().padding, padding, 'padding is kept');
+
+    const viewport1 = mapState.pan({pos: [500, 300], startPos: [600, 200]}).getViewportProps();
+    t.ok(isSameLocation(
+      createViewport(viewport).unproject([600, 200]),
+      createViewport(viewport1).unproject([500, 300])),
+      'Location under the pointer remains the same when panning');
+
+    const viewport2 = mapState.zoom({pos: [500, 300], scale: 2}).getViewportProps();
+    t.ok(isSameLocation(
+      createViewport(viewport).unproject([500, 300]),
+      createViewport(viewport2).unproject([500, 300])),
+      'Location under the pointer remains the same when zooming');
+
+    const viewport3 = Object.assign({}, viewport, {zoom: viewport.zoom + 1});
+    t.ok(isSameLocation(
+      createViewport(viewport).unproject([600, 300]),
+      createViewport(viewport3).unproject([600, 300])),
+      'Zooms around the center of the padded area');
+  });
+
+  t.end();
+});
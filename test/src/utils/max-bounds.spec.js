@@ -0,0 +1,60 @@
+import test from 'tape-catch';
+import {getMinZoomForBounds, constrainToBounds} from 'react-map-gl/utils/max-bounds';
+import {createViewport} from 'react-map-gl/utils/viewport-padding';
+import {toLowPrecision} from 'react-map-gl/test/test-utils';
+
+test('maxBounds#getMinZoomForBounds', t => {
+  const size = {width: 512, height: 512};
+
+  t.is(toLowPrecision(getMinZoomForBounds(size, [[-180, -85.051129], [180, 85.051129]])), 0,
+    'World bounds fill a 512px container at zoom 0');
+  t.is(toLowPrecision(getMinZoomForBounds(size, [[-90, -85.051129], [90, 85.051129]])), 1,
+    'Half of the world fills a 512px container at zoom 1');
+  t.is(toLowPrecision(getMinZoomForBounds(size, [[170, -85.051129], [-10, 85.051129]])), 1,
+    'Handles bounds across the antimeridian');
+
+  t.end();
+});
+
+test('maxBounds#constrainToBounds', t => {
+  const maxBounds = [[-10, -10], [10, 10]];
+  const props = {width: 100, height: 100, zoom: 4, longitude: 0, latitude: 0};
+
+  let result = constrainToBounds(props, maxBounds);
+  t.deepEqual([toLowPrecision(result.longitude), toLowPrecision(result.latitude)], [0, 0],
+    'Center in bounds is not changed');
+
+  result = constrainToBounds(Object.assign({}, props, {longitude: 20, latitude: -20}), maxBounds);
+  t.ok(result.longitude < 10 && result.longitude > 0, 'Longitude is constrained');
+  t.ok(result.latitude > -10 && result.latitude < 0, 'Latitude is constrained');
+
+  result = constrainToBounds(Object.assign({}, props, {longitude: 355}), maxBounds);
+  t.ok(Math.abs(result.longitude) < 10, 'Uses the closest copy of the world');
+
+  result = constrainToBounds(Object.assign({}, props, {longitude: 175, latitude: 0}),
+    [[170, -10], [-170, 10]]);
+  t.ok(result.longitude >= 170 && result.longitude <= 190,
+    'Handles bounds across the antimeridian');
+
+  t.end();
+});
+
+test('maxBounds#constrainToBounds with padding', t => {
+  const maxBounds = [[-10, -10], [10, 10]];
+  const props = {
+    width: 100,
+    height: 100,
+    zoom: 4,
+    longitude: -20,
+    latitude: 20,
+    padding: {left: 50, bottom: 20}
+  };
+
+  const result = constrainToBounds(props, maxBounds);
+  const viewport = createViewport(Object.assign({}, props, result));
+  const [west, north] = viewport.unproject([0, 0]);
+  t.deepEqual([toLowPrecision(west), toLowPrecision(north)], [-10, 10],
+    'Container is within the bounds');
+
+  t.end();
+});
@@ -31,6 +31,26 @@ const TEST_CASES = [
     transition: {
       0.5: {longitude: -151.725, latitude: 39.24}
     }
+  }, {
+    title: 'padding',
+    startProps: {longitude: 0, latitude: 0, zoom: 12, pitch: 0, bearing: 0},
+    endProps: {longitude: 0, latitude: 0, zoom: 12, pitch: 0, bearing: 0, padding: {left: 400}},
+    expect: {
+      start: {
+        longitude: 0, latitude: 0, zoom: 12, pitch: 0, bearing: 0,
+        padding: {top: 0, right: 0, bottom: 0, left: 0}
+      },
+      end: {
+        longitude: 0, latitude: 0, zoom: 12, pitch: 0, bearing: 0,
+        padding: {top: 0, right: 0, bottom: 0, left: 400}
+      }
+    },
+    transition: {
+      0.5: {
+        longitude: 0, latitude: 0, zoom: 12, pitch: 0, bearing: 0,
+        padding: {top: 0, right: 0, bottom: 0, left: 200}
+      }
+    }
   }, {
     title: 'array prop',
     transitionProps: ['position'],
@@ -51,7 +71,7 @@ test('LinearInterpolator#constructor', t => {
   let interpolator = new LinearInterpolator();
   t.ok(interpolator, 'constructor does not throw error');
   t.deepEqual(interpolator.propNames,
-    ['longitude', 'latitude', 'zoom', 'bearing', 'pitch'],
+    ['longitude', 'latitude', 'zoom', 'bearing', 'pitch', 'padding'],
     'propNames is set');
 
   interpolator = new LinearInterpolator(['width', 'height']);
@@ -59,7 +79,7 @@ test('LinearInterpolator#constructor', t => {
 
   interpolator = new LinearInterpolator({around: [0, 0]});
   t.deepEqual(interpolator.propNames,
-    ['longitude', 'latitude', 'zoom', 'bearing', 'pitch'],
+    ['longitude', 'latitude', 'zoom', 'bearing', 'pitch', 'padding'],
     'propNames is set');
   t.deepEqual(interpolator.around, [0, 0], 'center is set');
 
@@ -0,0 +1,61 @@
+import test from 'tape-catch';
+import {
+  normalizePadding,
+  getContainerCenter,
+  createViewport,
+  getViewState,
+  getCenterByLngLatPosition
+} from 'react-map-gl/utils/viewport-padding';
+import {toLowPrecision} from 'react-map-gl/test/test-utils';
+
+const VIEW_STATE = {
+  width: 800,
+  height: 600,
+  longitude: -122.45,
+  latitude: 37.78,
+  zoom: 12,
+  pitch: 30,
+  bearing: 15,
+  padding: {top: 100, left: 400}
+};
+
+test('viewportPadding#normalizePadding', t => {
+  t.deepEqual(normalizePadding(null), {top: 0, right: 0, bottom: 0, left: 0}, 'no padding');
+  t.deepEqual(normalizePadding(10), {top: 10, right: 10, bottom: 10, left: 10}, 'number');
+  t.deepEqual(normalizePadding({left: 10}), {top: 0, right: 0, bottom: 0, left: 10},
+    'missing sides are 0');
+  t.end();
+});
+
+test('viewportPadding#createViewport', t => {
+  const viewport = createViewport(VIEW_STATE);
+  t.deepEqual(toLowPrecision(viewport.project([VIEW_STATE.longitude, VIEW_STATE.latitude]), 6),
+    [600, 350], 'view state center is at the center of the padded area');
+  t.notEqual(toLowPrecision(viewport.longitude, 6), VIEW_STATE.longitude,
+    'viewport is centered in the container');
+  t.deepEqual(getContainerCenter(VIEW_STATE), [viewport.longitude, viewport.latitude],
+    'getContainerCenter returns the center of the viewport');
+
+  const viewState = getViewState(viewport);
+  t.deepEqual(toLowPrecision([viewState.longitude, viewState.latitude], 6),
+    [VIEW_STATE.longitude, VIEW_STATE.latitude], 'getViewState restores the view state center');
+  t.deepEqual(viewState.padding, {top: 100, right: 0, bottom: 0, left: 400},
+    'getViewState returns the padding');
+
+  const noPadding = Object.assign({}, VIEW_STATE, {padding: null});
+  t.deepEqual(getContainerCenter(noPadding), [VIEW_STATE.longitude, VIEW_STATE.latitude],
+    'container center without padding');
+  t.notOk('padding' in getViewState(createViewport(noPadding)), 'no padding in the view state');
+
+  t.end();
+});
+
+test('viewportPadding#getCenterByLngLatPosition', t => {
+  const lngLat = [-122.4, 37.8];
+  const pos = [500, 200];
+  const [longitude, latitude] = getCenterByLngLatPosition(VIEW_STATE, {lngLat, pos});
+  const viewport = createViewport(Object.assign({}, VIEW_STATE, {longitude, latitude}));
+
+  t.deepEqual(toLowPrecision(viewport.project(lngLat), 6), pos, 'location is moved to position');
+  t.end();
+});
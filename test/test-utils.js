@@ -28,3 +28,145 @@ export function isSameLocation(lngLat1, lngLat2) {
 export function equals(a, b, epsilon = EPSILON) {
   return Math.abs(a - b) < epsilon;
 }
+
+// A minimal in-memory stand-in for mapboxgl.Map, for testing components that
+// manipulate the map style
+export class MockMap {
+  constructor({styleLoaded = true} = {}) {
+    this.style = {_loaded: styleLoaded, sourceCaches: {}};
+    this._sources = {};
+    this._layers = [];
+    this._featureStates = {};
+    this._listeners = {};
+  }
+
+  on(type, listener) {
+    this._listeners[type] = (this._listeners[type] || []).concat(listener);
+    return this;
+  }
+
+  off(type, listener) {
+    this._listeners[type] = (this._listeners[type] || []).filter(l => l !== listener);
+    return this;
+  }
+
+  fire(type, event = {}) {
+    (this._listeners[type] || []).forEach(listener => listener(Object.assign({type}, event)));
+    return this;
+  }
+
+  // Simulates the style being loaded, or replaced by a new base style
+  setStyleLoaded() {
+    this.style._loaded = true;
+    this.style.sourceCaches = {};
+    this._sources = {};
+    this._layers = [];
+    this._featureStates = {};
+    this.fire('styledata');
+  }
+
+  getStyle() {
+    return {sources: Object.assign({}, this._sources), layers: this._layers.slice()};
+  }
+
+  addSource(id, options) {
+    if (this._sources[id]) {
+      throw new Error(`Source ${id} already exists`);
+    }
+    const source = Object.assign({}, options);
+    source.setData = data => {
+      source.data = data;
+    };
+    source.updateImage = ({url, coordinates}) => {
+      source.url = url;
+      source.coordinates = coordinates;
+    };
+    source.setCoordinates = coordinates => {
+      source.coordinates = coordinates;
+    };
+    this._sources[id] = source;
+    this.style.sourceCaches[id] = {getSource: () => source};
+  }
+
+  getSource(id) {
+    return this._sources[id];
+  }
+
+  removeSource(id) {
+    if (this._layers.some(layer => layer.source === id)) {
+      throw new Error(`Source ${id} is in use`);
+    }
+    delete this._sources[id];
+    delete this.style.sourceCaches[id];
+    for (const key in this._featureStates) {
+      if (key.startsWith(`${id}/`)) {
+        delete this._featureStates[key];
+      }
+    }
+  }
+
+  addLayer(layer, beforeId) {
+    if (this.getLayer(layer.id)) {
+      throw new Error(`Layer ${layer.id} already exists`);
+    }
+    if (layer.source && !this._sources[layer.source]) {
+      throw new Error(`Source ${layer.source} does not exist`);
+    }
+    layer = Object.assign({}, layer);
+    const index = beforeId ? this._layers.findIndex(l => l.id === beforeId) : -1;
+    if (index < 0) {
+      this._layers.push(layer);
+    } else {
+      this._layers.splice(index, 0, layer);
+    }
+  }
+
+  moveLayer(id, beforeId) {
+    const layer = this.getLayer(id);
+    this.removeLayer(id);
+    this.addLayer(layer, beforeId);
+  }
+
+  setPaintProperty(id, name, value) {
+    const layer = this.getLayer(id);
+    layer.paint = Object.assign({}, layer.paint, {[name]: value});
+  }
+
+  setLayoutProperty(id, name, value) {
+    const layer = this.getLayer(id);
+    layer.layout = Object.assign({}, layer.layout, {[name]: value});
+  }
+
+  setFilter(id, filter) {
+    this.getLayer(id).filter = filter;
+  }
+
+  setLayerZoomRange(id, minzoom, maxzoom) {
+    Object.assign(this.getLayer(id), {minzoom, maxzoom});
+  }
+
+  setFeatureState(feature, state) {
+    if (!this._sources[feature.source]) {
+      throw new Error(`Source ${feature.source} does not exist`);
+    }
+    const key = this._getFeatureKey(feature);
+    this._featureStates[key] = Object.assign({}, this._featureStates[key], state);
+  }
+
+  getFeatureState(feature) {
+    const key = this._getFeatureKey(feature);
+    return this._featureStates[key] || {};
+  }
+
+  _getFeatureKey({source, sourceLayer = '', id}) {
+    return `${source}/${sourceLayer}/${id}`;
+  }
+
+  getLayer(id) {
+    return this._layers.find(layer => layer.id === id);
+  }
+
+  removeLayer(id) {
+    this._layers = this._layers.filter(layer => layer.id !== id);
+  }
+}
@@ -99,6 +99,10 @@ const docPages = {
           name: 'Custom Overlays',
           content: getDocUrl('overlays/custom-overlays.md')
         },
+        {
+          name: 'Server-side Rendering',
+          content: getDocUrl('advanced/server-side-rendering.md')
+        },
         {
           name: 'Viewport Transition',
           content: getDocUrl('advanced/viewport-transition.md')
@@ -109,10 +113,42 @@ const docPages = {
       name: 'API Reference',
       children: [
         // NOTE: Keep this ordered Alphabetically
+        {
+          name: 'AttributionControl',
+          content: getDocUrl('components/attribution-control.md')
+        },
+        {
+          name: 'CameraTour',
+          content: getDocUrl('components/camera-tour.md')
+        },
         {
           name: 'CanvasOverlay',
           content: getDocUrl('overlays/canvas-overlay.md')
         },
+        {
+          name: 'ClusteredMarkers',
+          content: getDocUrl('components/clustered-markers.md')
+        },
+        {
+          name: 'CompareMap',
+          content: getDocUrl('components/compare-map.md')
+        },
+        {
+          name: 'ControlContainer',
+          content: getDocUrl('components/control-container.md')
+        },
+        {
+          name: 'EditingLayer',
+          content: getDocUrl('components/editing-layer.md')
+        },
+        {
+          name: 'FeatureState',
+          content: getDocUrl('components/feature-state.md')
+        },
+        {
+          name: 'fitBounds',
+          content: getDocUrl('components/fit-bounds.md')
+        },
         {
           name: 'FlyToInterpolator',
           content: getDocUrl('components/fly-to-interpolator.md')
@@ -125,6 +161,10 @@ const docPages = {
           name: 'Interactive Map',
           content: getDocUrl('components/interactive-map.md')
         },
+        {
+          name: 'Layer',
+          content: getDocUrl('components/layer.md')
+        },
         {
           name: 'LinearInterpolator',
           content: getDocUrl('components/linear-interpolator.md')
@@ -137,6 +177,10 @@ const docPages = {
           name: 'MapController',
           content: getDocUrl('components/map-controller.md')
         },
+        {
+          name: 'MeasureControl',
+          content: getDocUrl('components/measure-control.md')
+        },
         {
           name: 'NavigationControl',
           content: getDocUrl('components/navigation-control.md')
@@ -145,6 +189,10 @@ const docPages = {
           name: 'FullscreenControl',
           content: getDocUrl('components/fullscreen-control.md')
         },
+        {
+          name: 'OverviewMapControl',
+          content: getDocUrl('components/overview-map-control.md')
+        },
         {
           name: 'PointerEvent',
           content: getDocUrl('components/pointer-event.md')
@@ -153,6 +201,14 @@ const docPages = {
           name: 'Popup',
           content: getDocUrl('components/popup.md')
         },
+        {
+          name: 'ScaleControl',
+          content: getDocUrl('components/scale-control.md')
+        },
+        {
+          name: 'Source',
+          content: getDocUrl('components/source.md')
+        },
         {
           name: 'StaticMap',
           content: getDocUrl('components/static-map.md')
@@ -161,6 +217,10 @@ const docPages = {
           name: 'SVGOverlay',
           content: getDocUrl('overlays/svg-overlay.md')
         },
+        {
+          name: 'SyncedMaps',
+          content: getDocUrl('components/synced-maps.md')
+        },
       ]
     }
   ])